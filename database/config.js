@@ -13,12 +13,65 @@
 
 const { Pool } = require('pg');
 const logger = require('../services/logger');
+const phoneService = require('../services/phone');
+
+// Status aceitos na constraint valid_status de conversations
+const CONVERSATION_STATUSES = [
+    'pix_pending', 'approved', 'completed', 'timeout', 'convertido',
+    'refunded', 'chargeback', 'cancelled', 'expired', 'in_dispute',
+    'boleto_pending', 'card_declined', 'quarantined'
+];
+
+// Tipos aceitos na constraint event_type_allowed de events_queue
+const EVENT_TYPES = [
+    'pix_timeout', 'venda_aprovada', 'resposta_01', 'resposta_02', 'resposta_03', 'convertido',
+    'venda_reembolsada', 'venda_chargeback', 'venda_cancelada', 'venda_expirada', 'venda_em_disputa',
+    'boleto_lembrete', 'boleto_vencido', 'cartao_recusado',
+    'pix_recuperacao_02', 'pix_recuperacao_03', 'pix_recuperacao_04', 'pix_recuperacao_05',
+    'upsell_aprovado', 'instancia_migrada'
+];
+
+// Eventos de etapa de funil (services/funnel.js) e de intenção (services/intent.js)
+const FUNNEL_EVENT_REGEX = '^(resposta|funil|intencao)_[a-z0-9_]+$';
+
+// Conversas com funil em andamento - lista única, exposta em
+// database.activeConversationStatuses (lead não é movido no rebalanceamento,
+// nem com recuperação de PIX pendente - ver inFunnelCondition)
+const ACTIVE_CONVERSATION_STATUSES = Object.freeze(['pix_pending', 'boleto_pending', 'card_declined', 'approved']);
+
+// Conversas com pagamento confirmado - lista única, exposta em
+// database.paidConversationStatuses (clientes, atribuição, pedidos e check-payment)
+const PAID_CONVERSATION_STATUSES = Object.freeze(['approved', 'completed', 'convertido']);
+
+// Desvio máximo (leads) em relação à meta antes de rebalancear
+const REBALANCE_TOLERANCE = 5;
+
+// Converter lista de valores em lista SQL: 'a', 'b', 'c'
+function toSqlList(values) {
+    return values.map(value => `'${value}'`).join(', ');
+}
+
+// Condição SQL de conversa com funil em andamento: status ativo ou timeout
+// com recuperação de PIX ainda agendada (a cadência usa conv.instance_name)
+function inFunnelCondition(alias) {
+    return `(${alias}.status IN (${toSqlList(ACTIVE_CONVERSATION_STATUSES)})
+        OR (${alias}.status = 'timeout' AND EXISTS (
+            SELECT 1 FROM events_queue e
+            WHERE e.conversation_id = ${alias}.id
+              AND e.processed = false
+              AND e.attempts < e.max_attempts
+              AND e.event_type LIKE 'pix_recuperacao_%'
+        )))`;
+}
 
 class Database {
     constructor() {
         this.pool = null;
         this.connected = false;
         this.version = '3.2-MEGA-CORRECTED';
+        this.activeConversationStatuses = ACTIVE_CONVERSATION_STATUSES;
+        this.paidConversationStatuses = PAID_CONVERSATION_STATUSES;
+        this.inFunnelCondition = inFunnelCondition;
     }
 
     /**
@@ -123,6 +176,8 @@ class Database {
 
     /**
      * Executar transação
+     * Aceita a lista de queries (retorna os resultados) ou uma função que
+     * recebe o client da transação, para fluxos com leitura e decisão no meio
      */
     async transaction(queries) {
         const client = await this.pool.connect();
@@ -130,10 +185,15 @@ class Database {
         try {
             await client.query('BEGIN');
             
-            const results = [];
-            for (const { text, params } of queries) {
-                const result = await client.query(text, params);
-                results.push(result);
+            let results;
+            if (typeof queries === 'function') {
+                results = await queries(client);
+            } else {
+                results = [];
+                for (const { text, params } of queries) {
+                    const result = await client.query(text, params);
+                    results.push(result);
+                }
             }
             
             await client.query('COMMIT');
@@ -178,6 +238,21 @@ class Database {
                 );
             `);
 
+            // Criar tabela de clientes (telefone normalizado + email/CPF secundários)
+            await this.query(`
+                CREATE TABLE IF NOT EXISTS customers (
+                    id SERIAL PRIMARY KEY,
+                    phone VARCHAR(20) UNIQUE,
+                    email VARCHAR(255),
+                    document VARCHAR(20),
+                    full_name VARCHAR(255),
+                    first_seen_at TIMESTAMP DEFAULT NOW(),
+                    last_seen_at TIMESTAMP DEFAULT NOW(),
+                    created_at TIMESTAMP DEFAULT NOW(),
+                    updated_at TIMESTAMP DEFAULT NOW()
+                );
+            `);
+
             // Criar tabela de conversas com novos campos
             await this.query(`
                 CREATE TABLE IF NOT EXISTS conversations (
@@ -197,9 +272,19 @@ class Database {
                     last_response_at TIMESTAMP,
                     conversion_response INTEGER,
                     phone_normalized VARCHAR(20),
+                    payment_method VARCHAR(20) DEFAULT 'pix',
+                    payment_url TEXT,
+                    payment_due_at TIMESTAMP,
+                    customer_id INTEGER REFERENCES customers(id),
+                    utm_source VARCHAR(255),
+                    utm_medium VARCHAR(255),
+                    utm_campaign VARCHAR(255),
+                    utm_content VARCHAR(255),
+                    affiliate VARCHAR(255),
+                    quarantine_reason VARCHAR(50),
+                    quarantined_order JSONB,
                     
-                    CONSTRAINT valid_status CHECK (status IN ('pix_pending', 'approved', 'completed', 'timeout', 'convertido')),
-                    CONSTRAINT valid_product CHECK (product IN ('FAB', 'NAT', 'CS', 'UNKNOWN'))
+                    CONSTRAINT valid_status CHECK (status IN (${toSqlList(CONVERSATION_STATUSES)}))
                 );
             `);
 
@@ -221,6 +306,25 @@ class Database {
                 );
             `);
 
+            // Itens do pedido (principal, order bumps e upsells anexados à conversa)
+            await this.query(`
+                CREATE TABLE IF NOT EXISTS order_items (
+                    id SERIAL PRIMARY KEY,
+                    conversation_id INTEGER NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+                    order_code VARCHAR(50) NOT NULL,
+                    sku VARCHAR(100) NOT NULL,
+                    name VARCHAR(255),
+                    product VARCHAR(10),
+                    quantity INTEGER DEFAULT 1,
+                    amount DECIMAL(10,2) DEFAULT 0,
+                    item_type VARCHAR(10) DEFAULT 'main',
+                    created_at TIMESTAMP DEFAULT NOW(),
+                    
+                    CONSTRAINT valid_item_type CHECK (item_type IN ('main', 'bump', 'upsell')),
+                    UNIQUE (order_code, sku)
+                );
+            `);
+
             // Criar tabela de eventos SEM suporte a final_check
             await this.query(`
                 CREATE TABLE IF NOT EXISTS events_queue (
@@ -240,7 +344,7 @@ class Database {
                     processed_at TIMESTAMP,
                     
                     CONSTRAINT valid_event_type CHECK (event_type != 'final_check'),
-                    CONSTRAINT event_type_allowed CHECK (event_type IN ('pix_timeout', 'venda_aprovada', 'resposta_01', 'resposta_02', 'resposta_03', 'convertido'))
+                    CONSTRAINT event_type_allowed CHECK (event_type IN (${toSqlList(EVENT_TYPES)}) OR event_type ~ '${FUNNEL_EVENT_REGEX}')
                 );
             `);
 
@@ -260,14 +364,329 @@ class Database {
                 );
             `);
 
+            // Criar tabela do log de segurança dos webhooks
+            await this.query(`
+                CREATE TABLE IF NOT EXISTS security_events (
+                    id SERIAL PRIMARY KEY,
+                    source VARCHAR(50) NOT NULL,
+                    reason VARCHAR(100) NOT NULL,
+                    ip VARCHAR(100),
+                    path VARCHAR(255),
+                    user_agent VARCHAR(255),
+                    order_code VARCHAR(50),
+                    headers JSONB,
+                    created_at TIMESTAMP DEFAULT NOW()
+                );
+            `);
+
+            // Criar caixa de entrada de webhooks (corpo bruto + resultado)
+            await this.query(`
+                CREATE TABLE IF NOT EXISTS webhook_inbox (
+                    id SERIAL PRIMARY KEY,
+                    source VARCHAR(30) NOT NULL,
+                    headers JSONB,
+                    payload JSONB,
+                    received_at TIMESTAMP DEFAULT NOW(),
+                    status VARCHAR(20) DEFAULT 'received',
+                    attempts INTEGER DEFAULT 0,
+                    error_message TEXT,
+                    response JSONB,
+                    processed_at TIMESTAMP,
+                    
+                    CONSTRAINT valid_inbox_status CHECK (status IN ('received', 'processed', 'failed', 'rejected'))
+                );
+            `);
+
+            // Criar registro de transições de status já aplicadas (idempotência)
+            await this.query(`
+                CREATE TABLE IF NOT EXISTS order_status_transitions (
+                    id SERIAL PRIMARY KEY,
+                    order_code VARCHAR(50) NOT NULL,
+                    status VARCHAR(30) NOT NULL,
+                    previous_status VARCHAR(30),
+                    event_id VARCHAR(100),
+                    state VARCHAR(20) DEFAULT 'completed',
+                    delivery_count INTEGER DEFAULT 1,
+                    first_received_at TIMESTAMP DEFAULT NOW(),
+                    last_received_at TIMESTAMP DEFAULT NOW(),
+                    claimed_at TIMESTAMP DEFAULT NOW(),
+                    completed_at TIMESTAMP,
+                    
+                    CONSTRAINT valid_transition_state CHECK (state IN ('processing', 'completed'))
+                );
+            `);
+
+            // Criar catálogo de produtos
+            await this.query(`
+                CREATE TABLE IF NOT EXISTS products (
+                    code VARCHAR(10) PRIMARY KEY,
+                    name VARCHAR(255) NOT NULL,
+                    active BOOLEAN DEFAULT true,
+                    pool_name VARCHAR(30),
+                    created_at TIMESTAMP DEFAULT NOW(),
+                    updated_at TIMESTAMP DEFAULT NOW()
+                );
+            `);
+
+            // Criar mapeamento código do plano -> produto
+            await this.query(`
+                CREATE TABLE IF NOT EXISTS product_plans (
+                    plan_code VARCHAR(50) PRIMARY KEY,
+                    product_code VARCHAR(10) NOT NULL REFERENCES products(code) ON DELETE CASCADE,
+                    description VARCHAR(255),
+                    created_at TIMESTAMP DEFAULT NOW()
+                );
+            `);
+
+            // Criar cadências de recuperação de PIX por produto ('*' = padrão)
+            await this.query(`
+                CREATE TABLE IF NOT EXISTS pix_recovery_stages (
+                    id SERIAL PRIMARY KEY,
+                    product_code VARCHAR(10) NOT NULL,
+                    stage INTEGER NOT NULL,
+                    delay_minutes INTEGER NOT NULL,
+                    active BOOLEAN DEFAULT true,
+                    created_at TIMESTAMP DEFAULT NOW(),
+                    
+                    CONSTRAINT unique_product_stage UNIQUE (product_code, stage),
+                    CONSTRAINT valid_stage CHECK (stage BETWEEN 1 AND 5),
+                    CONSTRAINT valid_delay CHECK (delay_minutes > 0)
+                );
+            `);
+
+            // Criar funis de resposta por produto e origem ('*' = qualquer)
+            await this.query(`
+                CREATE TABLE IF NOT EXISTS funnels (
+                    id SERIAL PRIMARY KEY,
+                    product_code VARCHAR(10) NOT NULL,
+                    origin VARCHAR(20) NOT NULL,
+                    steps JSONB NOT NULL,
+                    on_complete VARCHAR(10) DEFAULT 'complete',
+                    active BOOLEAN DEFAULT true,
+                    created_at TIMESTAMP DEFAULT NOW(),
+                    updated_at TIMESTAMP DEFAULT NOW(),
+                    
+                    CONSTRAINT unique_funnel UNIQUE (product_code, origin),
+                    CONSTRAINT valid_funnel_origin CHECK (origin IN ('*', 'aprovada', 'pix', 'boleto', 'cartao')),
+                    CONSTRAINT valid_on_complete CHECK (on_complete IN ('complete', 'keep'))
+                );
+            `);
+
+            // Etapas de funil por conversa (posição e horário de cada envio)
+            await this.query(`
+                CREATE TABLE IF NOT EXISTS conversation_steps (
+                    id SERIAL PRIMARY KEY,
+                    conversation_id INTEGER NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+                    step INTEGER NOT NULL,
+                    event_type VARCHAR(50) NOT NULL,
+                    status VARCHAR(10) DEFAULT 'sending',
+                    attempts INTEGER DEFAULT 1,
+                    attempted_at TIMESTAMP DEFAULT NOW(),
+                    sent_at TIMESTAMP,
+                    created_at TIMESTAMP DEFAULT NOW(),
+                    
+                    CONSTRAINT unique_conversation_step UNIQUE (conversation_id, step),
+                    CONSTRAINT valid_step_status CHECK (status IN ('sending', 'sent', 'failed'))
+                );
+            `);
+
+            // Léxicos de intenção das respostas do cliente por produto ('*' = todos)
+            await this.query(`
+                CREATE TABLE IF NOT EXISTS intent_lexicons (
+                    id SERIAL PRIMARY KEY,
+                    product_code VARCHAR(10) NOT NULL,
+                    intent VARCHAR(30) NOT NULL,
+                    patterns JSONB NOT NULL,
+                    action VARCHAR(10) DEFAULT 'branch',
+                    priority INTEGER DEFAULT 0,
+                    active BOOLEAN DEFAULT true,
+                    created_at TIMESTAMP DEFAULT NOW(),
+                    updated_at TIMESTAMP DEFAULT NOW(),
+                    
+                    CONSTRAINT unique_product_intent UNIQUE (product_code, intent),
+                    CONSTRAINT valid_intent_action CHECK (action IN ('advance', 'branch'))
+                );
+            `);
+
+            // Lista de não contatar (opt-out do cliente ou inclusão manual)
+            await this.query(`
+                CREATE TABLE IF NOT EXISTS suppression_list (
+                    phone VARCHAR(20) PRIMARY KEY,
+                    reason VARCHAR(20) DEFAULT 'manual',
+                    message TEXT,
+                    notes TEXT,
+                    created_at TIMESTAMP DEFAULT NOW(),
+                    
+                    CONSTRAINT valid_suppression_reason CHECK (reason IN ('opt_out', 'manual', 'complaint'))
+                );
+            `);
+
+            // Criar tabela de alertas do sistema
+            await this.query(`
+                CREATE TABLE IF NOT EXISTS system_alerts (
+                    id SERIAL PRIMARY KEY,
+                    type VARCHAR(50) NOT NULL,
+                    severity VARCHAR(10) DEFAULT 'warning',
+                    message TEXT NOT NULL,
+                    details JSONB,
+                    dedup_key VARCHAR(150) NOT NULL,
+                    occurrences INTEGER DEFAULT 1,
+                    acknowledged BOOLEAN DEFAULT false,
+                    created_at TIMESTAMP DEFAULT NOW(),
+                    last_seen_at TIMESTAMP DEFAULT NOW(),
+                    acknowledged_at TIMESTAMP,
+                    
+                    CONSTRAINT valid_severity CHECK (severity IN ('info', 'warning', 'critical'))
+                );
+            `);
+
+            // Aliases de JID do WhatsApp -> telefone do lead
+            await this.query(`
+                CREATE TABLE IF NOT EXISTS jid_aliases (
+                    jid VARCHAR(100) PRIMARY KEY,
+                    phone VARCHAR(20) NOT NULL,
+                    source VARCHAR(10) NOT NULL,
+                    instance_name VARCHAR(10),
+                    created_at TIMESTAMP DEFAULT NOW(),
+                    last_seen_at TIMESTAMP DEFAULT NOW(),
+                    
+                    CONSTRAINT valid_alias_source CHECK (source IN ('sent', 'reply', 'lookup', 'manual'))
+                );
+            `);
+
+            // Mensagens recebidas sem conversa correspondente (vínculo manual)
+            await this.query(`
+                CREATE TABLE IF NOT EXISTS orphan_messages (
+                    id SERIAL PRIMARY KEY,
+                    message_id VARCHAR(100) UNIQUE,
+                    remote_jid VARCHAR(100) NOT NULL,
+                    phone VARCHAR(20),
+                    instance_name VARCHAR(10),
+                    push_name VARCHAR(255),
+                    content TEXT,
+                    payload JSONB,
+                    status VARCHAR(10) DEFAULT 'pending',
+                    conversation_id INTEGER REFERENCES conversations(id) ON DELETE SET NULL,
+                    received_at TIMESTAMP DEFAULT NOW(),
+                    resolved_at TIMESTAMP,
+                    
+                    CONSTRAINT valid_orphan_status CHECK (status IN ('pending', 'linked', 'ignored'))
+                );
+            `);
+
+            // Registro de instâncias Evolution (apikey criptografada)
+            await this.query(`
+                CREATE TABLE IF NOT EXISTS instances (
+                    name VARCHAR(10) PRIMARY KEY,
+                    api_key_encrypted TEXT NOT NULL,
+                    description VARCHAR(255),
+                    active BOOLEAN DEFAULT true,
+                    weight NUMERIC(5,2) DEFAULT 1,
+                    daily_cap INTEGER,
+                    warmup_start_cap INTEGER,
+                    warmup_growth_pct NUMERIC(5,2) DEFAULT 20,
+                    warmup_started_at TIMESTAMP,
+                    offline_since TIMESTAMP,
+                    created_at TIMESTAMP DEFAULT NOW(),
+                    updated_at TIMESTAMP DEFAULT NOW(),
+                    
+                    CONSTRAINT valid_instance_weight CHECK (weight > 0),
+                    CONSTRAINT valid_instance_daily_cap CHECK (daily_cap IS NULL OR daily_cap > 0),
+                    CONSTRAINT valid_instance_warmup CHECK (warmup_start_cap IS NULL OR warmup_start_cap > 0)
+                );
+            `);
+
+            // Pools de instâncias por produto
+            await this.query(`
+                CREATE TABLE IF NOT EXISTS instance_pools (
+                    name VARCHAR(30) PRIMARY KEY,
+                    description VARCHAR(255),
+                    fallback_policy VARCHAR(10) DEFAULT 'shared',
+                    fallback_pool VARCHAR(30) REFERENCES instance_pools(name) ON DELETE SET NULL,
+                    created_at TIMESTAMP DEFAULT NOW(),
+                    updated_at TIMESTAMP DEFAULT NOW(),
+                    
+                    CONSTRAINT valid_fallback_policy CHECK (fallback_policy IN ('shared', 'pool', 'none'))
+                );
+            `);
+
+            await this.query(`
+                CREATE TABLE IF NOT EXISTS instance_pool_members (
+                    pool_name VARCHAR(30) NOT NULL REFERENCES instance_pools(name) ON DELETE CASCADE,
+                    instance_name VARCHAR(10) NOT NULL REFERENCES instances(name) ON DELETE CASCADE,
+                    created_at TIMESTAMP DEFAULT NOW(),
+                    
+                    PRIMARY KEY (pool_name, instance_name)
+                );
+            `);
+
+            // Histórico de atribuições de leads a instâncias
+            await this.query(`
+                CREATE TABLE IF NOT EXISTS instance_assignments (
+                    id SERIAL PRIMARY KEY,
+                    phone VARCHAR(20) NOT NULL,
+                    instance_name VARCHAR(10) NOT NULL,
+                    reason VARCHAR(30) NOT NULL,
+                    lead_count INTEGER,
+                    details JSONB,
+                    created_at TIMESTAMP DEFAULT NOW()
+                );
+            `);
+
+            // Auditoria de failover/rebalanceamento: conversas/leads movidos de instância
+            await this.query(`
+                CREATE TABLE IF NOT EXISTS instance_migrations (
+                    id SERIAL PRIMARY KEY,
+                    phone VARCHAR(20) NOT NULL,
+                    conversation_id INTEGER REFERENCES conversations(id) ON DELETE SET NULL,
+                    order_code VARCHAR(50),
+                    from_instance VARCHAR(10) NOT NULL,
+                    to_instance VARCHAR(10) NOT NULL,
+                    reason VARCHAR(30) NOT NULL,
+                    offline_since TIMESTAMP,
+                    event_sent BOOLEAN DEFAULT false,
+                    created_at TIMESTAMP DEFAULT NOW()
+                );
+            `);
+
+            // Migrações de dados já aplicadas (executadas uma única vez)
+            await this.query(`
+                CREATE TABLE IF NOT EXISTS schema_migrations (
+                    name VARCHAR(100) PRIMARY KEY,
+                    applied_at TIMESTAMP DEFAULT NOW(),
+                    result JSONB
+                );
+            `);
+
+            // Adicionar colunas se não existirem (migrações antigas)
+            // Antes dos índices: alguns índices usam colunas novas
+            await this.addMissingColumns();
+
             // Criar índices otimizados
             await this.createOptimizedIndexes();
 
             // Criar funções e triggers
             await this.createFunctionsAndTriggers();
 
-            // Adicionar colunas se não existirem (migrações antigas)
-            await this.addMissingColumns();
+            // Atualizar constraints de status/eventos em bancos já existentes
+            await this.updateConstraints();
+
+            // Popular catálogo de produtos na primeira execução
+            await this.seedProductCatalog();
+
+            // Cadência padrão de PIX: uma etapa com o timeout global
+            await this.query(`
+                INSERT INTO pix_recovery_stages (product_code, stage, delay_minutes)
+                SELECT '*', 1, $1
+                WHERE NOT EXISTS (SELECT 1 FROM pix_recovery_stages WHERE product_code = '*')
+            `, [Math.round((parseInt(process.env.PIX_TIMEOUT) || 420000) / 60000)]);
+
+            // Funil padrão: resposta_01 a resposta_03, conversa concluída na terceira
+            await this.query(`
+                INSERT INTO funnels (product_code, origin, steps)
+                SELECT '*', '*', '["resposta_01", "resposta_02", "resposta_03"]'
+                WHERE NOT EXISTS (SELECT 1 FROM funnels WHERE product_code = '*' AND origin = '*')
+            `);
 
             // Limpar dados antigos
             await this.query(`DELETE FROM system_logs WHERE created_at < NOW() - INTERVAL '7 days';`);
@@ -275,6 +694,12 @@ class Database {
             // Executar normalização de telefones existentes
             await this.normalizeExistingPhones();
 
+            // Migrações de dados pendentes (uma vez por banco)
+            await this.runDataMigrations();
+
+            // Vincular conversas antigas a clientes
+            await this.backfillCustomers();
+
             logger.info('✅ Migrações v3.2 executadas com sucesso');
 
         } catch (error) {
@@ -346,7 +771,44 @@ class Database {
                 'CREATE INDEX IF NOT EXISTS idx_system_logs_level ON system_logs(level)',
                 'CREATE INDEX IF NOT EXISTS idx_system_logs_created_at ON system_logs(created_at)',
                 'CREATE INDEX IF NOT EXISTS idx_system_logs_source ON system_logs(source)',
-                'CREATE INDEX IF NOT EXISTS idx_system_logs_level_created ON system_logs(level, created_at)'
+                'CREATE INDEX IF NOT EXISTS idx_system_logs_level_created ON system_logs(level, created_at)',
+                
+                // Security events
+                'CREATE INDEX IF NOT EXISTS idx_security_events_created_at ON security_events(created_at)',
+                'CREATE INDEX IF NOT EXISTS idx_security_events_source ON security_events(source)',
+                
+                // Webhook inbox
+                'CREATE INDEX IF NOT EXISTS idx_webhook_inbox_received_at ON webhook_inbox(received_at)',
+                'CREATE INDEX IF NOT EXISTS idx_webhook_inbox_source_status ON webhook_inbox(source, status)',
+                'CREATE INDEX IF NOT EXISTS idx_order_status_transitions_order ON order_status_transitions(order_code, id)',
+                'CREATE UNIQUE INDEX IF NOT EXISTS idx_order_status_transitions_event ON order_status_transitions(order_code, event_id) WHERE event_id IS NOT NULL',
+                
+                // Customers
+                'CREATE INDEX IF NOT EXISTS idx_customers_email ON customers(LOWER(email))',
+                'CREATE INDEX IF NOT EXISTS idx_customers_document ON customers(document)',
+                'CREATE INDEX IF NOT EXISTS idx_conversations_customer ON conversations(customer_id)',
+                
+                // Atribuição (relatório por campanha e afiliado)
+                'CREATE INDEX IF NOT EXISTS idx_conversations_utm_campaign ON conversations(utm_campaign)',
+                'CREATE INDEX IF NOT EXISTS idx_conversations_affiliate ON conversations(affiliate)',
+                
+                // Itens do pedido
+                'CREATE INDEX IF NOT EXISTS idx_order_items_conversation ON order_items(conversation_id)',
+                
+                // Aliases de JID e mensagens órfãs
+                'CREATE INDEX IF NOT EXISTS idx_jid_aliases_phone ON jid_aliases(phone)',
+                'CREATE INDEX IF NOT EXISTS idx_orphan_messages_status ON orphan_messages(status, received_at)',
+                'CREATE INDEX IF NOT EXISTS idx_instance_pool_members_instance ON instance_pool_members(instance_name)',
+                'CREATE INDEX IF NOT EXISTS idx_instance_assignments_phone ON instance_assignments(phone)',
+                'CREATE INDEX IF NOT EXISTS idx_instance_assignments_created_at ON instance_assignments(created_at)',
+                'CREATE INDEX IF NOT EXISTS idx_instance_migrations_created_at ON instance_migrations(created_at)',
+                
+                // Catálogo de produtos
+                'CREATE INDEX IF NOT EXISTS idx_product_plans_product ON product_plans(product_code)',
+                
+                // System alerts (uma ocorrência aberta por chave)
+                'CREATE UNIQUE INDEX IF NOT EXISTS idx_system_alerts_open_dedup ON system_alerts(dedup_key) WHERE acknowledged = false',
+                'CREATE INDEX IF NOT EXISTS idx_system_alerts_last_seen ON system_alerts(last_seen_at)'
             ];
             
             for (const indexQuery of indexes) {
@@ -383,14 +845,8 @@ class Database {
                 CREATE OR REPLACE FUNCTION normalize_phone_trigger()
                 RETURNS TRIGGER AS $$
                 BEGIN
+                    -- Regras de normalização ficam em services/phone.js; aqui só dígitos
                     NEW.phone_normalized = regexp_replace(NEW.phone, '\\D', '', 'g');
-                    
-                    IF length(NEW.phone_normalized) = 14 AND substring(NEW.phone_normalized, 1, 2) = '55' THEN
-                        IF substring(NEW.phone_normalized, 5, 1) = '9' AND substring(NEW.phone_normalized, 6, 1) != '9' THEN
-                            NEW.phone_normalized = substring(NEW.phone_normalized, 1, 4) || substring(NEW.phone_normalized, 6);
-                        END IF;
-                    END IF;
-                    
                     RETURN NEW;
                 END;
                 $$ language 'plpgsql';
@@ -436,9 +892,33 @@ class Database {
                 'ALTER TABLE conversations ADD COLUMN IF NOT EXISTS last_response_at TIMESTAMP',
                 'ALTER TABLE conversations ADD COLUMN IF NOT EXISTS conversion_response INTEGER',
                 'ALTER TABLE conversations ADD COLUMN IF NOT EXISTS phone_normalized VARCHAR(20)',
+                "ALTER TABLE conversations ADD COLUMN IF NOT EXISTS payment_method VARCHAR(20) DEFAULT 'pix'",
+                'ALTER TABLE conversations ADD COLUMN IF NOT EXISTS payment_url TEXT',
+                'ALTER TABLE conversations ADD COLUMN IF NOT EXISTS payment_due_at TIMESTAMP',
+                'ALTER TABLE conversations ADD COLUMN IF NOT EXISTS customer_id INTEGER REFERENCES customers(id)',
+                'ALTER TABLE conversations ADD COLUMN IF NOT EXISTS utm_source VARCHAR(255)',
+                'ALTER TABLE conversations ADD COLUMN IF NOT EXISTS utm_medium VARCHAR(255)',
+                'ALTER TABLE conversations ADD COLUMN IF NOT EXISTS utm_campaign VARCHAR(255)',
+                'ALTER TABLE conversations ADD COLUMN IF NOT EXISTS utm_content VARCHAR(255)',
+                'ALTER TABLE conversations ADD COLUMN IF NOT EXISTS affiliate VARCHAR(255)',
+                'ALTER TABLE conversations ADD COLUMN IF NOT EXISTS quarantine_reason VARCHAR(50)',
+                'ALTER TABLE conversations ADD COLUMN IF NOT EXISTS quarantined_order JSONB',
+                'ALTER TABLE conversations ADD COLUMN IF NOT EXISTS last_step_event VARCHAR(50)',
+                'ALTER TABLE products ADD COLUMN IF NOT EXISTS pool_name VARCHAR(30)',
+                'ALTER TABLE instances ADD COLUMN IF NOT EXISTS weight NUMERIC(5,2) DEFAULT 1',
+                'ALTER TABLE instances ADD COLUMN IF NOT EXISTS daily_cap INTEGER',
+                'ALTER TABLE instances ADD COLUMN IF NOT EXISTS warmup_start_cap INTEGER',
+                'ALTER TABLE instances ADD COLUMN IF NOT EXISTS warmup_growth_pct NUMERIC(5,2) DEFAULT 20',
+                'ALTER TABLE instances ADD COLUMN IF NOT EXISTS warmup_started_at TIMESTAMP',
+                'ALTER TABLE instances ADD COLUMN IF NOT EXISTS offline_since TIMESTAMP',
+                'ALTER TABLE order_status_transitions ADD COLUMN IF NOT EXISTS event_id VARCHAR(100)',
+                "ALTER TABLE order_status_transitions ADD COLUMN IF NOT EXISTS state VARCHAR(20) DEFAULT 'completed'",
+                'ALTER TABLE order_status_transitions ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMP DEFAULT NOW()',
+                'ALTER TABLE order_status_transitions ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP',
                 'ALTER TABLE messages ADD COLUMN IF NOT EXISTS response_number INTEGER',
                 'ALTER TABLE messages ADD COLUMN IF NOT EXISTS is_duplicate BOOLEAN DEFAULT FALSE',
                 'ALTER TABLE messages ADD COLUMN IF NOT EXISTS processed_at TIMESTAMP',
+                'ALTER TABLE messages ADD COLUMN IF NOT EXISTS intent VARCHAR(30)',
                 'ALTER TABLE events_queue ADD COLUMN IF NOT EXISTS error_message TEXT',
                 'ALTER TABLE events_queue ADD COLUMN IF NOT EXISTS processing_started_at TIMESTAMP',
                 'ALTER TABLE events_queue ADD COLUMN IF NOT EXISTS processed_at TIMESTAMP',
@@ -463,6 +943,105 @@ class Database {
         }
     }
 
+    /**
+     * Recriar constraints de status e tipos de evento
+     * (CREATE TABLE IF NOT EXISTS não altera tabelas antigas)
+     */
+    async updateConstraints() {
+        try {
+            // Produtos agora vêm do catálogo (tabela products)
+            await this.query('ALTER TABLE conversations DROP CONSTRAINT IF EXISTS valid_product');
+
+            await this.query('ALTER TABLE conversations DROP CONSTRAINT IF EXISTS valid_status');
+            await this.query(`
+                ALTER TABLE conversations ADD CONSTRAINT valid_status 
+                CHECK (status IN (${toSqlList(CONVERSATION_STATUSES)}))
+            `);
+
+            await this.query('ALTER TABLE events_queue DROP CONSTRAINT IF EXISTS event_type_allowed');
+            await this.query(`
+                ALTER TABLE events_queue ADD CONSTRAINT event_type_allowed 
+                CHECK (event_type IN (${toSqlList(EVENT_TYPES)}) OR event_type ~ '${FUNNEL_EVENT_REGEX}')
+            `);
+
+            // Mesmo status pode voltar (pending → approved → pending): idempotência por transição
+            await this.query('ALTER TABLE order_status_transitions DROP CONSTRAINT IF EXISTS unique_order_status');
+            await this.query('ALTER TABLE order_status_transitions DROP CONSTRAINT IF EXISTS valid_transition_state');
+            await this.query(`
+                ALTER TABLE order_status_transitions ADD CONSTRAINT valid_transition_state
+                CHECK (state IN ('processing', 'completed'))
+            `);
+
+            logger.info('✅ Constraints de status e eventos atualizadas');
+
+        } catch (error) {
+            logger.error(`❌ Erro ao atualizar constraints: ${error.message}`, error);
+        }
+    }
+
+    /**
+     * Popular catálogo com os produtos e planos iniciais
+     * Só executa com o catálogo vazio, para não recriar itens removidos pelo dashboard
+     */
+    async seedProductCatalog() {
+        try {
+            const existing = await this.query('SELECT COUNT(*) as count FROM products');
+            if (parseInt(existing.rows[0].count) > 0) {
+                return;
+            }
+
+            await this.transaction([
+                {
+                    text: `INSERT INTO products (code, name) VALUES
+                        ('FAB', 'FAB'), ('NAT', 'NAT'), ('CS', 'CS')
+                        ON CONFLICT (code) DO NOTHING`
+                },
+                {
+                    text: `INSERT INTO product_plans (plan_code, product_code) VALUES
+                        ('PPLQQM9AP', 'FAB'), ('PPLQQMAGU', 'FAB'), ('PPLQQMADF', 'FAB'),
+                        ('PPLQQN0FT', 'NAT'),
+                        ('PPLQQMSFH', 'CS'), ('PPLQQMSFI', 'CS')
+                        ON CONFLICT (plan_code) DO NOTHING`
+                }
+            ]);
+
+            logger.info('📦 Catálogo de produtos populado com os planos iniciais');
+
+        } catch (error) {
+            logger.error(`❌ Erro ao popular catálogo de produtos: ${error.message}`, error);
+        }
+    }
+
+    /**
+     * Criar clientes para conversas sem cliente vinculado (dados anteriores à tabela customers)
+     */
+    async backfillCustomers() {
+        try {
+            await this.query(`
+                INSERT INTO customers (phone, full_name, first_seen_at)
+                SELECT DISTINCT ON (phone) phone, client_name, created_at
+                FROM conversations
+                WHERE customer_id IS NULL AND phone IS NOT NULL AND phone != ''
+                ORDER BY phone, created_at DESC
+                ON CONFLICT (phone) DO NOTHING
+            `);
+
+            const linked = await this.query(`
+                UPDATE conversations c
+                SET customer_id = cu.id
+                FROM customers cu
+                WHERE c.customer_id IS NULL AND cu.phone = c.phone
+            `);
+
+            if (linked.rowCount > 0) {
+                logger.info(`👤 ${linked.rowCount} conversa(s) vinculada(s) a clientes`);
+            }
+
+        } catch (error) {
+            logger.error(`❌ Erro ao vincular conversas a clientes: ${error.message}`, error);
+        }
+    }
+
     /**
      * NOVA FUNÇÃO - Normalizar telefones existentes
      */
@@ -473,14 +1052,7 @@ class Database {
             // Normalizar na tabela conversations
             const convResult = await this.query(`
                 UPDATE conversations SET 
-                    phone_normalized = CASE
-                        WHEN length(regexp_replace(phone, '\\D', '', 'g')) = 14 
-                             AND substring(regexp_replace(phone, '\\D', '', 'g'), 1, 2) = '55'
-                             AND substring(regexp_replace(phone, '\\D', '', 'g'), 5, 1) = '9'
-                             AND substring(regexp_replace(phone, '\\D', '', 'g'), 6, 1) != '9'
-                        THEN substring(regexp_replace(phone, '\\D', '', 'g'), 1, 4) || substring(regexp_replace(phone, '\\D', '', 'g'), 6)
-                        ELSE regexp_replace(phone, '\\D', '', 'g')
-                    END
+                    phone_normalized = regexp_replace(phone, '\\D', '', 'g')
                 WHERE phone_normalized IS NULL OR phone_normalized = ''
             `);
             
@@ -493,6 +1065,178 @@ class Database {
         }
     }
 
+    /**
+     * Executar migrações de dados ainda não aplicadas
+     * Cada uma roda uma única vez e fica registrada em schema_migrations
+     */
+    async runDataMigrations() {
+        const migrations = [
+            { name: '2026_10_phone_e164', run: () => this.renormalizePhones() },
+            { name: '2026_10_conversation_steps', run: () => this.backfillConversationSteps() },
+            { name: '2026_10_inbox_redact_secrets', run: () => this.redactInboxSecrets() }
+        ];
+
+        for (const migration of migrations) {
+            const applied = await this.query('SELECT 1 FROM schema_migrations WHERE name = $1', [migration.name]);
+            if (applied.rows.length > 0) {
+                continue;
+            }
+
+            logger.info(`🔧 Executando migração de dados: ${migration.name}`);
+            const result = await migration.run();
+
+            await this.query(
+                'INSERT INTO schema_migrations (name, result) VALUES ($1, $2)',
+                [migration.name, JSON.stringify(result || {})]
+            );
+            logger.info(`✅ Migração ${migration.name} aplicada: ${JSON.stringify(result || {})}`);
+        }
+    }
+
+    /**
+     * Remover token (Perfect Pay) e hottok (Hotmart) dos corpos já guardados
+     * na inbox - antes o corpo era gravado inteiro
+     */
+    async redactInboxSecrets() {
+        const result = await this.query(`
+            UPDATE webhook_inbox
+            SET payload = payload - 'token' - 'hottok'
+            WHERE source IN ('perfect', 'hotmart')
+              AND jsonb_typeof(payload) = 'object'
+              AND (payload ? 'token' OR payload ? 'hottok')
+        `);
+
+        return { entries: result.rowCount };
+    }
+
+    /**
+     * Popular conversation_steps a partir do histórico de mensagens
+     * (antes a etapa era deduzida dos system_event "<evento> enviada ao N8N")
+     */
+    async backfillConversationSteps() {
+        const steps = await this.query(`
+            INSERT INTO conversation_steps (conversation_id, step, event_type, status, attempted_at, sent_at, created_at)
+            SELECT conversation_id,
+                   ROW_NUMBER() OVER (PARTITION BY conversation_id ORDER BY first_sent_at),
+                   event_type, 'sent', first_sent_at, first_sent_at, first_sent_at
+            FROM (
+                SELECT conversation_id,
+                       substring(content from '^([a-z0-9_]+) enviada ao N8N$') as event_type,
+                       MIN(created_at) as first_sent_at
+                FROM messages
+                WHERE type = 'system_event'
+                  AND content ~ '^(resposta|funil)_[a-z0-9_]+ enviada ao N8N$'
+                GROUP BY 1, 2
+            ) sent
+            ON CONFLICT (conversation_id, step) DO NOTHING
+        `);
+
+        const conversations = await this.query(`
+            UPDATE conversations c
+            SET responses_count = GREATEST(c.responses_count, last.step),
+                last_step_event = last.event_type,
+                last_response_at = COALESCE(c.last_response_at, last.sent_at)
+            FROM (
+                SELECT DISTINCT ON (conversation_id) conversation_id, step, event_type, sent_at
+                FROM conversation_steps
+                ORDER BY conversation_id, step DESC
+            ) last
+            WHERE last.conversation_id = c.id
+        `);
+
+        return { steps: steps.rowCount, conversations: conversations.rowCount };
+    }
+
+    /**
+     * Renormalizar telefones gravados com as regras de services/phone.js
+     * (nono dígito e E.164). Leads e clientes que passam a ter o mesmo
+     * telefone são mesclados no registro que já usava o formato correto.
+     */
+    async renormalizePhones() {
+        const result = { conversations: 0, leads: 0, leads_merged: 0, customers: 0, customers_merged: 0 };
+
+        // Conversas (phone_normalized é recalculado pelo trigger)
+        const convPhones = await this.query('SELECT DISTINCT phone FROM conversations');
+        for (const { phone } of convPhones.rows) {
+            const normalized = phoneService.normalize(phone);
+            if (normalized && normalized !== phone) {
+                const updated = await this.query('UPDATE conversations SET phone = $2 WHERE phone = $1', [phone, normalized]);
+                result.conversations += updated.rowCount;
+            }
+        }
+
+        // Leads (telefone é a chave primária)
+        const leads = await this.query('SELECT phone FROM leads');
+        for (const { phone } of leads.rows) {
+            const normalized = phoneService.normalize(phone);
+            if (!normalized || normalized === phone) {
+                continue;
+            }
+
+            const existing = await this.query('SELECT 1 FROM leads WHERE phone = $1', [normalized]);
+            if (existing.rows.length === 0) {
+                await this.query('UPDATE leads SET phone = $2 WHERE phone = $1', [phone, normalized]);
+                result.leads++;
+                continue;
+            }
+
+            await this.transaction([
+                {
+                    text: `
+                        UPDATE leads SET
+                            total_conversations = leads.total_conversations + old.total_conversations,
+                            first_contact_date = LEAST(leads.first_contact_date, old.first_contact_date),
+                            last_conversation_date = GREATEST(leads.last_conversation_date, old.last_conversation_date),
+                            created_at = LEAST(leads.created_at, old.created_at)
+                        FROM leads old
+                        WHERE leads.phone = $2 AND old.phone = $1
+                    `,
+                    params: [phone, normalized]
+                },
+                { text: 'DELETE FROM leads WHERE phone = $1', params: [phone] }
+            ]);
+            result.leads_merged++;
+        }
+
+        // Clientes (telefone único)
+        const customers = await this.query('SELECT id, phone FROM customers WHERE phone IS NOT NULL');
+        for (const { id, phone } of customers.rows) {
+            const normalized = phoneService.normalize(phone);
+            if (!normalized || normalized === phone) {
+                continue;
+            }
+
+            const existing = await this.query('SELECT id FROM customers WHERE phone = $1', [normalized]);
+            if (existing.rows.length === 0) {
+                await this.query('UPDATE customers SET phone = $2 WHERE id = $1', [id, normalized]);
+                result.customers++;
+                continue;
+            }
+
+            const targetId = existing.rows[0].id;
+            await this.transaction([
+                { text: 'UPDATE conversations SET customer_id = $2 WHERE customer_id = $1', params: [id, targetId] },
+                {
+                    text: `
+                        UPDATE customers SET
+                            email = COALESCE(customers.email, old.email),
+                            document = COALESCE(customers.document, old.document),
+                            full_name = COALESCE(customers.full_name, old.full_name),
+                            first_seen_at = LEAST(customers.first_seen_at, old.first_seen_at),
+                            last_seen_at = GREATEST(customers.last_seen_at, old.last_seen_at)
+                        FROM customers old
+                        WHERE customers.id = $2 AND old.id = $1
+                    `,
+                    params: [id, targetId]
+                },
+                { text: 'DELETE FROM customers WHERE id = $1', params: [id] }
+            ]);
+            result.customers_merged++;
+        }
+
+        return result;
+    }
+
     /**
      * Limpar dados antigos CORRIGIDA (sem final_check)
      */
@@ -503,7 +1247,7 @@ class Database {
             // Limpar conversas antigas completadas
             const deletedConversations = await this.query(`
                 DELETE FROM conversations 
-                WHERE status IN ('completed', 'timeout', 'convertido') AND updated_at < $1
+                WHERE status IN ('completed', 'timeout', 'convertido', 'refunded', 'chargeback', 'cancelled', 'expired', 'card_declined') AND updated_at < $1
                 RETURNING id;
             `, [cutoffDate]);
 
@@ -521,6 +1265,29 @@ class Database {
                 RETURNING id;
             `);
 
+            // Limpar inbox de webhooks (retenção maior; falhas são mantidas para replay)
+            await this.query(`
+                DELETE FROM webhook_inbox 
+                WHERE status IN ('processed', 'rejected') AND received_at < NOW() - INTERVAL '30 days'
+            `);
+
+            // Limpar alertas já reconhecidos
+            await this.query(`
+                DELETE FROM system_alerts
+                WHERE acknowledged = true AND acknowledged_at < NOW() - INTERVAL '30 days'
+            `);
+
+            // Limpar mensagens órfãs já resolvidas
+            await this.query(`
+                DELETE FROM orphan_messages
+                WHERE status != 'pending' AND resolved_at < NOW() - INTERVAL '30 days'
+            `);
+
+            // Limpar histórico de atribuições antigo
+            await this.query(`
+                DELETE FROM instance_assignments WHERE created_at < NOW() - INTERVAL '90 days'
+            `);
+
             // Limpar logs antigos
             const deletedLogs = await this.query(`
                 DELETE FROM system_logs 
@@ -856,51 +1623,109 @@ class Database {
     }
 
     /**
-     * NOVA FUNÇÃO - Rebalancear instâncias
+     * Rebalancear leads entre instâncias conforme o peso de cada uma
+     * Considera leads dos últimos 30 dias (mesma janela do balanceamento) em
+     * instâncias ativas, online e fora de pools de produto (números dedicados
+     * não recebem leads de outros produtos); leads com conversa em andamento
+     * não se movem.
+     * dryRun (padrão) só devolve o plano; com dryRun false aplica em transação
+     * e registra cada movimento em instance_migrations (reason 'rebalance').
      */
-    async rebalanceInstances() {
+    async rebalanceInstances({ dryRun = true, tolerance = REBALANCE_TOLERANCE } = {}) {
         try {
-            logger.info('⚖️ Rebalanceando distribuição de instâncias...');
-            
-            // Obter estatísticas atuais
-            const currentDistribution = await this.query(`
-                SELECT instance_name, COUNT(*) as count
-                FROM leads 
-                WHERE created_at >= NOW() - INTERVAL '30 days'
-                GROUP BY instance_name 
-                ORDER BY count DESC
+            logger.info(`⚖️ Rebalanceando distribuição de instâncias${dryRun ? ' (simulação)' : ''}...`);
+
+            const instances = await this.query(`
+                SELECT i.name, i.weight, COUNT(l.phone) as count
+                FROM instances i
+                LEFT JOIN leads l ON l.instance_name = i.name AND l.created_at >= NOW() - INTERVAL '30 days'
+                WHERE i.active = true AND i.offline_since IS NULL
+                  AND NOT EXISTS (SELECT 1 FROM instance_pool_members m WHERE m.instance_name = i.name)
+                GROUP BY i.name, i.weight
+                ORDER BY i.name
             `);
 
             const rebalanceInfo = {
                 timestamp: new Date().toISOString(),
-                before: currentDistribution.rows,
+                dry_run: dryRun,
+                before: instances.rows.map(row => ({ instance_name: row.name, count: parseInt(row.count) })),
+                targets: [],
+                moves: [],
                 actions_taken: [],
                 after: null
             };
 
-            // Identificar instâncias com muitos leads vs poucas
-            const counts = currentDistribution.rows.map(row => parseInt(row.count));
-            const maxCount = Math.max(...counts);
-            const minCount = Math.min(...counts);
-            const difference = maxCount - minCount;
+            if (instances.rows.length < 2) {
+                rebalanceInfo.actions_taken.push({ action: 'no_action_needed', reason: 'Menos de duas instâncias ativas e online fora de pools' });
+                return rebalanceInfo;
+            }
 
-            if (difference > 5) {
-                logger.info(`📊 Diferença detectada: ${difference} leads entre instâncias mais/menos carregadas`);
-                
-                // Por enquanto, apenas log - rebalanceamento real pode ser complexo
-                rebalanceInfo.actions_taken.push({
-                    action: 'analysis_only',
-                    difference: difference,
-                    recommendation: 'Considerar redistribuição manual se necessário'
-                });
-            } else {
+            const targets = this.computeRebalanceTargets(instances.rows);
+            rebalanceInfo.targets = targets;
+
+            const maxDeviation = Math.max(...targets.map(target => Math.abs(target.count - target.target)));
+            if (maxDeviation <= tolerance) {
                 logger.info('✅ Distribuição equilibrada, nenhuma ação necessária');
                 rebalanceInfo.actions_taken.push({
                     action: 'no_action_needed',
-                    reason: 'Distribuição já equilibrada'
+                    reason: `Distribuição já equilibrada (desvio máximo ${maxDeviation} leads)`
                 });
+                return rebalanceInfo;
             }
 
+            const moves = await this.planRebalanceMoves(targets);
+            rebalanceInfo.moves = moves;
+            rebalanceInfo.after = targets.map(target => ({
+                instance_name: target.name,
+                count: target.count -
+                    moves.filter(move => move.from === target.name).length +
+                    moves.filter(move => move.to === target.name).length
+            }));
+
+            if (moves.length === 0) {
+                rebalanceInfo.actions_taken.push({
+                    action: 'no_movable_leads',
+                    reason: 'Leads excedentes têm conversas em andamento'
+                });
+                return rebalanceInfo;
+            }
+
+            if (dryRun) {
+                rebalanceInfo.actions_taken.push({ action: 'plan_only', moves: moves.length });
+                return rebalanceInfo;
+            }
+
+            // Aplicar: só move se o lead continua na origem e sem conversa ativa
+            const [applied] = await this.transaction([{
+                text: `
+                    WITH plan AS (
+                        SELECT * FROM unnest($1::VARCHAR[], $2::VARCHAR[], $3::VARCHAR[]) AS p(phone, from_instance, to_instance)
+                    ),
+                    moved AS (
+                        UPDATE leads l
+                        SET instance_name = plan.to_instance, updated_at = NOW()
+                        FROM plan
+                        WHERE l.phone = plan.phone
+                          AND l.instance_name = plan.from_instance
+                          AND NOT EXISTS (
+                              SELECT 1 FROM conversations c
+                              WHERE c.phone = l.phone AND ${inFunnelCondition('c')}
+                          )
+                        RETURNING l.phone, plan.from_instance, plan.to_instance
+                    )
+                    INSERT INTO instance_migrations (phone, from_instance, to_instance, reason)
+                    SELECT phone, from_instance, to_instance, 'rebalance' FROM moved
+                `,
+                params: [
+                    moves.map(move => move.phone),
+                    moves.map(move => move.from),
+                    moves.map(move => move.to)
+                ]
+            }]);
+
+            logger.info(`⚖️ Rebalanceamento aplicado: ${applied.rowCount} de ${moves.length} lead(s) movido(s)`);
+            rebalanceInfo.actions_taken.push({ action: 'rebalanced', planned: moves.length, moved: applied.rowCount });
+
             return rebalanceInfo;
 
         } catch (error) {
@@ -911,6 +1736,74 @@ class Database {
             };
         }
     }
+
+    /**
+     * Meta de leads por instância proporcional ao peso (maiores restos)
+     */
+    computeRebalanceTargets(rows) {
+        const total = rows.reduce((sum, row) => sum + parseInt(row.count), 0);
+        const totalWeight = rows.reduce((sum, row) => sum + parseFloat(row.weight), 0);
+
+        const targets = rows.map(row => {
+            const exact = total * parseFloat(row.weight) / totalWeight;
+            return {
+                name: row.name,
+                weight: parseFloat(row.weight),
+                count: parseInt(row.count),
+                target: Math.floor(exact),
+                remainder: exact - Math.floor(exact)
+            };
+        });
+
+        let missing = total - targets.reduce((sum, target) => sum + target.target, 0);
+        [...targets].sort((a, b) => b.remainder - a.remainder).forEach(target => {
+            if (missing > 0) {
+                target.target++;
+                missing--;
+            }
+        });
+
+        return targets.map(({ remainder, ...target }) => target);
+    }
+
+    /**
+     * Escolher leads excedentes (sem conversa ativa, menos recentes primeiro)
+     * e distribuí-los entre as instâncias abaixo da meta
+     */
+    async planRebalanceMoves(targets) {
+        const deficits = targets
+            .filter(target => target.count < target.target)
+            .map(target => ({ name: target.name, missing: target.target - target.count }));
+
+        const moves = [];
+
+        for (const target of targets.filter(target => target.count > target.target)) {
+            const surplus = target.count - target.target;
+
+            const movable = await this.query(`
+                SELECT l.phone FROM leads l
+                WHERE l.instance_name = $1
+                  AND l.created_at >= NOW() - INTERVAL '30 days'
+                  AND NOT EXISTS (
+                      SELECT 1 FROM conversations c
+                      WHERE c.phone = l.phone AND ${inFunnelCondition('c')}
+                  )
+                ORDER BY l.updated_at ASC
+                LIMIT $2
+            `, [target.name, surplus]);
+
+            for (const lead of movable.rows) {
+                const destination = deficits.find(deficit => deficit.missing > 0);
+                if (!destination) {
+                    break;
+                }
+                destination.missing--;
+                moves.push({ phone: lead.phone, from: target.name, to: destination.name });
+            }
+        }
+
+        return moves;
+    }
 }
 
 // Instância única do banco
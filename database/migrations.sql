@@ -18,6 +18,20 @@ CREATE TABLE leads (
     last_conversation_date TIMESTAMP
 );
 
+-- Criar tabela de clientes (um por telefone normalizado; email/CPF como identificadores secundários)
+DROP TABLE IF EXISTS customers CASCADE;
+CREATE TABLE customers (
+    id SERIAL PRIMARY KEY,
+    phone VARCHAR(20) UNIQUE,
+    email VARCHAR(255),
+    document VARCHAR(20), -- CPF/CNPJ só dígitos
+    full_name VARCHAR(255),
+    first_seen_at TIMESTAMP DEFAULT NOW(),
+    last_seen_at TIMESTAMP DEFAULT NOW(),
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
 -- Criar tabela de conversas - CORRIGIDA
 DROP TABLE IF EXISTS conversations CASCADE;
 CREATE TABLE conversations (
@@ -25,7 +39,7 @@ CREATE TABLE conversations (
     phone VARCHAR(20) NOT NULL,
     order_code VARCHAR(50) UNIQUE NOT NULL,
     product VARCHAR(10),
-    status VARCHAR(20) DEFAULT 'pix_pending', -- 'pix_pending', 'approved', 'completed', 'timeout', 'convertido'
+    status VARCHAR(20) DEFAULT 'pix_pending', -- 'pix_pending', 'approved', 'completed', 'timeout', 'convertido', 'refunded', 'chargeback', 'cancelled', 'expired', 'in_dispute'
     current_step INTEGER DEFAULT 0,
     responses_count INTEGER DEFAULT 0,
     instance_name VARCHAR(10),
@@ -40,9 +54,28 @@ CREATE TABLE conversations (
     conversion_response INTEGER, -- qual resposta gerou conversão
     phone_normalized VARCHAR(20), -- telefone já normalizado
     
+    -- Forma de pagamento (pix, boleto, credit_card)
+    payment_method VARCHAR(20) DEFAULT 'pix',
+    payment_url TEXT, -- link do boleto/pagamento (pix_url só para PIX)
+    payment_due_at TIMESTAMP, -- vencimento do boleto
+    customer_id INTEGER REFERENCES customers(id),
+    
+    -- Atribuição da venda (UTMs e afiliado do gateway)
+    utm_source VARCHAR(255),
+    utm_medium VARCHAR(255),
+    utm_campaign VARCHAR(255),
+    utm_content VARCHAR(255),
+    affiliate VARCHAR(255),
+    
+    -- Quarentena de telefone inválido (pedido normalizado guardado para replay)
+    quarantine_reason VARCHAR(50),
+    quarantined_order JSONB,
+    
+    -- Funil: última etapa enviada (posição em responses_count, histórico em conversation_steps)
+    last_step_event VARCHAR(50),
+    
     -- Índices de performance
-    CONSTRAINT valid_status CHECK (status IN ('pix_pending', 'approved', 'completed', 'timeout', 'convertido')),
-    CONSTRAINT valid_product CHECK (product IN ('FAB', 'NAT', 'CS', 'UNKNOWN'))
+    CONSTRAINT valid_status CHECK (status IN ('pix_pending', 'approved', 'completed', 'timeout', 'convertido', 'refunded', 'chargeback', 'cancelled', 'expired', 'in_dispute', 'boleto_pending', 'card_declined', 'quarantined'))
 );
 
 -- Criar tabela de mensagens - CORRIGIDA
@@ -59,11 +92,30 @@ CREATE TABLE messages (
     response_number INTEGER, -- para respostas do cliente (1, 2, 3)
     is_duplicate BOOLEAN DEFAULT FALSE,
     processed_at TIMESTAMP,
+    intent VARCHAR(30), -- intenção detectada na resposta do cliente (services/intent.js)
     
     CONSTRAINT valid_type CHECK (type IN ('sent', 'received', 'system_event', 'n8n_sent')),
     CONSTRAINT valid_status CHECK (status IN ('pending', 'sent', 'delivered', 'failed', 'duplicate', 'ignored'))
 );
 
+-- Itens do pedido: produto principal, order bumps e upsells anexados à conversa original
+DROP TABLE IF EXISTS order_items CASCADE;
+CREATE TABLE order_items (
+    id SERIAL PRIMARY KEY,
+    conversation_id INTEGER NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+    order_code VARCHAR(50) NOT NULL, -- pedido do gateway que originou o item
+    sku VARCHAR(100) NOT NULL, -- código do plano/oferta no gateway
+    name VARCHAR(255),
+    product VARCHAR(10), -- produto do catálogo (item principal ou upsell)
+    quantity INTEGER DEFAULT 1,
+    amount DECIMAL(10,2) DEFAULT 0,
+    item_type VARCHAR(10) DEFAULT 'main', -- 'main', 'bump', 'upsell'
+    created_at TIMESTAMP DEFAULT NOW(),
+    
+    CONSTRAINT valid_item_type CHECK (item_type IN ('main', 'bump', 'upsell')),
+    UNIQUE (order_code, sku)
+);
+
 -- Criar tabela de eventos CORRIGIDA (sem final_check)
 DROP TABLE IF EXISTS events_queue CASCADE;
 CREATE TABLE events_queue (
@@ -86,7 +138,12 @@ CREATE TABLE events_queue (
     
     -- CONSTRAINT: não permitir final_check
     CONSTRAINT valid_event_type CHECK (event_type != 'final_check'),
-    CONSTRAINT event_type_allowed CHECK (event_type IN ('pix_timeout', 'venda_aprovada', 'resposta_01', 'resposta_02', 'resposta_03', 'convertido'))
+    CONSTRAINT event_type_allowed CHECK (event_type IN ('pix_timeout', 'venda_aprovada', 'resposta_01', 'resposta_02', 'resposta_03', 'convertido',
+                                                        'venda_reembolsada', 'venda_chargeback', 'venda_cancelada', 'venda_expirada', 'venda_em_disputa',
+                                                        'boleto_lembrete', 'boleto_vencido', 'cartao_recusado',
+                                                        'pix_recuperacao_02', 'pix_recuperacao_03', 'pix_recuperacao_04', 'pix_recuperacao_05',
+                                                        'upsell_aprovado', 'instancia_migrada')
+                                    OR event_type ~ '^(resposta|funil|intencao)_[a-z0-9_]+$') -- etapas de funis e intenções configurados
 );
 
 -- Criar tabela de logs do sistema - MELHORADA
@@ -106,6 +163,305 @@ CREATE TABLE system_logs (
     CONSTRAINT valid_level CHECK (level IN ('error', 'warn', 'info', 'debug'))
 );
 
+-- Criar tabela de log de segurança dos webhooks
+DROP TABLE IF EXISTS security_events CASCADE;
+CREATE TABLE security_events (
+    id SERIAL PRIMARY KEY,
+    source VARCHAR(50) NOT NULL, -- 'perfect', ...
+    reason VARCHAR(100) NOT NULL, -- 'missing_token', 'invalid_token', 'invalid_signature'
+    ip VARCHAR(100),
+    path VARCHAR(255),
+    user_agent VARCHAR(255),
+    order_code VARCHAR(50),
+    headers JSONB, -- sem headers sensíveis
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Criar caixa de entrada de webhooks (corpo bruto guardado antes do processamento)
+DROP TABLE IF EXISTS webhook_inbox CASCADE;
+CREATE TABLE webhook_inbox (
+    id SERIAL PRIMARY KEY,
+    source VARCHAR(30) NOT NULL, -- 'perfect', 'evolution', 'n8n-confirm'
+    headers JSONB,
+    payload JSONB,
+    received_at TIMESTAMP DEFAULT NOW(),
+    status VARCHAR(20) DEFAULT 'received', -- 'received', 'processed', 'failed', 'rejected'
+    attempts INTEGER DEFAULT 0,
+    error_message TEXT,
+    response JSONB,
+    processed_at TIMESTAMP,
+    
+    CONSTRAINT valid_inbox_status CHECK (status IN ('received', 'processed', 'failed', 'rejected'))
+);
+
+-- Criar registro de transições de status já aplicadas (idempotência de reentregas)
+DROP TABLE IF EXISTS order_status_transitions CASCADE;
+CREATE TABLE order_status_transitions (
+    id SERIAL PRIMARY KEY,
+    order_code VARCHAR(50) NOT NULL,
+    status VARCHAR(30) NOT NULL, -- status do gateway (approved, pending, refunded...)
+    previous_status VARCHAR(30), -- último status concluído do pedido
+    event_id VARCHAR(100), -- id da notificação do gateway (Hotmart, Eduzz)
+    state VARCHAR(20) DEFAULT 'completed', -- processing enquanto a primeira entrega processa
+    delivery_count INTEGER DEFAULT 1, -- quantas vezes a mesma transição foi entregue
+    first_received_at TIMESTAMP DEFAULT NOW(),
+    last_received_at TIMESTAMP DEFAULT NOW(),
+    claimed_at TIMESTAMP DEFAULT NOW(),
+    completed_at TIMESTAMP,
+    
+    CONSTRAINT valid_transition_state CHECK (state IN ('processing', 'completed'))
+);
+
+-- Criar catálogo de produtos (substitui o mapeamento fixo no código)
+DROP TABLE IF EXISTS products CASCADE;
+CREATE TABLE products (
+    code VARCHAR(10) PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    active BOOLEAN DEFAULT true,
+    pool_name VARCHAR(30), -- pool de instâncias do produto (NULL = grupo compartilhado)
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Criar mapeamento código do plano -> produto
+DROP TABLE IF EXISTS product_plans CASCADE;
+CREATE TABLE product_plans (
+    plan_code VARCHAR(50) PRIMARY KEY,
+    product_code VARCHAR(10) NOT NULL REFERENCES products(code) ON DELETE CASCADE,
+    description VARCHAR(255),
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Catálogo inicial
+INSERT INTO products (code, name) VALUES ('FAB', 'FAB'), ('NAT', 'NAT'), ('CS', 'CS');
+INSERT INTO product_plans (plan_code, product_code) VALUES
+    ('PPLQQM9AP', 'FAB'), ('PPLQQMAGU', 'FAB'), ('PPLQQMADF', 'FAB'),
+    ('PPLQQN0FT', 'NAT'),
+    ('PPLQQMSFH', 'CS'), ('PPLQQMSFI', 'CS');
+
+-- Criar cadências de recuperação de PIX por produto
+-- Etapa 1 gera pix_timeout; etapas seguintes geram pix_recuperacao_02, _03...
+DROP TABLE IF EXISTS pix_recovery_stages CASCADE;
+CREATE TABLE pix_recovery_stages (
+    id SERIAL PRIMARY KEY,
+    product_code VARCHAR(10) NOT NULL, -- '*' = cadência padrão
+    stage INTEGER NOT NULL,
+    delay_minutes INTEGER NOT NULL, -- minutos após o PIX gerado
+    active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT NOW(),
+    
+    CONSTRAINT unique_product_stage UNIQUE (product_code, stage),
+    CONSTRAINT valid_stage CHECK (stage BETWEEN 1 AND 5),
+    CONSTRAINT valid_delay CHECK (delay_minutes > 0)
+);
+
+-- Cadência padrão: 7 minutos
+INSERT INTO pix_recovery_stages (product_code, stage, delay_minutes) VALUES ('*', 1, 7);
+
+-- Criar funis de resposta por produto e origem ('*' = qualquer)
+DROP TABLE IF EXISTS funnels CASCADE;
+CREATE TABLE funnels (
+    id SERIAL PRIMARY KEY,
+    product_code VARCHAR(10) NOT NULL, -- '*' = qualquer produto
+    origin VARCHAR(20) NOT NULL, -- aprovada, pix, boleto, cartao ou '*'
+    steps JSONB NOT NULL, -- eventos enviados ao N8N a cada resposta do cliente, em ordem
+    on_complete VARCHAR(10) DEFAULT 'complete', -- complete: conversa vira completed na última etapa; keep: mantém o status
+    active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    
+    CONSTRAINT unique_funnel UNIQUE (product_code, origin),
+    CONSTRAINT valid_funnel_origin CHECK (origin IN ('*', 'aprovada', 'pix', 'boleto', 'cartao')),
+    CONSTRAINT valid_on_complete CHECK (on_complete IN ('complete', 'keep'))
+);
+
+-- Funil padrão: três respostas
+INSERT INTO funnels (product_code, origin, steps) VALUES ('*', '*', '["resposta_01", "resposta_02", "resposta_03"]');
+
+-- Criar tabela de etapas de funil por conversa
+DROP TABLE IF EXISTS conversation_steps CASCADE;
+CREATE TABLE conversation_steps (
+    id SERIAL PRIMARY KEY,
+    conversation_id INTEGER NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+    step INTEGER NOT NULL, -- 1 = primeira etapa do funil
+    event_type VARCHAR(50) NOT NULL, -- evento enviado ao N8N na etapa
+    status VARCHAR(10) DEFAULT 'sending', -- sending (reservada), sent, failed (pode ser refeita)
+    attempts INTEGER DEFAULT 1,
+    attempted_at TIMESTAMP DEFAULT NOW(),
+    sent_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    
+    CONSTRAINT unique_conversation_step UNIQUE (conversation_id, step),
+    CONSTRAINT valid_step_status CHECK (status IN ('sending', 'sent', 'failed'))
+);
+
+-- Criar léxicos de intenção das respostas do cliente
+DROP TABLE IF EXISTS intent_lexicons CASCADE;
+CREATE TABLE intent_lexicons (
+    id SERIAL PRIMARY KEY,
+    product_code VARCHAR(10) NOT NULL, -- '*' = todos os produtos
+    intent VARCHAR(30) NOT NULL, -- evento de desvio: intencao_<intent>
+    patterns JSONB NOT NULL, -- palavras-chave ou /regex/ (texto sem acento, minúsculo)
+    action VARCHAR(10) DEFAULT 'branch', -- branch: envia intencao_<intent> sem avançar o funil; advance: segue o funil
+    priority INTEGER DEFAULT 0, -- maior primeiro
+    active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    
+    CONSTRAINT unique_product_intent UNIQUE (product_code, intent),
+    CONSTRAINT valid_intent_action CHECK (action IN ('advance', 'branch'))
+);
+
+-- Intenções iniciais
+INSERT INTO intent_lexicons (product_code, intent, patterns, priority) VALUES
+('*', 'cancelamento', '["cancelar", "cancela", "cancelamento", "desistir", "desisti", "reembolso", "estorno", "nao quero mais"]', 30),
+('*', 'pagamento_informado', '["ja paguei", "paguei", "comprovante", "pagamento feito", "ja fiz o pagamento", "ja fiz o pix"]', 20),
+('*', 'duvida_valor', '["qual o valor", "qual valor", "quanto custa", "quanto e", "/\\bpreco\\b/", "/\\bvalor\\b.*\\?/"]', 10);
+
+-- Criar lista de não contatar (nenhum evento vai ao N8N para estes telefones)
+DROP TABLE IF EXISTS suppression_list CASCADE;
+CREATE TABLE suppression_list (
+    phone VARCHAR(20) PRIMARY KEY, -- telefone normalizado
+    reason VARCHAR(20) DEFAULT 'manual', -- opt_out (cliente pediu), manual, complaint (denúncia)
+    message TEXT, -- mensagem do cliente que gerou o opt-out
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    
+    CONSTRAINT valid_suppression_reason CHECK (reason IN ('opt_out', 'manual', 'complaint'))
+);
+
+-- Criar tabela de alertas do sistema (exibidos no dashboard até reconhecidos)
+DROP TABLE IF EXISTS system_alerts CASCADE;
+CREATE TABLE system_alerts (
+    id SERIAL PRIMARY KEY,
+    type VARCHAR(50) NOT NULL, -- unknown_plan_code, ...
+    severity VARCHAR(10) DEFAULT 'warning',
+    message TEXT NOT NULL,
+    details JSONB,
+    dedup_key VARCHAR(150) NOT NULL, -- agrupa ocorrências enquanto o alerta está aberto
+    occurrences INTEGER DEFAULT 1,
+    acknowledged BOOLEAN DEFAULT false,
+    created_at TIMESTAMP DEFAULT NOW(),
+    last_seen_at TIMESTAMP DEFAULT NOW(),
+    acknowledged_at TIMESTAMP,
+    
+    CONSTRAINT valid_severity CHECK (severity IN ('info', 'warning', 'critical'))
+);
+
+-- Aliases de JID do WhatsApp: cada JID visto (com/sem nono dígito, @lid) -> telefone do lead
+DROP TABLE IF EXISTS jid_aliases CASCADE;
+CREATE TABLE jid_aliases (
+    jid VARCHAR(100) PRIMARY KEY, -- sem sufixo de dispositivo
+    phone VARCHAR(20) NOT NULL, -- telefone normalizado do lead
+    source VARCHAR(10) NOT NULL, -- 'sent', 'reply', 'lookup' (Evolution), 'manual'
+    instance_name VARCHAR(10),
+    created_at TIMESTAMP DEFAULT NOW(),
+    last_seen_at TIMESTAMP DEFAULT NOW(),
+    
+    CONSTRAINT valid_alias_source CHECK (source IN ('sent', 'reply', 'lookup', 'manual'))
+);
+
+-- Mensagens recebidas sem conversa correspondente, para vínculo manual pelo operador
+DROP TABLE IF EXISTS orphan_messages CASCADE;
+CREATE TABLE orphan_messages (
+    id SERIAL PRIMARY KEY,
+    message_id VARCHAR(100) UNIQUE, -- key.id da Evolution (evita duplicar reentregas)
+    remote_jid VARCHAR(100) NOT NULL,
+    phone VARCHAR(20), -- telefone resolvido, se houver
+    instance_name VARCHAR(10),
+    push_name VARCHAR(255),
+    content TEXT,
+    payload JSONB,
+    status VARCHAR(10) DEFAULT 'pending', -- 'pending', 'linked', 'ignored'
+    conversation_id INTEGER REFERENCES conversations(id) ON DELETE SET NULL,
+    received_at TIMESTAMP DEFAULT NOW(),
+    resolved_at TIMESTAMP,
+    
+    CONSTRAINT valid_orphan_status CHECK (status IN ('pending', 'linked', 'ignored'))
+);
+
+-- Registro de instâncias Evolution (substitui as listas fixas no código)
+-- Populado pela aplicação (INSTANCES_SEED_FILE ou POST /instances), pois a apikey é criptografada
+-- com INSTANCE_KEY_SECRET (AES-256-GCM, formato iv:tag:conteúdo em base64)
+DROP TABLE IF EXISTS instances CASCADE;
+CREATE TABLE instances (
+    name VARCHAR(10) PRIMARY KEY,
+    api_key_encrypted TEXT NOT NULL,
+    description VARCHAR(255),
+    active BOOLEAN DEFAULT true, -- false: não recebe novos leads nem health check
+    weight NUMERIC(5,2) DEFAULT 1, -- peso no balanceamento (2 = recebe o dobro)
+    daily_cap INTEGER, -- limite de novos leads por dia (NULL = sem limite)
+    warmup_start_cap INTEGER, -- aquecimento: limite do primeiro dia (NULL = sem aquecimento)
+    warmup_growth_pct NUMERIC(5,2) DEFAULT 20, -- crescimento diário do limite de aquecimento
+    warmup_started_at TIMESTAMP,
+    offline_since TIMESTAMP, -- início da queda atual (health check); base do failover
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    
+    CONSTRAINT valid_instance_weight CHECK (weight > 0),
+    CONSTRAINT valid_instance_daily_cap CHECK (daily_cap IS NULL OR daily_cap > 0),
+    CONSTRAINT valid_instance_warmup CHECK (warmup_start_cap IS NULL OR warmup_start_cap > 0)
+);
+
+-- Pools de instâncias por produto (números com foto/nome do produto)
+DROP TABLE IF EXISTS instance_pools CASCADE;
+CREATE TABLE instance_pools (
+    name VARCHAR(30) PRIMARY KEY,
+    description VARCHAR(255),
+    fallback_policy VARCHAR(10) DEFAULT 'shared', -- pool esgotado/offline: 'shared', 'pool', 'none'
+    fallback_pool VARCHAR(30) REFERENCES instance_pools(name) ON DELETE SET NULL, -- usado com 'pool'
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    
+    CONSTRAINT valid_fallback_policy CHECK (fallback_policy IN ('shared', 'pool', 'none'))
+);
+
+-- Instâncias de cada pool (instância fora de pools = grupo compartilhado)
+DROP TABLE IF EXISTS instance_pool_members CASCADE;
+CREATE TABLE instance_pool_members (
+    pool_name VARCHAR(30) NOT NULL REFERENCES instance_pools(name) ON DELETE CASCADE,
+    instance_name VARCHAR(10) NOT NULL REFERENCES instances(name) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT NOW(),
+    
+    PRIMARY KEY (pool_name, instance_name)
+);
+
+-- Histórico de atribuições de leads: por que cada instância foi escolhida
+-- (também é a contagem de novos leads do dia usada nos limites diários)
+DROP TABLE IF EXISTS instance_assignments CASCADE;
+CREATE TABLE instance_assignments (
+    id SERIAL PRIMARY KEY,
+    phone VARCHAR(20) NOT NULL,
+    instance_name VARCHAR(10) NOT NULL,
+    reason VARCHAR(30) NOT NULL, -- 'least_loaded', 'least_loaded_health_unknown', 'pool_fallback', 'failover'
+    lead_count INTEGER, -- leads da instância (30 dias) no momento da escolha
+    details JSONB, -- cargas consideradas, instâncias descartadas e pool usado
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Auditoria de failover e rebalanceamento: conversas/leads movidos de instância
+DROP TABLE IF EXISTS instance_migrations CASCADE;
+CREATE TABLE instance_migrations (
+    id SERIAL PRIMARY KEY,
+    phone VARCHAR(20) NOT NULL,
+    conversation_id INTEGER REFERENCES conversations(id) ON DELETE SET NULL,
+    order_code VARCHAR(50),
+    from_instance VARCHAR(10) NOT NULL,
+    to_instance VARCHAR(10) NOT NULL,
+    reason VARCHAR(30) NOT NULL, -- 'failover', 'rebalance' (sem conversation_id)
+    offline_since TIMESTAMP, -- quando a instância de origem caiu
+    event_sent BOOLEAN DEFAULT false, -- instancia_migrada entregue ao N8N
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Migrações de dados já aplicadas (ex: renormalização de telefones), uma vez por banco
+DROP TABLE IF EXISTS schema_migrations CASCADE;
+CREATE TABLE schema_migrations (
+    name VARCHAR(100) PRIMARY KEY,
+    applied_at TIMESTAMP DEFAULT NOW(),
+    result JSONB -- contadores retornados pela migração
+);
+
 -- ÍNDICES OTIMIZADOS para performance
 -- Índices para leads
 CREATE INDEX idx_leads_instance ON leads(instance_name);
@@ -121,6 +477,20 @@ CREATE INDEX idx_conversations_order_code ON conversations(order_code); -- já 
 CREATE INDEX idx_conversations_instance ON conversations(instance_name);
 CREATE INDEX idx_conversations_created_at ON conversations(created_at);
 CREATE INDEX idx_conversations_status_active ON conversations(status) WHERE status IN ('pix_pending', 'approved');
+CREATE INDEX idx_conversations_customer ON conversations(customer_id);
+CREATE INDEX idx_conversations_utm_campaign ON conversations(utm_campaign);
+CREATE INDEX idx_conversations_affiliate ON conversations(affiliate);
+CREATE INDEX idx_order_items_conversation ON order_items(conversation_id);
+CREATE INDEX idx_jid_aliases_phone ON jid_aliases(phone);
+CREATE INDEX idx_orphan_messages_status ON orphan_messages(status, received_at);
+CREATE INDEX idx_instance_pool_members_instance ON instance_pool_members(instance_name);
+CREATE INDEX idx_instance_assignments_phone ON instance_assignments(phone);
+CREATE INDEX idx_instance_assignments_created_at ON instance_assignments(created_at);
+CREATE INDEX idx_instance_migrations_created_at ON instance_migrations(created_at);
+
+-- Índices para customers
+CREATE INDEX idx_customers_email ON customers(LOWER(email));
+CREATE INDEX idx_customers_document ON customers(document);
 
 -- Índices para messages
 CREATE INDEX idx_messages_conversation_id ON messages(conversation_id);
@@ -144,6 +514,23 @@ CREATE INDEX idx_system_logs_created_at ON system_logs(created_at);
 CREATE INDEX idx_system_logs_source ON system_logs(source);
 CREATE INDEX idx_system_logs_level_created ON system_logs(level, created_at);
 
+-- Índices para security_events
+CREATE INDEX idx_security_events_created_at ON security_events(created_at);
+CREATE INDEX idx_security_events_source ON security_events(source);
+
+-- Índices para webhook_inbox
+CREATE INDEX idx_webhook_inbox_received_at ON webhook_inbox(received_at);
+CREATE INDEX idx_webhook_inbox_source_status ON webhook_inbox(source, status);
+CREATE INDEX idx_order_status_transitions_order ON order_status_transitions(order_code, id);
+CREATE UNIQUE INDEX idx_order_status_transitions_event ON order_status_transitions(order_code, event_id) WHERE event_id IS NOT NULL;
+
+-- Índices para catálogo de produtos
+CREATE INDEX idx_product_plans_product ON product_plans(product_code);
+
+-- Índices para system_alerts
+CREATE UNIQUE INDEX idx_system_alerts_open_dedup ON system_alerts(dedup_key) WHERE acknowledged = false;
+CREATE INDEX idx_system_alerts_last_seen ON system_alerts(last_seen_at);
+
 -- FUNÇÕES E TRIGGERS
 -- Função para atualizar updated_at automaticamente
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -170,15 +557,8 @@ CREATE OR REPLACE FUNCTION normalize_phone_trigger()
 RETURNS TRIGGER AS $$
 BEGIN
     -- Normalizar telefone automaticamente ao inserir/atualizar
+    -- (regras de E.164 e nono dígito ficam em services/phone.js; aqui só dígitos)
     NEW.phone_normalized = regexp_replace(NEW.phone, '\D', '', 'g');
-    
-    -- Se tem 14 dígitos e começa com 55, remover 9 extra se necessário
-    IF length(NEW.phone_normalized) = 14 AND substring(NEW.phone_normalized, 1, 2) = '55' THEN
-        IF substring(NEW.phone_normalized, 5, 1) = '9' AND substring(NEW.phone_normalized, 6, 1) != '9' THEN
-            NEW.phone_normalized = substring(NEW.phone_normalized, 1, 4) || substring(NEW.phone_normalized, 6);
-        END IF;
-    END IF;
-    
     RETURN NEW;
 END;
 $$ language 'plpgsql';
@@ -296,7 +676,7 @@ BEGIN
     
     -- Deletar conversas completadas antigas
     DELETE FROM conversations 
-    WHERE status IN ('completed', 'timeout', 'convertido') 
+    WHERE status IN ('completed', 'timeout', 'convertido', 'refunded', 'chargeback', 'cancelled', 'expired') 
     AND updated_at < cutoff_date;
     GET DIAGNOSTICS conv_count = ROW_COUNT;
     
@@ -447,32 +827,17 @@ DECLARE
     lead_count INTEGER;
     conv_count INTEGER;
 BEGIN
-    -- Normalizar telefones na tabela leads
-    UPDATE leads SET phone = (
-        SELECT CASE
-            WHEN length(regexp_replace(phone, '\D', '', 'g')) = 14 
-                 AND substring(regexp_replace(phone, '\D', '', 'g'), 1, 2) = '55'
-                 AND substring(regexp_replace(phone, '\D', '', 'g'), 5, 1) = '9'
-                 AND substring(regexp_replace(phone, '\D', '', 'g'), 6, 1) != '9'
-            THEN substring(regexp_replace(phone, '\D', '', 'g'), 1, 4) || substring(regexp_replace(phone, '\D', '', 'g'), 6)
-            ELSE regexp_replace(phone, '\D', '', 'g')
-        END
-    );
+    -- Remover formatação (nono dígito/E.164 são aplicados pela aplicação,
+    -- services/phone.js, e pela migração de dados 2026_10_phone_e164)
+    UPDATE leads SET phone = regexp_replace(phone, '\D', '', 'g')
+    WHERE phone ~ '\D';
     GET DIAGNOSTICS lead_count = ROW_COUNT;
     
     -- Normalizar telefones na tabela conversations
     UPDATE conversations SET 
-        phone = (
-            SELECT CASE
-                WHEN length(regexp_replace(phone, '\D', '', 'g')) = 14 
-                     AND substring(regexp_replace(phone, '\D', '', 'g'), 1, 2) = '55'
-                     AND substring(regexp_replace(phone, '\D', '', 'g'), 5, 1) = '9'
-                     AND substring(regexp_replace(phone, '\D', '', 'g'), 6, 1) != '9'
-                THEN substring(regexp_replace(phone, '\D', '', 'g'), 1, 4) || substring(regexp_replace(phone, '\D', '', 'g'), 6)
-                ELSE regexp_replace(phone, '\D', '', 'g')
-            END
-        ),
-        phone_normalized = regexp_replace(phone, '\D', '', 'g');
+        phone = regexp_replace(phone, '\D', '', 'g'),
+        phone_normalized = regexp_replace(phone, '\D', '', 'g')
+    WHERE phone ~ '\D' OR phone_normalized IS DISTINCT FROM regexp_replace(phone, '\D', '', 'g');
     GET DIAGNOSTICS conv_count = ROW_COUNT;
     
     RETURN QUERY SELECT lead_count, conv_count;
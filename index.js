@@ -23,6 +23,24 @@ const path = require('path');
 const database = require('./database/config');
 const evolutionService = require('./services/evolution');
 const queueService = require('./services/queue');
+const securityService = require('./services/security');
+const inboxService = require('./services/inbox');
+const catalogService = require('./services/catalog');
+const cadenceService = require('./services/cadence');
+const funnelService = require('./services/funnel');
+const intentService = require('./services/intent');
+const suppressionService = require('./services/suppression');
+const customerService = require('./services/customers');
+const attributionService = require('./services/attribution');
+const orderService = require('./services/orders');
+const phoneService = require('./services/phone');
+const jidAliasService = require('./services/aliases');
+const instanceRegistry = require('./services/instances');
+const leadBalancer = require('./services/balancer');
+const failoverService = require('./services/failover');
+const instancePoolService = require('./services/pools');
+const alertService = require('./services/alerts');
+const { getGateway, listGateways } = require('./services/gateways');
 const logger = require('./services/logger');
 
 const app = express();
@@ -31,7 +49,11 @@ const PORT = process.env.PORT || 3000;
 // Middlewares de segurança
 app.use(helmet({ contentSecurityPolicy: false }));
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+    limit: '10mb',
+    // Guardar corpo bruto para validação de assinatura dos webhooks
+    verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Configurações globais
@@ -39,34 +61,38 @@ const CONFIG = {
     PIX_TIMEOUT: parseInt(process.env.PIX_TIMEOUT) || 420000, // 7 minutos
     N8N_WEBHOOK_URL: process.env.N8N_WEBHOOK_URL || 'https://n8n.flowzap.fun/webhook/cerebro-atendimento',
     EVOLUTION_API_URL: process.env.EVOLUTION_API_URL || 'https://evo.flowzap.fun',
-    MAX_RETRY_ATTEMPTS: parseInt(process.env.MAX_RETRY_ATTEMPTS) || 3
+    MAX_RETRY_ATTEMPTS: parseInt(process.env.MAX_RETRY_ATTEMPTS) || 3,
+    BOLETO_EXPIRY_DAYS: parseInt(process.env.BOLETO_EXPIRY_DAYS) || 3, // quando o gateway não informa vencimento
+    BOLETO_REMINDER_DAYS: (process.env.BOLETO_REMINDER_DAYS || '2,1').split(',').map(Number).filter(days => days > 0),
+    BOLETO_GRACE_DAYS: parseInt(process.env.BOLETO_GRACE_DAYS) || 1, // compensação bancária após o vencimento
+    UPSELL_WINDOW_MINUTES: parseInt(process.env.UPSELL_WINDOW_MINUTES) || 120, // upsell de um clique após a compra
+    FAILOVER_OFFLINE_MINUTES: parseInt(process.env.FAILOVER_OFFLINE_MINUTES) || 30 // instância offline antes de migrar leads
 };
 
 // Log da configuração na inicialização para debug
 logger.info(`🎯 N8N Webhook URL configurada: ${CONFIG.N8N_WEBHOOK_URL}`);
 
-// Mapeamento de produtos
-const PRODUCT_MAPPING = {
-    'PPLQQM9AP': 'FAB',
-    'PPLQQMAGU': 'FAB', 
-    'PPLQQMADF': 'FAB',
-    'PPLQQN0FT': 'NAT',
-    'PPLQQMSFH': 'CS',
-    'PPLQQMSFI': 'CS'
+// Ciclo de vida da venda: status comum dos gateways -> status da conversa + evento N8N
+const SALE_LIFECYCLE = {
+    refunded: { status: 'refunded', event: 'venda_reembolsada', label: 'Venda reembolsada' },
+    charged_back: { status: 'chargeback', event: 'venda_chargeback', label: 'Chargeback recebido' },
+    cancelled: { status: 'cancelled', event: 'venda_cancelada', label: 'Venda cancelada' },
+    expired: { status: 'expired', event: 'venda_expirada', label: 'Venda expirada' },
+    in_mediation: { status: 'in_dispute', event: 'venda_em_disputa', label: 'Venda em disputa' }
 };
 
-// Instâncias Evolution API
-const INSTANCES = [
-    { name: 'GABY01', id: '1CEBB8703497-4F31-B33F-335A4233D2FE', active: true },
-    { name: 'GABY02', id: '939E26DEA1FA-40D4-83CE-2BF0B3F795DC', active: true },
-    { name: 'GABY03', id: 'F819629B5E33-435B-93BB-091B4C104C12', active: true },
-    { name: 'GABY04', id: 'D555A7CBC0B3-425B-8E20-975232BE75F6', active: true },
-    { name: 'GABY05', id: 'D97A63B8B05B-430E-98C1-61977A51EC0B', active: true },
-    { name: 'GABY06', id: '6FC2C4C703BA-4A8A-9B3B-21536AE51323', active: true },
-    { name: 'GABY07', id: '14F637AB35CD-448D-BF66-5673950FBA10', active: true },
-    { name: 'GABY08', id: '82E0CE5B1A51-4B7B-BBEF-77D22320B482', active: true },
-    { name: 'GABY09', id: 'B5783C928EF4-4DB0-ABBA-AF6913116E7B', active: true }
-];
+// Status de conversas aguardando pagamento (funil de respostas ativo)
+const PENDING_PAYMENT_STATUSES = ['pix_pending', 'boleto_pending', 'card_declined'];
+const ACTIVE_STATUSES = database.activeConversationStatuses;
+const PAID_STATUSES = database.paidConversationStatuses;
+
+// Origem do evento enviada ao N8N por status da conversa
+const EVENT_ORIGIN = {
+    approved: 'aprovada',
+    pix_pending: 'pix',
+    boleto_pending: 'boleto',
+    card_declined: 'cartao'
+};
 
 // Estatísticas do sistema
 let systemStats = {
@@ -80,202 +106,301 @@ let systemStats = {
  * FUNÇÕES UTILITÁRIAS
  */
 
-// Normalizar telefone (versão unificada)
-function normalizePhoneNumber(phone) {
-    if (!phone) {
-        logger.debug('Telefone vazio recebido para normalização');
-        return phone;
-    }
-    
-    logger.debug(`Normalizando telefone: "${phone}"`);
-    
-    let cleanPhone = String(phone).trim();
-    cleanPhone = cleanPhone.replace(/\D/g, '');
-    
-    // Padronizar para formato brasileiro: 5511999999999 (13 dígitos)
-    if (cleanPhone.length === 14 && cleanPhone.substring(0, 2) === '55') {
-        const areaCode = cleanPhone.substring(2, 4);
-        const restNumber = cleanPhone.substring(4);
-        
-        if (restNumber.charAt(0) === '9' && restNumber.charAt(1) !== '9' && restNumber.length === 10) {
-            cleanPhone = '55' + areaCode + restNumber.substring(1);
-        }
-    } else if (cleanPhone.length === 11) {
-        cleanPhone = '55' + cleanPhone;
-    } else if (cleanPhone.length === 12 && !cleanPhone.startsWith('55')) {
-        cleanPhone = '55' + cleanPhone.substring(1);
-    }
-    
-    logger.debug(`Telefone normalizado: "${cleanPhone}"`);
-    return cleanPhone;
-}
-
-// Formatar telefone do Perfect Pay
-function formatPhoneFromPerfectPay(extension, areaCode, number) {
-    const ext = extension || '55';
-    const area = areaCode || '';
-    const num = number || '';
-    const fullNumber = ext + area + num;
-    
-    logger.debug(`Formatando Perfect Pay: ext="${ext}", area="${area}", num="${num}" -> "${fullNumber}"`);
-    return normalizePhoneNumber(fullNumber);
-}
-
 // Obter horário de Brasília
 function getBrazilTime(format = 'YYYY-MM-DD HH:mm:ss') {
     return moment().tz('America/Sao_Paulo').format(format);
 }
 
-// Extrair produto do código do plano
-function getProductByPlanCode(planCode) {
-    return PRODUCT_MAPPING[planCode] || 'UNKNOWN';
-}
-
 // Extrair primeiro nome
 function getFirstName(fullName) {
     return fullName ? fullName.split(' ')[0].trim() : 'Cliente';
 }
 
 /**
- * BALANCEAMENTO DE CARGA
+ * WEBHOOK DOS GATEWAYS DE PAGAMENTO (Perfect Pay, Hotmart, Kiwify, Eduzz...)
  */
-async function getInstanceForClient(clientNumber) {
+app.post('/webhook/:gateway', async (req, res, next) => {
+    const gateway = getGateway(req.params.gateway);
+    
+    // Não é um gateway: segue para as demais rotas /webhook/*
+    if (!gateway) {
+        return next();
+    }
+    
+    // Guardar corpo (sem token/hottok) antes de qualquer processamento
+    const inboxId = await inboxService.store(gateway.name, req, gateway.redact(req.body));
+    
     try {
-        const normalizedPhone = normalizePhoneNumber(clientNumber);
-        logger.info(`🔍 Verificando instância para cliente: ${normalizedPhone}`);
-        
-        // Verificar se já existe atribuição
-        const existingLead = await database.query(
-            'SELECT instance_name FROM leads WHERE phone = $1',
-            [normalizedPhone]
-        );
-        
-        if (existingLead.rows.length > 0) {
-            const instanceName = existingLead.rows[0].instance_name;
-            logger.info(`👤 Cliente ${normalizedPhone} já atribuído à instância ${instanceName}`);
-            return instanceName;
+        // Validar token/assinatura antes de qualquer processamento
+        const verification = gateway.verify(req);
+        
+        if (!verification.valid) {
+            logger.warn(`🔒 Webhook ${gateway.label} rejeitado: ${verification.reason} | IP: ${req.ip}`);
+            await securityService.logRejection(gateway.name, req, verification.reason);
+            await inboxService.markRejected(inboxId, verification.reason);
+            return res.status(401).json({ success: false, error: 'Webhook não autorizado' });
         }
         
-        // Buscar carga atual de cada instância (últimos 30 dias)
-        const instanceLoad = await database.query(`
-            SELECT instance_name, COUNT(*) as lead_count 
-            FROM leads 
-            WHERE created_at >= NOW() - INTERVAL '30 days'
-            GROUP BY instance_name
-            ORDER BY lead_count ASC
-        `);
+        const result = await processPaymentWebhook(gateway, req.body);
+        await inboxService.markProcessed(inboxId, result.body);
         
-        let selectedInstance = 'GABY01'; // fallback
+        res.status(result.status).json(result.body);
         
-        if (instanceLoad.rows.length === 0) {
-            selectedInstance = INSTANCES[0].name;
-            logger.info(`📍 Primeira atribuição - usando ${selectedInstance}`);
-        } else {
-            // Criar mapa de cargas atuais
-            const currentLoads = {};
-            instanceLoad.rows.forEach(row => {
-                currentLoads[row.instance_name] = parseInt(row.lead_count);
-            });
-            
-            // Encontrar instância ativa com menor carga
-            let minLoad = Infinity;
-            for (const instance of INSTANCES) {
-                if (!instance.active) continue;
-                
-                const load = currentLoads[instance.name] || 0;
-                if (load < minLoad) {
-                    minLoad = load;
-                    selectedInstance = instance.name;
+    } catch (error) {
+        logger.error(`❌ Erro no webhook ${gateway.label}: ${error.message}`, error);
+        await inboxService.markFailed(inboxId, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PROCESSAR PAYLOAD DE GATEWAY DE PAGAMENTO (webhook ou replay da inbox)
+ */
+async function processPaymentWebhook(gateway, data) {
+    const order = gateway.normalize(data);
+    
+    order.product = await catalogService.getProductByPlanCode(order.planCode, order.code);
+    
+    const parsedPhone = phoneService.parse(order.phone);
+    order.rawPhone = order.phone;
+    order.phone = parsedPhone.digits;
+    order.customer.firstName = getFirstName(order.customer.fullName);
+    
+    logger.info(`📥 WEBHOOK ${gateway.label.toUpperCase()}: ${order.code} | ${order.rawStatus} | ${order.paymentMethod} | ${order.product} | ${order.phone}`);
+    
+    if (!order.code) {
+        logger.warn(`⚠️ Webhook ${gateway.label} sem código de pedido`);
+        return { status: 400, body: { success: false, error: 'Pedido sem código' } };
+    }
+    
+    let quarantined = false;
+    
+    if (!order.status) {
+        logger.info(`ℹ️ Status ${gateway.label} sem tratamento: ${order.rawStatus} | ${order.code}`);
+    } else {
+        // Reentregas da mesma transição são confirmadas sem efeitos colaterais
+        const transition = await inboxService.claimTransition(order.code, order.status, order.eventId);
+        
+        if (transition.inProgress) {
+            // Primeira entrega ainda processando: sem 2xx o gateway reenvia, e se ela falhar a reentrega é processada
+            logger.warn(`⏳ Entrega simultânea em processamento: ${order.code} | ${order.status} | entrega nº ${transition.deliveryCount}`);
+            return {
+                status: 409,
+                body: {
+                    success: false,
+                    retry: true,
+                    message: 'Transição em processamento - reenviar depois',
+                    order_code: order.code,
+                    status: order.status,
+                    delivery_count: transition.deliveryCount
                 }
-            }
-            
-            logger.info(`⚖️ Balanceamento: ${selectedInstance} selecionada com ${minLoad} leads`);
+            };
         }
         
-        // Inserir nova atribuição
-        await database.query(
-            'INSERT INTO leads (phone, instance_name) VALUES ($1, $2) ON CONFLICT (phone) DO UPDATE SET instance_name = $2, updated_at = NOW()',
-            [normalizedPhone, selectedInstance]
-        );
+        if (!transition.claimed) {
+            logger.info(`🔄 Entrega duplicada ignorada: ${order.code} | ${order.status} | entrega nº ${transition.deliveryCount}`);
+            return {
+                status: 200,
+                body: {
+                    success: true,
+                    duplicate: true,
+                    message: 'Entrega duplicada - transição já processada',
+                    order_code: order.code,
+                    status: order.status,
+                    delivery_count: transition.deliveryCount
+                }
+            };
+        }
         
-        logger.info(`✅ Cliente ${normalizedPhone} atribuído à instância ${selectedInstance}`);
-        return selectedInstance;
+        try {
+            // Pedido já corrigido pelo operador: webhooks seguintes trazem o mesmo telefone inválido
+            const correctedPhone = parsedPhone.valid ? null : await getCorrectedPhone(order.code);
+            if (correctedPhone) {
+                order.phone = correctedPhone;
+            }
+            
+            if (parsedPhone.valid || correctedPhone) {
+                await dispatchOrder(order);
+            } else {
+                // Telefone inválido: fora do funil até correção manual
+                await handleQuarantine(order, parsedPhone.reason);
+                quarantined = true;
+            }
+        } catch (error) {
+            await inboxService.releaseTransition(transition.transitionId);
+            throw error;
+        }
         
-    } catch (error) {
-        logger.error(`Erro ao obter instância para cliente ${clientNumber}: ${error.message}`, error);
-        return 'GABY01'; // fallback seguro
+        await inboxService.completeTransition(transition.transitionId);
+    }
+    
+    return {
+        status: 200,
+        body: {
+            success: true, 
+            duplicate: false,
+            message: `Webhook ${gateway.label} processado`,
+            gateway: gateway.name,
+            order_code: order.code,
+            status: order.rawStatus,
+            payment_method: order.paymentMethod,
+            normalized_phone: order.phone,
+            quarantined: quarantined
+        }
+    };
+}
+
+/**
+ * ENCAMINHAR PEDIDO NORMALIZADO PARA O TRATAMENTO DO STATUS
+ * Usado pelo webhook e pelo replay após correção de telefone em quarentena
+ */
+async function dispatchOrder(order) {
+    order.customerId = await customerService.resolve(order);
+    
+    // Upsell/order bump aprovado entra na conversa original, sem novo funil
+    const parentConversation = order.status === 'approved'
+        ? await orderService.findParentConversation(order, CONFIG.UPSELL_WINDOW_MINUTES)
+        : null;
+    
+    if (parentConversation) {
+        await handleUpsellApproved(order, parentConversation);
+    } else if (order.status === 'approved') {
+        await handleApprovedSale(order);
+    } else if (order.status === 'pending' && order.paymentMethod === 'boleto') {
+        await handlePendingBoleto(order);
+    } else if (order.status === 'pending' && order.paymentMethod === 'credit_card') {
+        // Cartão em análise: aguardar aprovação ou recusa
+        logger.info(`💳 Cartão em análise: ${order.code} - aguardando resultado`);
+    } else if (order.status === 'pending') {
+        await handlePendingPix(order);
+    } else if (order.status === 'declined') {
+        await handleCardDeclined(order);
+    } else {
+        await handleSaleLifecycle(order, SALE_LIFECYCLE[order.status]);
     }
+    
+    await attributionService.save(order);
+    await orderService.saveItems(order);
 }
 
 /**
- * WEBHOOK PERFECT PAY
+ * COLOCAR PEDIDO EM QUARENTENA (telefone inválido ou ausente)
+ * Nada vai para o N8N; o pedido normalizado fica guardado para o replay
  */
-app.post('/webhook/perfect', async (req, res) => {
+async function handleQuarantine(order, reason) {
+    const { code: orderCode, product, amount } = order;
+    
     try {
-        const data = req.body;
-        const orderCode = data.code;
-        const status = data.sale_status_enum_key;
-        const planCode = data.plan?.code;
-        const product = getProductByPlanCode(planCode);
-        
-        const fullName = data.customer?.full_name || 'Cliente';
-        const firstName = getFirstName(fullName);
-        const phoneNumber = formatPhoneFromPerfectPay(
-            data.customer?.phone_extension,
-            data.customer?.phone_area_code,
-            data.customer?.phone_number
-        );
-        const amount = parseFloat(data.sale_amount) || 0;
-        const pixUrl = data.billet_url || '';
+        logger.warn(`🚧 QUARENTENA: ${orderCode} | telefone "${order.rawPhone || ''}" inválido (${reason}) | ${order.status}`);
         
-        logger.info(`📥 PERFECT PAY WEBHOOK: ${orderCode} | ${status} | ${product} | ${phoneNumber}`);
-
-        if (status === 'approved') {
-            await handleApprovedSale(orderCode, phoneNumber, firstName, fullName, product, amount, data);
-        } else if (status === 'pending') {
-            await handlePendingPix(orderCode, phoneNumber, firstName, fullName, product, amount, pixUrl, planCode, data);
-        }
+        const conversation = await database.query(`
+            INSERT INTO conversations 
+            (phone, order_code, product, status, current_step, amount, pix_url, client_name, payment_method, payment_url,
+             quarantine_reason, quarantined_order, created_at, updated_at)
+            VALUES ($1, $2, $3, 'quarantined', 0, $4, '', $5, $6, $7, $8, $9, NOW(), NOW())
+            ON CONFLICT (order_code) 
+            DO UPDATE SET 
+                status = 'quarantined',
+                amount = $4,
+                payment_method = $6,
+                payment_url = $7,
+                quarantine_reason = $8,
+                quarantined_order = $9,
+                updated_at = NOW()
+            RETURNING id
+        `, [order.phone || '', orderCode, product, amount, order.customer.fullName, order.paymentMethod,
+            order.paymentUrl || '', reason, JSON.stringify(order)]);
         
-        res.status(200).json({ 
-            success: true, 
-            message: 'Webhook Perfect processado',
-            order_code: orderCode,
-            status: status,
-            normalized_phone: phoneNumber
-        });
+        await database.query(
+            'INSERT INTO messages (conversation_id, type, content, status) VALUES ($1, $2, $3, $4)',
+            [conversation.rows[0].id, 'system_event', `Quarentena: telefone inválido "${order.rawPhone || ''}" (${reason}) - ${order.status}`, 'ignored']
+        );
         
     } catch (error) {
-        logger.error(`❌ Erro no webhook Perfect Pay: ${error.message}`, error);
-        res.status(500).json({ success: false, error: error.message });
+        logger.error(`❌ Erro ao colocar pedido ${orderCode} em quarentena: ${error.message}`, error);
+        throw error;
     }
-});
+}
+
+/**
+ * Telefone válido já gravado para o pedido (corrigido pelo operador)
+ */
+async function getCorrectedPhone(orderCode) {
+    const conversation = await database.query(
+        'SELECT phone FROM conversations WHERE order_code = $1',
+        [orderCode]
+    );
+    
+    const phone = conversation.rows[0]?.phone;
+    return phone && phoneService.parse(phone).valid ? phone : null;
+}
+
+/**
+ * CORRIGIR TELEFONE DE PEDIDO EM QUARENTENA E REPROCESSAR
+ * Reexecuta o tratamento do último status recebido com o telefone corrigido
+ */
+async function releaseQuarantine(orderCode, phone) {
+    const conversation = await database.query(
+        "SELECT id, quarantined_order FROM conversations WHERE order_code = $1 AND status = 'quarantined'",
+        [orderCode]
+    );
+    
+    if (conversation.rows.length === 0) {
+        return null;
+    }
+    
+    const stored = conversation.rows[0].quarantined_order;
+    const order = typeof stored === 'string' ? JSON.parse(stored) : stored;
+    order.phone = phone;
+    
+    // Telefone corrigido antes do replay (os upserts não alteram phone)
+    await database.query(
+        'UPDATE conversations SET phone = $1 WHERE id = $2',
+        [phone, conversation.rows[0].id]
+    );
+    
+    logger.info(`🔧 Quarentena liberada: ${orderCode} | telefone ${phone} | replay de ${order.status}`);
+    await dispatchOrder(order);
+    
+    // Snapshot só é descartado quando o replay tirou o pedido da quarentena
+    // (cartão em análise continua aguardando o próximo webhook, já com o telefone certo)
+    await database.query(
+        "UPDATE conversations SET quarantine_reason = NULL, quarantined_order = NULL WHERE id = $1 AND status != 'quarantined'",
+        [conversation.rows[0].id]
+    );
+    
+    return order;
+}
 
 /**
  * PROCESSAR VENDA APROVADA
  */
-async function handleApprovedSale(orderCode, phoneNumber, firstName, fullName, product, amount, originalData) {
+async function handleApprovedSale(order) {
+    const { code: orderCode, phone: phoneNumber, product, amount } = order;
+    const { firstName, fullName } = order.customer;
+    
     try {
         logger.info(`💰 VENDA APROVADA: ${orderCode} | Produto: ${product} | Cliente: ${firstName}`);
         
-        const instanceName = await getInstanceForClient(phoneNumber);
-        
-        // Cancelar timeouts pendentes
-        await queueService.cancelAllTimeouts(orderCode);
-        
-        // Inserir/atualizar conversa
-        const conversation = await database.query(`
+        // Atribuir instância e inserir/atualizar conversa na mesma transação
+        const { instanceName, result: conversation } = await leadBalancer.assign(phoneNumber, product, (client, instanceName) => client.query(`
             INSERT INTO conversations 
-            (phone, order_code, product, status, current_step, instance_name, amount, pix_url, client_name, created_at, updated_at)
-            VALUES ($1, $2, $3, 'approved', 0, $4, $5, '', $6, NOW(), NOW())
+            (phone, order_code, product, status, current_step, instance_name, amount, pix_url, client_name, payment_method, customer_id, created_at, updated_at)
+            VALUES ($1, $2, $3, 'approved', 0, $4, $5, '', $6, $7, $8, NOW(), NOW())
             ON CONFLICT (order_code) 
             DO UPDATE SET 
                 status = 'approved',
                 instance_name = $4,
                 amount = $5,
                 client_name = $6,
+                payment_method = $7,
+                customer_id = COALESCE($8, conversations.customer_id),
                 updated_at = NOW()
             RETURNING id
-        `, [phoneNumber, orderCode, product, instanceName, amount, fullName]);
+        `, [phoneNumber, orderCode, product, instanceName, amount, fullName, order.paymentMethod, order.customerId]));
+        
+        // Cancelar timeouts pendentes
+        await queueService.cancelAllTimeouts(orderCode);
         
         const conversationId = conversation.rows[0].id;
         
@@ -288,11 +413,14 @@ async function handleApprovedSale(orderCode, phoneNumber, firstName, fullName, p
             cliente: {
                 nome: firstName,
                 telefone: phoneNumber,
-                nome_completo: fullName
+                nome_completo: fullName,
+                ...(await customerService.getN8NFields(order.customerId, orderCode))
             },
+            atribuicao: attributionService.fromOrder(order),
             pedido: {
                 codigo: orderCode,
-                valor: amount
+                valor: amount,
+                itens: orderService.fromOrder(order)
             },
             timestamp: new Date().toISOString(),
             brazil_time: getBrazilTime(),
@@ -318,23 +446,96 @@ async function handleApprovedSale(orderCode, phoneNumber, firstName, fullName, p
     } catch (error) {
         logger.error(`❌ Erro ao processar venda aprovada ${orderCode}: ${error.message}`, error);
         systemStats.failedEvents++;
+        throw error;
+    }
+}
+
+/**
+ * PROCESSAR UPSELL / ORDER BUMP APROVADO
+ * Itens entram na conversa original, que soma o valor - sem iniciar novo funil
+ */
+async function handleUpsellApproved(order, parentConversation) {
+    const { code: orderCode, amount } = order;
+    const itemType = order.upsell ? 'upsell' : null;
+    const conversationId = parentConversation.id;
+
+    try {
+        logger.info(`➕ ${order.upsell ? 'UPSELL' : 'ORDER BUMP'} APROVADO: ${orderCode} → pedido original ${parentConversation.order_code}`);
+
+        await queueService.cancelAllTimeouts(orderCode);
+        await orderService.saveItems(order, conversationId, itemType);
+
+        const updated = await database.query(
+            'UPDATE conversations SET amount = COALESCE(amount, 0) + $1, updated_at = NOW() WHERE id = $2 RETURNING amount',
+            [amount, conversationId]
+        );
+
+        const fullName = parentConversation.client_name || order.customer.fullName;
+
+        const eventData = {
+            event_type: 'upsell_aprovado',
+            produto: parentConversation.product,
+            instancia: parentConversation.instance_name,
+            evento_origem: 'upsell',
+            cliente: {
+                nome: getFirstName(fullName),
+                telefone: parentConversation.phone,
+                nome_completo: fullName,
+                ...(await customerService.getN8NFields(parentConversation.customer_id, parentConversation.order_code))
+            },
+            atribuicao: attributionService.fromConversation(parentConversation),
+            pedido: {
+                codigo: parentConversation.order_code,
+                valor: parseFloat(updated.rows[0].amount),
+                itens: await orderService.getN8NItems(conversationId)
+            },
+            adicional: {
+                codigo: orderCode,
+                tipo: itemType || 'bump',
+                produto: order.product,
+                valor: amount
+            },
+            timestamp: new Date().toISOString(),
+            brazil_time: getBrazilTime(),
+            conversation_id: conversationId
+        };
+
+        const success = await queueService.sendToN8N(eventData, 'upsell_aprovado', conversationId);
+
+        await database.query(
+            'INSERT INTO messages (conversation_id, type, content, status) VALUES ($1, $2, $3, $4)',
+            [conversationId, 'system_event', `${order.upsell ? 'Upsell' : 'Order bump'} aprovado: ${orderCode}`, success ? 'sent' : 'failed']
+        );
+
+        systemStats.totalEvents++;
+        if (success) {
+            systemStats.successfulEvents++;
+        } else {
+            systemStats.failedEvents++;
+        }
+
+    } catch (error) {
+        logger.error(`❌ Erro ao processar upsell ${orderCode}: ${error.message}`, error);
+        systemStats.failedEvents++;
+        throw error;
     }
 }
 
 /**
  * PROCESSAR PIX PENDENTE
  */
-async function handlePendingPix(orderCode, phoneNumber, firstName, fullName, product, amount, pixUrl, planCode, originalData) {
+async function handlePendingPix(order) {
+    const { code: orderCode, phone: phoneNumber, product, amount, paymentUrl: pixUrl } = order;
+    const { firstName, fullName } = order.customer;
+    
     try {
         logger.info(`⏰ PIX GERADO: ${orderCode} | Produto: ${product} | Cliente: ${firstName}`);
         
-        const instanceName = await getInstanceForClient(phoneNumber);
-        
-        // Inserir/atualizar conversa
-        const conversation = await database.query(`
+        // Atribuir instância e inserir/atualizar conversa na mesma transação
+        const { result: conversation } = await leadBalancer.assign(phoneNumber, product, (client, instanceName) => client.query(`
             INSERT INTO conversations 
-            (phone, order_code, product, status, current_step, instance_name, amount, pix_url, client_name, created_at, updated_at)
-            VALUES ($1, $2, $3, 'pix_pending', 0, $4, $5, $6, $7, NOW(), NOW())
+            (phone, order_code, product, status, current_step, instance_name, amount, pix_url, client_name, payment_method, payment_url, customer_id, created_at, updated_at)
+            VALUES ($1, $2, $3, 'pix_pending', 0, $4, $5, $6, $7, 'pix', $6, $8, NOW(), NOW())
             ON CONFLICT (order_code) 
             DO UPDATE SET 
                 status = 'pix_pending',
@@ -342,14 +543,18 @@ async function handlePendingPix(orderCode, phoneNumber, firstName, fullName, pro
                 amount = $5,
                 pix_url = $6,
                 client_name = $7,
+                payment_method = 'pix',
+                payment_url = $6,
+                customer_id = COALESCE($8, conversations.customer_id),
                 updated_at = NOW()
             RETURNING id
-        `, [phoneNumber, orderCode, product, instanceName, amount, pixUrl, fullName]);
+        `, [phoneNumber, orderCode, product, instanceName, amount, pixUrl, fullName, order.customerId]));
         
         const conversationId = conversation.rows[0].id;
         
-        // Agendar timeout de 7 minutos
-        await queueService.addPixTimeout(orderCode, conversationId, CONFIG.PIX_TIMEOUT);
+        // Agendar cadência de recuperação do produto (ou padrão)
+        const stages = await cadenceService.getStages(product, CONFIG.PIX_TIMEOUT);
+        await queueService.addPixRecovery(orderCode, conversationId, stages);
         
         // Registrar evento
         await database.query(
@@ -365,103 +570,350 @@ async function handlePendingPix(orderCode, phoneNumber, firstName, fullName, pro
     } catch (error) {
         logger.error(`❌ Erro ao processar PIX pendente ${orderCode}: ${error.message}`, error);
         systemStats.failedEvents++;
+        throw error;
     }
 }
 
 /**
- * WEBHOOK EVOLUTION API
+ * PROCESSAR BOLETO PENDENTE
+ * Lembretes antes do vencimento e evento de vencido após a compensação
  */
-app.post('/webhook/evolution', async (req, res) => {
+async function handlePendingBoleto(order) {
+    const { code: orderCode, phone: phoneNumber, product, amount, paymentUrl: boletoUrl } = order;
+    const { firstName, fullName } = order.customer;
+    
     try {
-        const data = req.body;
-        const messageData = data.data;
+        logger.info(`🧾 BOLETO GERADO: ${orderCode} | Produto: ${product} | Cliente: ${firstName}`);
         
-        if (!messageData || !messageData.key) {
-            logger.warn(`⚠️ Estrutura inválida no webhook Evolution`);
-            return res.status(200).json({ success: true, message: 'Estrutura inválida' });
-        }
+        // Vencimento informado pelo gateway (fim do dia em Brasília) ou prazo padrão
+        const dueAt = order.dueDate ?
+            moment.tz(order.dueDate, 'America/Sao_Paulo').endOf('day').toDate() :
+            moment().tz('America/Sao_Paulo').add(CONFIG.BOLETO_EXPIRY_DAYS, 'days').endOf('day').toDate();
         
-        const remoteJid = messageData.key.remoteJid;
-        const fromMe = messageData.key.fromMe;
-        const messageContent = messageData.message?.conversation || 
-                              messageData.message?.extendedTextMessage?.text || 
-                              messageData.message?.imageMessage?.caption || 
-                              '';
-        const instanceName = data.instance;
+        const { result: conversation } = await leadBalancer.assign(phoneNumber, product, (client, instanceName) => client.query(`
+            INSERT INTO conversations 
+            (phone, order_code, product, status, current_step, instance_name, amount, pix_url, client_name, payment_method, payment_url, payment_due_at, customer_id, created_at, updated_at)
+            VALUES ($1, $2, $3, 'boleto_pending', 0, $4, $5, '', $6, 'boleto', $7, $8, $9, NOW(), NOW())
+            ON CONFLICT (order_code) 
+            DO UPDATE SET 
+                status = 'boleto_pending',
+                instance_name = $4,
+                amount = $5,
+                client_name = $6,
+                payment_method = 'boleto',
+                payment_url = $7,
+                payment_due_at = $8,
+                customer_id = COALESCE($9, conversations.customer_id),
+                updated_at = NOW()
+            RETURNING id
+        `, [phoneNumber, orderCode, product, instanceName, amount, fullName, boletoUrl, dueAt, order.customerId]));
         
-        const clientNumber = normalizePhoneNumber(remoteJid.replace('@s.whatsapp.net', ''));
+        const conversationId = conversation.rows[0].id;
         
-        logger.info(`📱 Evolution: ${fromMe ? 'Sistema' : 'Cliente'} | ${clientNumber} | ${instanceName}`);
+        await queueService.addBoletoSchedule(orderCode, conversationId, dueAt, CONFIG.BOLETO_REMINDER_DAYS, CONFIG.BOLETO_GRACE_DAYS);
         
-        if (fromMe) {
-            await handleSystemMessage(clientNumber, messageContent, instanceName);
-        } else {
-            await handleClientResponse(clientNumber, messageContent, instanceName, messageData);
-        }
+        await database.query(
+            'INSERT INTO messages (conversation_id, type, content, status) VALUES ($1, $2, $3, $4)',
+            [conversationId, 'system_event', `Boleto gerado: ${orderCode} (vence ${moment(dueAt).tz('America/Sao_Paulo').format('DD/MM/YYYY')})`, 'sent']
+        );
         
-        res.status(200).json({ 
-            success: true, 
-            message: 'Webhook Evolution processado',
-            client_number: clientNumber,
-            from_me: fromMe,
-            instance: instanceName
-        });
+        systemStats.totalEvents++;
+        systemStats.successfulEvents++;
+        
+        logger.info(`✅ Boleto pendente registrado: ${orderCode}`);
         
     } catch (error) {
-        logger.error(`❌ Erro no webhook Evolution: ${error.message}`, error);
-        res.status(500).json({ success: false, error: error.message });
+        logger.error(`❌ Erro ao processar boleto pendente ${orderCode}: ${error.message}`, error);
+        systemStats.failedEvents++;
+        throw error;
     }
-});
+}
 
 /**
- * PROCESSAR MENSAGEM DO SISTEMA
+ * PROCESSAR CARTÃO RECUSADO
+ * Envia evento de recuperação imediatamente
  */
-async function handleSystemMessage(clientNumber, messageContent, instanceName) {
+async function handleCardDeclined(order) {
+    const { code: orderCode, phone: phoneNumber, product, amount, paymentUrl } = order;
+    const { firstName, fullName } = order.customer;
+    
     try {
-        logger.info(`📤 Mensagem do sistema: ${clientNumber}`);
+        logger.info(`💳 CARTÃO RECUSADO: ${orderCode} | Produto: ${product} | Cliente: ${firstName}`);
         
-        const conversation = await database.query(
-            'SELECT id FROM conversations WHERE phone = $1 AND status IN ($2, $3) ORDER BY created_at DESC LIMIT 1',
-            [clientNumber, 'pix_pending', 'approved']
+        const { instanceName, result: conversation } = await leadBalancer.assign(phoneNumber, product, (client, instanceName) => client.query(`
+            INSERT INTO conversations 
+            (phone, order_code, product, status, current_step, instance_name, amount, pix_url, client_name, payment_method, payment_url, customer_id, created_at, updated_at)
+            VALUES ($1, $2, $3, 'card_declined', 0, $4, $5, '', $6, 'credit_card', $7, $8, NOW(), NOW())
+            ON CONFLICT (order_code) 
+            DO UPDATE SET 
+                status = 'card_declined',
+                instance_name = $4,
+                amount = $5,
+                client_name = $6,
+                payment_method = 'credit_card',
+                payment_url = $7,
+                customer_id = COALESCE($8, conversations.customer_id),
+                updated_at = NOW()
+            RETURNING id
+        `, [phoneNumber, orderCode, product, instanceName, amount, fullName, paymentUrl, order.customerId]));
+        
+        const conversationId = conversation.rows[0].id;
+        
+        const eventData = {
+            event_type: 'cartao_recusado',
+            produto: product,
+            instancia: instanceName,
+            evento_origem: 'cartao',
+            cliente: {
+                nome: firstName,
+                telefone: phoneNumber,
+                nome_completo: fullName,
+                ...(await customerService.getN8NFields(order.customerId, orderCode))
+            },
+            atribuicao: attributionService.fromOrder(order),
+            pedido: {
+                codigo: orderCode,
+                valor: amount,
+                link_pagamento: paymentUrl,
+                motivo: order.rawStatus,
+                itens: orderService.fromOrder(order)
+            },
+            timestamp: new Date().toISOString(),
+            brazil_time: getBrazilTime(),
+            conversation_id: conversationId
+        };
+        
+        const success = await queueService.sendToN8N(eventData, 'cartao_recusado', conversationId);
+        
+        await database.query(
+            'INSERT INTO messages (conversation_id, type, content, status) VALUES ($1, $2, $3, $4)',
+            [conversationId, 'system_event', `Cartão recusado: ${orderCode}`, success ? 'sent' : 'failed']
         );
         
-        if (conversation.rows.length > 0) {
-            const conversationId = conversation.rows[0].id;
-            
-            await database.query(
-                'INSERT INTO messages (conversation_id, type, content, status) VALUES ($1, $2, $3, $4)',
-                [conversationId, 'sent', messageContent.substring(0, 500), 'delivered']
-            );
-            
-            await database.query(
-                'UPDATE conversations SET updated_at = NOW() WHERE id = $1',
-                [conversationId]
-            );
+        systemStats.totalEvents++;
+        if (success) {
+            systemStats.successfulEvents++;
+        } else {
+            systemStats.failedEvents++;
         }
         
     } catch (error) {
-        logger.error(`❌ Erro ao processar mensagem do sistema: ${error.message}`, error);
+        logger.error(`❌ Erro ao processar cartão recusado ${orderCode}: ${error.message}`, error);
+        systemStats.failedEvents++;
+        throw error;
     }
 }
 
 /**
- * VERIFICAR STATUS DE PAGAMENTO
+ * PROCESSAR MUDANÇA NO CICLO DE VIDA DA VENDA
+ * Reembolso, chargeback, cancelamento, expiração e disputa
  */
-async function checkPaymentStatus(orderCode) {
+async function handleSaleLifecycle(order, lifecycle) {
+    const { code: orderCode, phone: phoneNumber, product, amount } = order;
+    const { firstName, fullName } = order.customer;
+    
     try {
-        const result = await database.query(
-            'SELECT status FROM conversations WHERE order_code = $1 ORDER BY updated_at DESC LIMIT 1',
+        logger.info(`🔁 ${lifecycle.label.toUpperCase()}: ${orderCode} | Produto: ${product} | Cliente: ${firstName}`);
+        
+        // Parar o funil: nenhum timeout ou follow-up pendente deve disparar
+        await queueService.cancelAllTimeouts(orderCode);
+        
+        const existing = await database.query(
+            'SELECT id, status, instance_name FROM conversations WHERE order_code = $1',
             [orderCode]
         );
         
-        if (result.rows.length > 0) {
-            const status = result.rows[0].status;
-            const isPaid = status === 'approved' || status === 'completed';
-            logger.debug(`💳 Status pagamento ${orderCode}: ${status} | Pago: ${isPaid}`);
-            return isPaid;
-        }
+        let conversationId;
+        let instanceName;
+        let previousStatus = null;
         
-        return false;
+        if (existing.rows.length > 0) {
+            conversationId = existing.rows[0].id;
+            instanceName = existing.rows[0].instance_name;
+            previousStatus = existing.rows[0].status;
+            
+            await database.query(
+                'UPDATE conversations SET status = $1, customer_id = COALESCE(customer_id, $3), updated_at = NOW() WHERE id = $2',
+                [lifecycle.status, conversationId, order.customerId]
+            );
+        } else {
+            // Pedido nunca visto: registrar sem atribuir nova instância
+            const lead = await database.query(
+                'SELECT instance_name FROM leads WHERE phone = $1',
+                [phoneNumber]
+            );
+            instanceName = lead.rows.length > 0 ? lead.rows[0].instance_name : null;
+            
+            const conversation = await database.query(`
+                INSERT INTO conversations 
+                (phone, order_code, product, status, current_step, instance_name, amount, pix_url, client_name, customer_id, created_at, updated_at)
+                VALUES ($1, $2, $3, $4, 0, $5, $6, '', $7, $8, NOW(), NOW())
+                RETURNING id
+            `, [phoneNumber, orderCode, product, lifecycle.status, instanceName, amount, fullName, order.customerId]);
+            
+            conversationId = conversation.rows[0].id;
+        }
+        
+        const eventData = {
+            event_type: lifecycle.event,
+            produto: product,
+            instancia: instanceName,
+            evento_origem: lifecycle.status,
+            cliente: {
+                nome: firstName,
+                telefone: phoneNumber,
+                nome_completo: fullName,
+                ...(await customerService.getN8NFields(order.customerId, orderCode))
+            },
+            atribuicao: attributionService.fromOrder(order),
+            pedido: {
+                codigo: orderCode,
+                valor: amount,
+                status_anterior: previousStatus,
+                status_atual: lifecycle.status,
+                itens: orderService.fromOrder(order)
+            },
+            timestamp: new Date().toISOString(),
+            brazil_time: getBrazilTime(),
+            conversation_id: conversationId
+        };
+        
+        const success = await queueService.sendToN8N(eventData, lifecycle.event, conversationId);
+        
+        await database.query(
+            'INSERT INTO messages (conversation_id, type, content, status) VALUES ($1, $2, $3, $4)',
+            [conversationId, 'system_event', `${lifecycle.label}: ${orderCode}`, success ? 'sent' : 'failed']
+        );
+        
+        systemStats.totalEvents++;
+        if (success) {
+            systemStats.successfulEvents++;
+        } else {
+            systemStats.failedEvents++;
+        }
+        
+    } catch (error) {
+        logger.error(`❌ Erro ao processar ${lifecycle.label.toLowerCase()} ${orderCode}: ${error.message}`, error);
+        systemStats.failedEvents++;
+        throw error;
+    }
+}
+
+/**
+ * WEBHOOK EVOLUTION API
+ */
+app.post('/webhook/evolution', async (req, res) => {
+    const inboxId = await inboxService.store('evolution', req);
+    
+    try {
+        const result = await processEvolutionWebhook(req.body);
+        await inboxService.markProcessed(inboxId, result.body);
+        
+        res.status(result.status).json(result.body);
+        
+    } catch (error) {
+        logger.error(`❌ Erro no webhook Evolution: ${error.message}`, error);
+        await inboxService.markFailed(inboxId, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PROCESSAR PAYLOAD EVOLUTION (webhook ou replay da inbox)
+ */
+async function processEvolutionWebhook(data) {
+    const messageData = data.data;
+    
+    if (!messageData || !messageData.key) {
+        logger.warn(`⚠️ Estrutura inválida no webhook Evolution`);
+        return { status: 200, body: { success: true, message: 'Estrutura inválida' } };
+    }
+    
+    const remoteJid = messageData.key.remoteJid;
+    const fromMe = messageData.key.fromMe;
+    const messageContent = messageData.message?.conversation || 
+                          messageData.message?.extendedTextMessage?.text || 
+                          messageData.message?.imageMessage?.caption || 
+                          '';
+    const instanceName = data.instance;
+    
+    const clientNumber = await jidAliasService.resolve(messageData.key, instanceName, fromMe ? 'sent' : 'reply');
+    
+    logger.info(`📱 Evolution: ${fromMe ? 'Sistema' : 'Cliente'} | ${clientNumber || remoteJid} | ${instanceName}`);
+    
+    if (!clientNumber) {
+        // Grupo/broadcast ou JID sem telefone conhecido (ex: @lid novo)
+        if (!fromMe && !/@(g\.us|broadcast)$/.test(remoteJid || '')) {
+            await jidAliasService.storeOrphan(messageData, instanceName, null, messageContent);
+        }
+    } else if (fromMe) {
+        await handleSystemMessage(clientNumber, messageContent, instanceName);
+    } else {
+        await handleClientResponse(clientNumber, messageContent, instanceName, messageData);
+    }
+    
+    return {
+        status: 200,
+        body: {
+            success: true, 
+            message: 'Webhook Evolution processado',
+            client_number: clientNumber,
+            from_me: fromMe,
+            instance: instanceName
+        }
+    };
+}
+
+/**
+ * PROCESSAR MENSAGEM DO SISTEMA
+ */
+async function handleSystemMessage(clientNumber, messageContent, instanceName) {
+    try {
+        logger.info(`📤 Mensagem do sistema: ${clientNumber}`);
+        
+        const conversation = await database.query(
+            'SELECT id FROM conversations WHERE phone = $1 AND status = ANY($2) ORDER BY created_at DESC LIMIT 1',
+            [clientNumber, ACTIVE_STATUSES]
+        );
+        
+        if (conversation.rows.length > 0) {
+            const conversationId = conversation.rows[0].id;
+            
+            await database.query(
+                'INSERT INTO messages (conversation_id, type, content, status) VALUES ($1, $2, $3, $4)',
+                [conversationId, 'sent', messageContent.substring(0, 500), 'delivered']
+            );
+            
+            await database.query(
+                'UPDATE conversations SET updated_at = NOW() WHERE id = $1',
+                [conversationId]
+            );
+        }
+        
+    } catch (error) {
+        logger.error(`❌ Erro ao processar mensagem do sistema: ${error.message}`, error);
+        throw error;
+    }
+}
+
+/**
+ * VERIFICAR STATUS DE PAGAMENTO
+ */
+async function checkPaymentStatus(orderCode) {
+    try {
+        const result = await database.query(
+            'SELECT status FROM conversations WHERE order_code = $1 ORDER BY updated_at DESC LIMIT 1',
+            [orderCode]
+        );
+        
+        if (result.rows.length > 0) {
+            const status = result.rows[0].status;
+            const isPaid = PAID_STATUSES.includes(status);
+            logger.debug(`💳 Status pagamento ${orderCode}: ${status} | Pago: ${isPaid}`);
+            return isPaid;
+        }
+        
+        return false;
         
     } catch (error) {
         logger.error(`❌ Erro ao verificar pagamento ${orderCode}: ${error.message}`, error);
@@ -477,18 +929,20 @@ async function sendConversionEvent(conversation, messageContent, responseNumber)
         const fullName = conversation.client_name || 'Cliente';
         const firstName = getFirstName(fullName);
         
-        logger.info(`🎯 PIX pago - enviando convertido: ${conversation.order_code} | Resposta ${responseNumber}`);
+        logger.info(`🎯 Pagamento confirmado - enviando convertido: ${conversation.order_code} | Resposta ${responseNumber}`);
         
         const eventData = {
             event_type: 'convertido',
             produto: conversation.product,
             instancia: conversation.instance_name,
-            evento_origem: 'pix_convertido',
+            evento_origem: `${EVENT_ORIGIN[conversation.status] || 'pix'}_convertido`,
             cliente: {
                 telefone: conversation.phone,
                 nome: firstName,
-                nome_completo: fullName
+                nome_completo: fullName,
+                ...(await customerService.getN8NFields(conversation.customer_id, conversation.order_code))
             },
+            atribuicao: attributionService.fromConversation(conversation),
             conversao: {
                 resposta_numero: responseNumber,
                 conteudo_resposta: messageContent,
@@ -499,7 +953,10 @@ async function sendConversionEvent(conversation, messageContent, responseNumber)
             pedido: {
                 codigo: conversation.order_code,
                 valor: conversation.amount || 0,
-                pix_url: conversation.pix_url || ''
+                pix_url: conversation.pix_url || '',
+                forma_pagamento: conversation.payment_method || 'pix',
+                link_pagamento: conversation.payment_url || '',
+                itens: await orderService.getN8NItems(conversation.id)
             },
             timestamp: new Date().toISOString(),
             brazil_time: getBrazilTime(),
@@ -521,6 +978,99 @@ async function sendConversionEvent(conversation, messageContent, responseNumber)
     }
 }
 
+/**
+ * OPT-OUT DO CLIENTE
+ * Inclui o número na lista de não contatar e interrompe as cadências ativas
+ */
+async function handleOptOut(clientNumber, messageContent) {
+    logger.warn(`🛑 OPT-OUT: ${clientNumber} pediu para não receber mais mensagens`);
+    
+    await suppressionService.add(clientNumber, { reason: 'opt_out', message: messageContent });
+    const conversations = await stopActiveConversations(clientNumber);
+    
+    if (conversations.length > 0) {
+        await database.query(
+            'INSERT INTO messages (conversation_id, type, content, status, intent) VALUES ($1, $2, $3, $4, $5)',
+            [conversations[0].id, 'received', messageContent.substring(0, 500), 'received', 'opt_out']
+        );
+        await database.query(
+            'INSERT INTO messages (conversation_id, type, content, status) VALUES ($1, $2, $3, $4)',
+            [conversations[0].id, 'system_event', 'Opt-out: número incluído na lista de não contatar', 'ignored']
+        );
+    }
+}
+
+/**
+ * Cancelar timeouts e cadências das conversas ativas de um telefone
+ */
+async function stopActiveConversations(phone) {
+    const conversations = await database.query(
+        'SELECT id, order_code FROM conversations WHERE phone = $1 AND status = ANY($2) ORDER BY created_at DESC',
+        [phone, ACTIVE_STATUSES]
+    );
+    
+    for (const conversation of conversations.rows) {
+        await queueService.cancelAllTimeouts(conversation.order_code);
+    }
+    
+    return conversations.rows;
+}
+
+/**
+ * ENVIAR EVENTO DE INTENÇÃO (desvio do funil, etapa atual não avança)
+ */
+async function sendIntentEvent(conversation, messageContent, intent) {
+    const fullName = conversation.client_name || 'Cliente';
+    
+    const eventData = {
+        event_type: intent.event_type,
+        produto: conversation.product,
+        instancia: conversation.instance_name,
+        evento_origem: EVENT_ORIGIN[conversation.status] || 'pix',
+        cliente: {
+            telefone: conversation.phone,
+            nome: getFirstName(fullName),
+            nome_completo: fullName,
+            ...(await customerService.getN8NFields(conversation.customer_id, conversation.order_code))
+        },
+        atribuicao: attributionService.fromConversation(conversation),
+        intencao: {
+            nome: intent.intent,
+            termo: intent.matched,
+            etapa_atual: conversation.responses_count || 0
+        },
+        resposta: {
+            conteudo: messageContent,
+            timestamp: new Date().toISOString(),
+            brazil_time: getBrazilTime()
+        },
+        pedido: {
+            codigo: conversation.order_code,
+            valor: conversation.amount || 0,
+            pix_url: conversation.pix_url || '',
+            forma_pagamento: conversation.payment_method || 'pix',
+            link_pagamento: conversation.payment_url || '',
+            itens: await orderService.getN8NItems(conversation.id)
+        },
+        timestamp: new Date().toISOString(),
+        brazil_time: getBrazilTime(),
+        conversation_id: conversation.id
+    };
+    
+    const success = await queueService.sendToN8N(eventData, intent.event_type, conversation.id);
+    
+    await database.query(
+        'INSERT INTO messages (conversation_id, type, content, status) VALUES ($1, $2, $3, $4)',
+        [conversation.id, 'system_event', `Intenção ${intent.intent}: ${intent.event_type}`, success ? 'sent' : 'failed']
+    );
+    
+    if (success) {
+        logger.info(`✅ ${intent.event_type} enviada ao N8N: ${conversation.order_code}`);
+    } else {
+        logger.error(`❌ Falha ao enviar ${intent.event_type} ao N8N`);
+    }
+}
+
 /**
  * PROCESSAR RESPOSTA DO CLIENTE - FUNIL SEQUENCIAL COM AVANÇO POR RESPOSTA
  */
@@ -528,70 +1078,78 @@ async function handleClientResponse(clientNumber, messageContent, instanceName,
     try {
         logger.info(`📥 RESPOSTA CLIENTE: ${clientNumber} | "${messageContent.substring(0, 50)}..."`);
         
+        // Opt-out ("PARAR", "SAIR"...): lista de não contatar, nada vai ao N8N
+        if (suppressionService.isOptOut(messageContent)) {
+            await handleOptOut(clientNumber, messageContent);
+            return;
+        }
+        
+        if (await suppressionService.isSuppressed(clientNumber)) {
+            logger.info(`🚫 Resposta de ${clientNumber} ignorada: número na lista de não contatar`);
+            return;
+        }
+        
         // Buscar conversa ativa
         const conversation = await database.query(`
             SELECT id, order_code, product, status, current_step, responses_count, 
-                   instance_name, client_name, amount, pix_url
+                   instance_name, client_name, amount, pix_url, payment_method, payment_url,
+                   customer_id, utm_source, utm_medium, utm_campaign, utm_content, affiliate
             FROM conversations 
-            WHERE phone = $1 AND status IN ('pix_pending', 'approved') 
+            WHERE phone = $1 AND status = ANY($2) 
             ORDER BY created_at DESC LIMIT 1
-        `, [clientNumber]);
+        `, [clientNumber, ACTIVE_STATUSES]);
         
         if (conversation.rows.length === 0) {
             logger.warn(`⚠️ Cliente ${clientNumber} não encontrado nas conversas ativas`);
+            
+            // Número sem nenhuma conversa: guardar para vínculo manual
+            const anyConversation = await database.query('SELECT 1 FROM conversations WHERE phone = $1 LIMIT 1', [clientNumber]);
+            if (anyConversation.rows.length === 0) {
+                await jidAliasService.storeOrphan(messageData, instanceName, clientNumber, messageContent);
+            }
             return;
         }
         
         const conv = conversation.rows[0];
         
-        // Verificar qual foi a última resposta_XX enviada pelo sistema
-        const lastSystemResponse = await database.query(`
-            SELECT content 
-            FROM messages 
-            WHERE conversation_id = $1 
-              AND type = 'system_event' 
-              AND content LIKE '%resposta_0%' 
-              AND content LIKE '%enviada ao N8N%'
-            ORDER BY created_at DESC 
-            LIMIT 1
-        `, [conv.id]);
-        
-        let nextStep = 1; // Padrão: cliente respondeu à msg01, enviar resposta_01
-        
-        if (lastSystemResponse.rows.length > 0) {
-            const lastResponse = lastSystemResponse.rows[0].content;
+        // Funil do produto/origem; responses_count = etapas já enviadas ao N8N
+        const funnel = await funnelService.getFunnel(conv.product, EVENT_ORIGIN[conv.status] || 'pix');
+        const stepsSent = conv.responses_count || 0;
+        const nextStep = stepsSent + 1;
+        const stepEvent = funnel.steps[stepsSent];
+        
+        // Intenção da mensagem: branch desvia para intencao_<intent> sem avançar o funil
+        const intent = await intentService.classify(conv.product, messageContent);
+        const branch = intent !== null && intent.action === 'branch';
+        
+        if (!branch && stepsSent >= funnel.steps.length) {
+            logger.info(`✅ Funil completo - ${clientNumber} já recebeu ${funnel.steps[funnel.steps.length - 1]}`);
             
-            if (lastResponse.includes('resposta_03')) {
-                // Já enviou resposta_03, funil completo
-                logger.info(`✅ Funil completo - ${clientNumber} já recebeu resposta_03`);
-                
-                await database.query(
-                    'INSERT INTO messages (conversation_id, type, content, status) VALUES ($1, $2, $3, $4)',
-                    [conv.id, 'received', messageContent.substring(0, 500), 'extra']
-                );
-                return;
-                
-            } else if (lastResponse.includes('resposta_02')) {
-                nextStep = 3; // Cliente respondeu à resposta_02, enviar resposta_03
-            } else if (lastResponse.includes('resposta_01')) {
-                nextStep = 2; // Cliente respondeu à resposta_01, enviar resposta_02
-            }
+            await database.query(
+                'INSERT INTO messages (conversation_id, type, content, status, intent) VALUES ($1, $2, $3, $4, $5)',
+                [conv.id, 'received', messageContent.substring(0, 500), 'extra', intent ? intent.intent : null]
+            );
+            return;
         }
         
-        logger.info(`📋 Cliente ${clientNumber} respondeu - enviando resposta_0${nextStep}`);
+        if (branch) {
+            logger.info(`🧭 Cliente ${clientNumber} respondeu com intenção ${intent.intent} ("${intent.matched}") - enviando ${intent.event_type}`);
+        } else {
+            logger.info(`📋 Cliente ${clientNumber} respondeu - enviando ${stepEvent} (etapa ${nextStep}/${funnel.steps.length})`);
+        }
         
         // Sempre registrar a mensagem do cliente
         await database.query(
-            'INSERT INTO messages (conversation_id, type, content, status, response_number) VALUES ($1, $2, $3, $4, $5)',
-            [conv.id, 'received', messageContent.substring(0, 500), 'received', nextStep]
+            'INSERT INTO messages (conversation_id, type, content, status, response_number, intent) VALUES ($1, $2, $3, $4, $5, $6)',
+            [conv.id, 'received', messageContent.substring(0, 500), 'received', branch ? null : nextStep, intent ? intent.intent : null]
         );
         
-        // Verificar se PIX foi pago durante o fluxo
-        if (conv.status === 'pix_pending') {
+        // Verificar se o pagamento foi feito durante o fluxo
+        if (PENDING_PAYMENT_STATUSES.includes(conv.status)) {
             const isPaid = await checkPaymentStatus(conv.order_code);
             
             if (isPaid) {
-                logger.info(`🎉 PIX pago durante fluxo - enviando evento convertido`);
+                logger.info(`🎉 Pagamento confirmado durante fluxo - enviando evento convertido`);
                 
                 await queueService.cancelAllTimeouts(conv.order_code);
                 await database.query(
@@ -604,80 +1162,79 @@ async function handleClientResponse(clientNumber, messageContent, instanceName,
             }
         }
         
-        // Verificar se já enviamos esta resposta específica (anti-duplicação)
-        const alreadySentThisStep = await database.query(`
-            SELECT COUNT(*) as count
-            FROM messages 
-            WHERE conversation_id = $1 
-              AND type = 'system_event' 
-              AND content = $2
-        `, [conv.id, `resposta_0${nextStep} enviada ao N8N`]);
-        
-        if (parseInt(alreadySentThisStep.rows[0].count) > 0) {
-            logger.info(`🔄 Resposta_0${nextStep} já foi enviada - não reenviar`);
+        if (branch) {
+            await sendIntentEvent(conv, messageContent, intent);
             return;
         }
         
         // Preparar dados para N8N
         const eventData = {
-            event_type: `resposta_0${nextStep}`,
+            event_type: stepEvent,
             produto: conv.product,
             instancia: conv.instance_name,
-            evento_origem: conv.status === 'approved' ? 'aprovada' : 'pix',
+            evento_origem: EVENT_ORIGIN[conv.status] || 'pix',
             cliente: {
                 telefone: conv.phone,
                 nome: getFirstName(conv.client_name || 'Cliente'),
-                nome_completo: conv.client_name || 'Cliente'
+                nome_completo: conv.client_name || 'Cliente',
+                ...(await customerService.getN8NFields(conv.customer_id, conv.order_code))
             },
+            atribuicao: attributionService.fromConversation(conv),
             resposta: {
                 numero: nextStep,
                 conteudo: messageContent,
                 timestamp: new Date().toISOString(),
                 brazil_time: getBrazilTime()
             },
+            intencao: intent ? { nome: intent.intent, termo: intent.matched } : null,
             pedido: {
                 codigo: conv.order_code,
                 valor: conv.amount || 0,
-                pix_url: conv.pix_url || ''
+                pix_url: conv.pix_url || '',
+                forma_pagamento: conv.payment_method || 'pix',
+                link_pagamento: conv.payment_url || '',
+                itens: await orderService.getN8NItems(conv.id)
             },
             timestamp: new Date().toISOString(),
             brazil_time: getBrazilTime(),
             conversation_id: conv.id
         };
         
+        // Reservar a etapa (anti-duplicação entre respostas simultâneas)
+        const claimed = await funnelService.claimStep(conv.id, nextStep, stepEvent);
+        
+        if (!claimed) {
+            logger.info(`🔄 ${stepEvent} já foi enviada ou está em envio - não reenviar`);
+            return;
+        }
+        
         // Enviar ao N8N
-        const success = await queueService.sendToN8N(eventData, `resposta_0${nextStep}`, conv.id);
+        const success = await queueService.sendToN8N(eventData, stepEvent, conv.id);
         
         if (success) {
-            logger.info(`✅ Resposta_0${nextStep} enviada ao N8N com sucesso`);
+            logger.info(`✅ ${stepEvent} enviada ao N8N com sucesso`);
             
-            // Atualizar contador de respostas na conversa
-            await database.query(
-                'UPDATE conversations SET responses_count = $1, last_response_at = NOW(), updated_at = NOW() WHERE id = $2',
-                [nextStep, conv.id]
-            );
+            // Avançar posição do funil (última etapa aplica a regra de conclusão)
+            const completesFunnel = nextStep === funnel.steps.length && funnel.on_complete === 'complete';
+            await funnelService.completeStep(conv.id, nextStep, stepEvent, completesFunnel);
             
-            // Registrar que enviamos a resposta ao N8N
+            // Histórico da conversa
             await database.query(
                 'INSERT INTO messages (conversation_id, type, content, status) VALUES ($1, $2, $3, $4)',
-                [conv.id, 'system_event', `resposta_0${nextStep} enviada ao N8N`, 'sent']
+                [conv.id, 'system_event', `${stepEvent} enviada ao N8N`, 'sent']
             );
             
-            // Se foi a terceira resposta, marcar como completo
-            if (nextStep === 3) {
-                logger.info(`🎯 Funil completo após resposta_03: ${conv.order_code}`);
-                
-                await database.query(
-                    'UPDATE conversations SET status = $1, updated_at = NOW() WHERE id = $2',
-                    ['completed', conv.id]
-                );
+            if (completesFunnel) {
+                logger.info(`🎯 Funil completo após ${stepEvent}: ${conv.order_code}`);
             }
         } else {
-            logger.error(`❌ Falha ao enviar resposta_0${nextStep} ao N8N`);
+            await funnelService.failStep(conv.id, nextStep);
+            logger.error(`❌ Falha ao enviar ${stepEvent} ao N8N`);
         }
         
     } catch (error) {
         logger.error(`❌ Erro ao processar resposta do cliente ${clientNumber}: ${error.message}`, error);
+        throw error;
     }
 }
 
@@ -685,60 +1242,123 @@ async function handleClientResponse(clientNumber, messageContent, instanceName,
  * WEBHOOK N8N CONFIRM - CORRIGIDO
  */
 app.post('/webhook/n8n-confirm', async (req, res) => {
+    const inboxId = await inboxService.store('n8n-confirm', req);
+    
     try {
-        const { tipo_mensagem, telefone, instancia } = req.body;
-        
-        const phoneNormalized = normalizePhoneNumber(telefone);
+        const result = await processN8NConfirm(req.body);
+        await inboxService.markProcessed(inboxId, result.body);
         
-        logger.info(`✅ N8N confirmou envio de ${tipo_mensagem}: ${phoneNormalized} via ${instancia}`);
+        res.status(result.status).json(result.body);
         
-        const conversation = await database.query(
-            `SELECT * FROM conversations 
-             WHERE phone = $1 AND status IN ('pix_pending', 'approved', 'completed') 
-             ORDER BY created_at DESC LIMIT 1`,
-            [phoneNormalized]
-        );
-        
-        if (conversation.rows.length === 0) {
-            logger.warn(`⚠️ Nenhuma conversa encontrada para confirmação: ${phoneNormalized}`);
-            return res.json({ 
+    } catch (error) {
+        logger.error(`❌ Erro no webhook N8N confirm: ${error.message}`, error);
+        await inboxService.markFailed(inboxId, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PROCESSAR CONFIRMAÇÃO N8N (webhook ou replay da inbox)
+ */
+async function processN8NConfirm(data) {
+    const { tipo_mensagem, telefone, instancia } = data;
+    
+    const phoneNormalized = phoneService.normalize(telefone);
+    
+    logger.info(`✅ N8N confirmou envio de ${tipo_mensagem}: ${phoneNormalized} via ${instancia}`);
+    
+    const conversation = await database.query(
+        `SELECT * FROM conversations 
+         WHERE phone = $1 AND status = ANY($2) 
+         ORDER BY created_at DESC LIMIT 1`,
+        [phoneNormalized, [...ACTIVE_STATUSES, 'completed']]
+    );
+    
+    if (conversation.rows.length === 0) {
+        logger.warn(`⚠️ Nenhuma conversa encontrada para confirmação: ${phoneNormalized}`);
+        return {
+            status: 200,
+            body: { 
                 success: false, 
                 message: 'Nenhuma conversa encontrada'
-            });
-        }
-        
-        const conv = conversation.rows[0];
-        
-        // Registrar confirmação como system_event
-        await database.query(
-            'INSERT INTO messages (conversation_id, type, content, status) VALUES ($1, $2, $3, $4)',
-            [
-                conv.id, 
-                'system_event',
-                `N8N confirmou envio: ${tipo_mensagem} via ${instancia}`,
-                'delivered'
-            ]
-        );
-        
-        logger.info(`📝 Confirmação N8N registrada para ${conv.order_code}`);
-        
-        const proximaResposta = conv.responses_count < 3 ? conv.responses_count + 1 : null;
-        
-        res.json({ 
+            }
+        };
+    }
+    
+    const conv = conversation.rows[0];
+    
+    // Registrar confirmação como system_event
+    await database.query(
+        'INSERT INTO messages (conversation_id, type, content, status) VALUES ($1, $2, $3, $4)',
+        [
+            conv.id, 
+            'system_event',
+            `N8N confirmou envio: ${tipo_mensagem} via ${instancia}`,
+            'delivered'
+        ]
+    );
+    
+    logger.info(`📝 Confirmação N8N registrada para ${conv.order_code}`);
+    
+    const funnel = await funnelService.getFunnel(conv.product, EVENT_ORIGIN[conv.status] || 'pix');
+    const proximaResposta = conv.status === 'completed' ? null : funnel.steps[conv.responses_count || 0];
+    
+    return {
+        status: 200,
+        body: { 
             success: true,
             message: `${tipo_mensagem} confirmada`,
             pedido: conv.order_code,
             cliente: conv.client_name,
             respostas_atuais: conv.responses_count,
-            proxima_resposta: proximaResposta ? `resposta_0${proximaResposta}` : 'Funil completo',
+            proxima_resposta: proximaResposta || 'Funil completo',
             status_conversa: conv.status
-        });
+        }
+    };
+}
+
+/**
+ * REPROCESSAMENTO DA INBOX DE WEBHOOKS
+ */
+const WEBHOOK_PROCESSORS = {
+    'evolution': processEvolutionWebhook,
+    'n8n-confirm': processN8NConfirm
+};
+
+// Processador da origem: rotas fixas ou adaptador de gateway de pagamento
+function getWebhookProcessor(source) {
+    if (WEBHOOK_PROCESSORS[source]) {
+        return WEBHOOK_PROCESSORS[source];
+    }
+    
+    const gateway = getGateway(source);
+    return gateway ? (data) => processPaymentWebhook(gateway, data) : null;
+}
+
+async function replayInboxEntry(entry) {
+    const processor = getWebhookProcessor(entry.source);
+    
+    if (!processor) {
+        throw new Error(`Origem de webhook desconhecida: ${entry.source}`);
+    }
+    
+    if (entry.status === 'rejected') {
+        throw new Error(`Entrada ${entry.id} foi rejeitada na verificação e não pode ser reprocessada`);
+    }
+    
+    logger.info(`🔁 Reprocessando inbox #${entry.id} | ${entry.source} | recebido em ${entry.received_at}`);
+    
+    try {
+        const result = await processor(entry.payload || {});
+        await inboxService.markProcessed(entry.id, result.body);
+        return { id: entry.id, source: entry.source, success: true, response: result.body };
         
     } catch (error) {
-        logger.error(`❌ Erro no webhook N8N confirm: ${error.message}`, error);
-        res.status(500).json({ success: false, error: error.message });
+        logger.error(`❌ Replay da inbox #${entry.id} falhou: ${error.message}`, error);
+        await inboxService.markFailed(entry.id, error);
+        return { id: entry.id, source: entry.source, success: false, error: error.message };
     }
-});
+}
 
 /**
  * ENDPOINTS PARA N8N
@@ -760,7 +1380,7 @@ app.get('/check-payment/:orderId', async (req, res) => {
         }
         
         const status = conversation.rows[0].status;
-        const isPaid = status === 'approved' || status === 'completed';
+        const isPaid = PAID_STATUSES.includes(status);
         
         logger.info(`💳 Check payment ${orderId}: Status ${status} | Pago: ${isPaid}`);
         
@@ -821,7 +1441,8 @@ app.get('/status', async (req, res) => {
             totalLeads,
             recentMessages,
             conversations,
-            instanceStats
+            instanceStats,
+            suppressedContacts
         ] = await Promise.all([
             database.query("SELECT COUNT(*) FROM conversations WHERE status = 'pix_pending'"),
             database.query("SELECT COUNT(*) FROM conversations WHERE status IN ('pix_pending', 'approved')"),
@@ -839,7 +1460,8 @@ app.get('/status', async (req, res) => {
                 FROM leads 
                 GROUP BY instance_name 
                 ORDER BY total DESC
-            `)
+            `),
+            suppressionService.count()
         ]);
         
         res.json({
@@ -852,6 +1474,7 @@ app.get('/status', async (req, res) => {
                 pending_pix: parseInt(pendingPix.rows[0].count),
                 active_conversations: parseInt(activeConversations.rows[0].count),
                 total_leads: parseInt(totalLeads.rows[0].count),
+                suppressed_contacts: suppressedContacts,
                 total_events: systemStats.totalEvents,
                 successful_events: systemStats.successfulEvents,
                 failed_events: systemStats.failedEvents,
@@ -863,7 +1486,9 @@ app.get('/status', async (req, res) => {
                 n8n_webhook_url: CONFIG.N8N_WEBHOOK_URL,
                 evolution_api_url: CONFIG.EVOLUTION_API_URL,
                 pix_timeout: CONFIG.PIX_TIMEOUT,
-                instances_active: INSTANCES.filter(i => i.active).length
+                instances_active: (await instanceRegistry.getActive()).length,
+                perfect_pay_verification: securityService.isPerfectPayConfigured() ? 'enabled' : 'disabled',
+                payment_gateways: listGateways()
             },
             recent_messages: recentMessages.rows,
             conversations: conversations.rows,
@@ -914,7 +1539,7 @@ app.get('/diagnostics', async (req, res) => {
                 max_retry_attempts: CONFIG.MAX_RETRY_ATTEMPTS,
                 port: PORT,
                 node_env: process.env.NODE_ENV || 'development',
-                instances_configured: INSTANCES.length
+                instances_configured: (await instanceRegistry.getAll()).length
             },
             
             corrections_applied: [
@@ -1021,228 +1646,1222 @@ app.get('/events', async (req, res) => {
         });
         
     } catch (error) {
-        logger.error(`❌ Erro ao obter eventos: ${error.message}`, error);
+        logger.error(`❌ Erro ao obter eventos: ${error.message}`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Logs do sistema
+app.get('/logs', async (req, res) => {
+    try {
+        const { limit = 50, level } = req.query;
+        const logs = await logger.getRecentLogs(limit, level);
+        
+        res.json({ 
+            logs: logs.map(log => ({
+                ...log,
+                level_upper: log.level.toUpperCase(),
+                brazil_time_formatted: moment(log.created_at).tz('America/Sao_Paulo').format('DD/MM HH:mm:ss')
+            }))
+        });
+    } catch (error) {
+        logger.error(`❌ Erro ao obter logs: ${error.message}`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Log de segurança (webhooks rejeitados)
+app.get('/security/events', async (req, res) => {
+    try {
+        const { limit = 100 } = req.query;
+        const [events, stats] = await Promise.all([
+            securityService.getRecentEvents(limit),
+            securityService.getStats()
+        ]);
+        
+        res.json({
+            ...stats,
+            events: events.map(event => ({
+                ...event,
+                brazil_time_formatted: moment(event.created_at).tz('America/Sao_Paulo').format('DD/MM HH:mm:ss')
+            }))
+        });
+    } catch (error) {
+        logger.error(`❌ Erro ao obter eventos de segurança: ${error.message}`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Status das instâncias
+app.get('/instances/status', async (req, res) => {
+    try {
+        const instancesStatus = [];
+        const instances = await instanceRegistry.getActive();
+        
+        const possibleEndpoints = [
+            '/instance/connectionState',
+            '/instance/connect',
+            '/instance/fetchInstances',
+            '/instance/status'
+        ];
+        
+        for (const instance of instances) {
+            let isConnected = false;
+            let workingEndpoint = null;
+            let responseData = null;
+            
+            for (const endpoint of possibleEndpoints) {
+                try {
+                    const response = await axios.get(`${CONFIG.EVOLUTION_API_URL}${endpoint}/${instance.name}`, {
+                        timeout: 8000,
+                        headers: { 'apikey': instance.apiKey }
+                    });
+                    
+                    responseData = response.data;
+                    
+                    if (response.data?.instance?.state === 'open' || 
+                        response.data?.state === 'open' || 
+                        response.data?.status === 'open' || 
+                        response.data?.connected === true) {
+                        
+                        isConnected = true;
+                        workingEndpoint = endpoint;
+                        break;
+                    }
+                    
+                } catch (error) {
+                    continue;
+                }
+            }
+            
+            instancesStatus.push({
+                name: instance.name,
+                status: isConnected ? 'online' : 'offline',
+                active: isConnected,
+                workingEndpoint: workingEndpoint,
+                responseData: responseData,
+                lastCheck: new Date().toISOString(),
+                lastCheckBrazil: getBrazilTime()
+            });
+        }
+
+        const onlineCount = instancesStatus.filter(i => i.status === 'online').length;
+        
+        res.json({
+            instances: instancesStatus,
+            summary: {
+                total: instances.length,
+                online: onlineCount,
+                offline: instances.length - onlineCount,
+                percentage: instances.length > 0 ? Math.round((onlineCount / instances.length) * 100) : 0
+            }
+        });
+
+    } catch (error) {
+        logger.error(`❌ Erro ao verificar instâncias: ${error.message}`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Health check das instâncias
+app.post('/instances/health-check', async (req, res) => {
+    try {
+        const response = await axios.get(`${req.protocol}://${req.get('host')}/instances/status`);
+        res.json({
+            success: true,
+            online: response.data.summary.online,
+            total: response.data.summary.total,
+            percentage: response.data.summary.percentage
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Forçar processamento da fila
+app.post('/queue/process', async (req, res) => {
+    try {
+        logger.info('🔄 Forçando processamento da fila manualmente...');
+        
+        await queueService.processQueue();
+        const stats = await queueService.getQueueStats();
+        
+        res.json({
+            success: true,
+            message: 'Fila processada manualmente',
+            stats: stats
+        });
+        
+    } catch (error) {
+        logger.error(`❌ Erro ao processar fila manualmente: ${error.message}`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Debug: listar eventos pendentes
+app.get('/queue/pending', async (req, res) => {
+    try {
+        const pendingEvents = await database.query(`
+            SELECT *, 
+                   EXTRACT(EPOCH FROM (scheduled_for - NOW())) as seconds_until_execution
+            FROM events_queue 
+            WHERE processed = false 
+            ORDER BY created_at DESC
+        `);
+        
+        res.json({
+            pending_events: pendingEvents.rows.map(event => ({
+                ...event,
+                payload: typeof event.payload === 'string' ? JSON.parse(event.payload) : event.payload,
+                seconds_until_execution: Math.round(parseFloat(event.seconds_until_execution) || 0),
+                created_brazil: moment(event.created_at).tz('America/Sao_Paulo').format('DD/MM/YYYY HH:mm:ss'),
+                scheduled_brazil: moment(event.scheduled_for).tz('America/Sao_Paulo').format('DD/MM/YYYY HH:mm:ss')
+            }))
+        });
+        
+    } catch (error) {
+        logger.error(`❌ Erro ao obter eventos pendentes: ${error.message}`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Teste direto do webhook N8N
+app.post('/test/n8n', async (req, res) => {
+    try {
+        logger.info('🧪 Testando webhook N8N manualmente...');
+        
+        const testPayload = {
+            event_type: 'pix_timeout',
+            produto: 'FAB',
+            instancia: 'GABY04',
+            evento_origem: 'pix',
+            cliente: {
+                nome: 'Teste',
+                telefone: '5511999999999',
+                nome_completo: 'Cliente Teste'
+            },
+            pedido: {
+                codigo: 'TEST-' + Date.now(),
+                valor: 297.00,
+                pix_url: 'https://exemplo.com/pix'
+            },
+            timeout_minutos: 7,
+            timestamp: new Date().toISOString(),
+            brazil_time: getBrazilTime(),
+            conversation_id: 999
+        };
+        
+        const response = await axios.post(CONFIG.N8N_WEBHOOK_URL, testPayload, {
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'Sistema-Test/1.0'
+            },
+            timeout: 15000
+        });
+        
+        logger.info(`✅ Teste N8N bem-sucedido: ${response.status}`);
+        
+        res.json({
+            success: true,
+            message: 'Teste N8N executado com sucesso',
+            status: response.status,
+            data: response.data,
+            payload_sent: testPayload
+        });
+        
+    } catch (error) {
+        logger.error(`❌ Erro no teste N8N: ${error.message}`, error);
+        
+        res.json({
+            success: false,
+            error: error.message,
+            status: error.response?.status,
+            data: error.response?.data,
+            message: 'Teste N8N falhou'
+        });
+    }
+});
+
+// Estatísticas da fila
+app.get('/queue/stats', async (req, res) => {
+    try {
+        const stats = await queueService.getQueueStats();
+        res.json(stats);
+    } catch (error) {
+        logger.error(`❌ Erro ao obter stats da fila: ${error.message}`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Cadências de recuperação de PIX por produto
+app.get('/cadences', async (req, res) => {
+    try {
+        const cadences = await cadenceService.listCadences();
+        res.json({ default_product: cadenceService.defaultProduct, cadences: cadences });
+    } catch (error) {
+        logger.error(`❌ Erro ao listar cadências: ${error.message}`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.put('/cadences/:product', async (req, res) => {
+    try {
+        const { delays_minutes } = req.body;
+        const validationError = cadenceService.validateDelays(delays_minutes);
+        
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+        
+        await cadenceService.setCadence(req.params.product, delays_minutes);
+        
+        res.json({ success: true, cadences: await cadenceService.listCadences() });
+    } catch (error) {
+        logger.error(`❌ Erro ao salvar cadência ${req.params.product}: ${error.message}`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/cadences/:product', async (req, res) => {
+    try {
+        if (req.params.product === cadenceService.defaultProduct) {
+            return res.status(400).json({ success: false, error: 'A cadência padrão não pode ser removida' });
+        }
+        
+        const removed = await cadenceService.deleteCadence(req.params.product);
+        
+        if (!removed) {
+            return res.status(404).json({ success: false, error: 'Cadência não encontrada' });
+        }
+        
+        res.json({ success: true });
+    } catch (error) {
+        logger.error(`❌ Erro ao remover cadência ${req.params.product}: ${error.message}`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Funis de resposta por produto e origem
+app.get('/funnels', async (req, res) => {
+    try {
+        const funnels = await funnelService.listFunnels();
+        res.json({ any: funnelService.any, funnels: funnels });
+    } catch (error) {
+        logger.error(`❌ Erro ao listar funis: ${error.message}`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.put('/funnels/:product/:origin', async (req, res) => {
+    try {
+        const { product, origin } = req.params;
+        const validationError = funnelService.validate(origin, req.body);
+        
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+        
+        await funnelService.setFunnel(product, origin, {
+            steps: req.body.steps,
+            onComplete: req.body.on_complete
+        });
+        
+        res.json({ success: true, funnels: await funnelService.listFunnels() });
+    } catch (error) {
+        logger.error(`❌ Erro ao salvar funil ${req.params.product}/${req.params.origin}: ${error.message}`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Léxicos de intenção das respostas do cliente
+app.get('/intents', async (req, res) => {
+    try {
+        const lexicons = await intentService.listLexicons();
+        res.json({ any: intentService.any, lexicons: lexicons });
+    } catch (error) {
+        logger.error(`❌ Erro ao listar intenções: ${error.message}`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Testar classificação de um texto (sem registrar nada)
+app.post('/intents/classify', async (req, res) => {
+    try {
+        const intent = await intentService.classify(req.body.product || null, req.body.text || '');
+        res.json({ text: req.body.text || '', normalized: intentService.normalize(req.body.text), intent: intent });
+    } catch (error) {
+        logger.error(`❌ Erro ao classificar texto: ${error.message}`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.put('/intents/:product/:intent', async (req, res) => {
+    try {
+        const { product, intent } = req.params;
+        const validationError = intentService.validate(intent, req.body);
+        
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+        
+        await intentService.setLexicon(product, intent, {
+            patterns: req.body.patterns,
+            action: req.body.action,
+            priority: req.body.priority
+        });
+        
+        res.json({ success: true, lexicons: await intentService.listLexicons() });
+    } catch (error) {
+        logger.error(`❌ Erro ao salvar intenção ${req.params.product}/${req.params.intent}: ${error.message}`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/intents/:product/:intent', async (req, res) => {
+    try {
+        const removed = await intentService.deleteLexicon(req.params.product, req.params.intent);
+        
+        if (!removed) {
+            return res.status(404).json({ success: false, error: 'Intenção não encontrada' });
+        }
+        
+        res.json({ success: true });
+    } catch (error) {
+        logger.error(`❌ Erro ao remover intenção ${req.params.product}/${req.params.intent}: ${error.message}`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Lista de não contatar
+app.get('/suppression', async (req, res) => {
+    try {
+        const { phone, limit = 100 } = req.query;
+        res.json(await suppressionService.list({ phone: phone, limit: limit }));
+    } catch (error) {
+        logger.error(`❌ Erro ao listar não contatar: ${error.message}`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/suppression', async (req, res) => {
+    try {
+        const { phone, reason = 'manual', notes } = req.body;
+        
+        if (!phone || !phoneService.parse(phone).valid) {
+            return res.status(400).json({ success: false, error: 'Telefone inválido' });
+        }
+        
+        if (!suppressionService.isValidReason(reason)) {
+            return res.status(400).json({ success: false, error: 'reason deve ser opt_out, manual ou complaint' });
+        }
+        
+        const entry = await suppressionService.add(phone, { reason: reason, notes: notes || null });
+        
+        if (!entry) {
+            return res.status(409).json({ success: false, error: 'Telefone já está na lista de não contatar' });
+        }
+        
+        const stopped = await stopActiveConversations(entry.phone);
+        
+        res.status(201).json({ success: true, entry: entry, conversations_stopped: stopped.length });
+    } catch (error) {
+        logger.error(`❌ Erro ao incluir na lista de não contatar: ${error.message}`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/suppression/:phone', async (req, res) => {
+    try {
+        const removed = await suppressionService.remove(req.params.phone);
+        
+        if (!removed) {
+            return res.status(404).json({ success: false, error: 'Telefone não está na lista' });
+        }
+        
+        res.json({ success: true });
+    } catch (error) {
+        logger.error(`❌ Erro ao remover ${req.params.phone} da lista de não contatar: ${error.message}`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Etapas do funil enviadas em uma conversa
+app.get('/funnels/steps/:conversationId', async (req, res) => {
+    try {
+        const steps = await funnelService.getSteps(parseInt(req.params.conversationId));
+        res.json({ conversation_id: parseInt(req.params.conversationId), steps: steps });
+    } catch (error) {
+        logger.error(`❌ Erro ao buscar etapas da conversa ${req.params.conversationId}: ${error.message}`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/funnels/:product/:origin', async (req, res) => {
+    try {
+        const { product, origin } = req.params;
+        
+        if (product === funnelService.any && origin === funnelService.any) {
+            return res.status(400).json({ success: false, error: 'O funil padrão não pode ser removido' });
+        }
+        
+        const removed = await funnelService.deleteFunnel(product, origin);
+        
+        if (!removed) {
+            return res.status(404).json({ success: false, error: 'Funil não encontrado' });
+        }
+        
+        res.json({ success: true });
+    } catch (error) {
+        logger.error(`❌ Erro ao remover funil ${req.params.product}/${req.params.origin}: ${error.message}`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Inbox de webhooks recebidos
+app.get('/inbox', async (req, res) => {
+    try {
+        const { source, status, limit = 100 } = req.query;
+        const [entries, stats] = await Promise.all([
+            inboxService.list({ source, status, limit }),
+            inboxService.getStats()
+        ]);
+        
+        res.json({ last_24h: stats, entries: entries });
+    } catch (error) {
+        logger.error(`❌ Erro ao listar inbox: ${error.message}`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/inbox/:id', async (req, res) => {
+    try {
+        const entry = await inboxService.getEntry(req.params.id);
+        
+        if (!entry) {
+            return res.status(404).json({ success: false, error: 'Entrada não encontrada' });
+        }
+        
+        res.json(entry);
+    } catch (error) {
+        logger.error(`❌ Erro ao obter inbox ${req.params.id}: ${error.message}`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Reprocessar uma entrada da inbox
+app.post('/inbox/:id/replay', async (req, res) => {
+    try {
+        const entry = await inboxService.getEntry(req.params.id);
+        
+        if (!entry) {
+            return res.status(404).json({ success: false, error: 'Entrada não encontrada' });
+        }
+        
+        if (entry.status === 'rejected') {
+            return res.status(400).json({ success: false, error: 'Entradas rejeitadas não podem ser reprocessadas' });
+        }
+        
+        const result = await replayInboxEntry(entry);
+        res.json(result);
+        
+    } catch (error) {
+        logger.error(`❌ Erro no replay da inbox ${req.params.id}: ${error.message}`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Reprocessar entradas de um intervalo de tempo
+app.post('/inbox/replay', async (req, res) => {
+    try {
+        const { from, to, source, statuses } = req.body;
+        
+        if (!from || !to) {
+            return res.status(400).json({ success: false, error: 'Parâmetros from e to são obrigatórios' });
+        }
+        
+        const entries = await inboxService.findForReplay({
+            from: new Date(from),
+            to: new Date(to),
+            source: source,
+            statuses: Array.isArray(statuses) && statuses.length > 0 ? statuses : undefined
+        });
+        
+        logger.info(`🔁 Replay em lote: ${entries.length} entrada(s) entre ${from} e ${to}`);
+        
+        // Sequencial para preservar a ordem de chegada
+        const results = [];
+        for (const entry of entries) {
+            results.push(await replayInboxEntry(entry));
+        }
+        
+        res.json({
+            success: true,
+            total: results.length,
+            succeeded: results.filter(r => r.success).length,
+            failed: results.filter(r => !r.success).length,
+            results: results
+        });
+        
+    } catch (error) {
+        logger.error(`❌ Erro no replay em lote da inbox: ${error.message}`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Catálogo de produtos
+app.get('/products', async (req, res) => {
+    try {
+        const products = await catalogService.listProducts();
+        res.json({ total: products.length, products: products });
+    } catch (error) {
+        logger.error(`❌ Erro ao listar produtos: ${error.message}`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/products', async (req, res) => {
+    try {
+        const code = String(req.body.code || '').trim().toUpperCase();
+        
+        if (!/^[A-Z0-9_]{1,10}$/.test(code)) {
+            return res.status(400).json({ success: false, error: 'Código do produto inválido (até 10 caracteres A-Z, 0-9, _)' });
+        }
+        
+        const product = await catalogService.createProduct({
+            code: code,
+            name: req.body.name,
+            active: req.body.active !== false
+        });
+        
+        res.status(201).json({ success: true, product: product });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ success: false, error: 'Produto já cadastrado' });
+        }
+        logger.error(`❌ Erro ao criar produto: ${error.message}`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.put('/products/:code', async (req, res) => {
+    try {
+        const poolName = req.body.pool_name === undefined ? undefined : (req.body.pool_name || null);
+        
+        if (poolName && !(await instancePoolService.getPool(poolName))) {
+            return res.status(400).json({ success: false, error: `Pool ${poolName} não encontrado` });
+        }
+        
+        const product = await catalogService.updateProduct(req.params.code, {
+            name: req.body.name,
+            active: typeof req.body.active === 'boolean' ? req.body.active : undefined,
+            poolName: poolName
+        });
+        
+        if (!product) {
+            return res.status(404).json({ success: false, error: 'Produto não encontrado' });
+        }
+        
+        if (poolName !== undefined) {
+            instancePoolService.invalidateCache();
+        }
+        
+        res.json({ success: true, product: product });
+    } catch (error) {
+        logger.error(`❌ Erro ao atualizar produto ${req.params.code}: ${error.message}`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/products/:code', async (req, res) => {
+    try {
+        const removed = await catalogService.deleteProduct(req.params.code);
+        
+        if (!removed) {
+            return res.status(404).json({ success: false, error: 'Produto não encontrado' });
+        }
+        
+        res.json({ success: true });
+    } catch (error) {
+        logger.error(`❌ Erro ao remover produto ${req.params.code}: ${error.message}`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Mapear código de plano para produto
+app.post('/products/:code/plans', async (req, res) => {
+    try {
+        const planCode = String(req.body.plan_code || '').trim();
+        
+        if (!planCode) {
+            return res.status(400).json({ success: false, error: 'plan_code é obrigatório' });
+        }
+        
+        const plan = await catalogService.addPlan(req.params.code, {
+            planCode: planCode,
+            description: req.body.description
+        });
+        
+        res.status(201).json({ success: true, plan: plan });
+    } catch (error) {
+        if (error.code === '23503') {
+            return res.status(404).json({ success: false, error: 'Produto não encontrado' });
+        }
+        logger.error(`❌ Erro ao mapear plano: ${error.message}`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/products/plans/:planCode', async (req, res) => {
+    try {
+        const removed = await catalogService.removePlan(req.params.planCode);
+        
+        if (!removed) {
+            return res.status(404).json({ success: false, error: 'Plano não encontrado' });
+        }
+        
+        res.json({ success: true });
+    } catch (error) {
+        logger.error(`❌ Erro ao remover plano ${req.params.planCode}: ${error.message}`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Registro de instâncias Evolution (apikey nunca é devolvida)
+app.get('/instances', async (req, res) => {
+    try {
+        const instances = await instanceRegistry.list();
+        const health = new Map(evolutionService.getAllInstancesDetails().map(instance => [instance.name, instance]));
+        
+        res.json({
+            total: instances.length,
+            instances: instances.map(instance => ({
+                ...instance,
+                status: health.get(instance.name)?.status || (instance.active ? 'unknown' : 'disabled'),
+                last_check: health.get(instance.name)?.lastCheck || null
+            }))
+        });
+    } catch (error) {
+        logger.error(`❌ Erro ao listar instâncias: ${error.message}`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/instances', async (req, res) => {
+    try {
+        const name = String(req.body.name || '').trim().toUpperCase();
+        const apiKey = String(req.body.api_key || '').trim();
+        
+        if (!instanceRegistry.isValidName(name)) {
+            return res.status(400).json({ success: false, error: 'Nome da instância inválido (até 10 caracteres A-Z, 0-9, _ ou -)' });
+        }
+        
+        if (!apiKey) {
+            return res.status(400).json({ success: false, error: 'api_key é obrigatória' });
+        }
+        
+        const capacity = instanceRegistry.parseCapacity(req.body);
+        if (capacity.error) {
+            return res.status(400).json({ success: false, error: capacity.error });
+        }
+        
+        const instance = await instanceRegistry.create({
+            name: name,
+            apiKey: apiKey,
+            description: req.body.description || null,
+            active: req.body.active !== false,
+            ...capacity.fields
+        });
+        await evolutionService.loadInstances();
+        
+        res.status(201).json({ success: true, instance: instance });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ success: false, error: 'Instância já cadastrada' });
+        }
+        logger.error(`❌ Erro ao cadastrar instância: ${error.message}`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.put('/instances/:name', async (req, res) => {
+    try {
+        const capacity = instanceRegistry.parseCapacity(req.body);
+        if (capacity.error) {
+            return res.status(400).json({ success: false, error: capacity.error });
+        }
+        
+        const instance = await instanceRegistry.update(req.params.name, {
+            apiKey: req.body.api_key ? String(req.body.api_key).trim() : undefined,
+            description: req.body.description,
+            active: typeof req.body.active === 'boolean' ? req.body.active : undefined,
+            ...capacity.fields
+        });
+        
+        if (!instance) {
+            return res.status(404).json({ success: false, error: 'Instância não encontrada' });
+        }
+        await evolutionService.loadInstances();
+        
+        res.json({ success: true, instance: instance });
+    } catch (error) {
+        logger.error(`❌ Erro ao atualizar instância ${req.params.name}: ${error.message}`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/instances/:name', async (req, res) => {
+    try {
+        const removed = await instanceRegistry.remove(req.params.name);
+        
+        if (!removed) {
+            return res.status(404).json({ success: false, error: 'Instância não encontrada' });
+        }
+        await evolutionService.loadInstances();
+        instancePoolService.invalidateCache(); // membros removidos em cascata
+        
+        res.json({ success: true });
+    } catch (error) {
+        logger.error(`❌ Erro ao remover instância ${req.params.name}: ${error.message}`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Uso da capacidade diária das instâncias (limite, aquecimento e leads de hoje)
+app.get('/instances/capacity', async (req, res) => {
+    try {
+        res.json(await leadBalancer.getCapacityReport());
+    } catch (error) {
+        logger.error(`❌ Erro ao gerar relatório de capacidade: ${error.message}`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Failover de instâncias offline (simulação por padrão quando manual)
+app.post('/instances/failover', async (req, res) => {
+    try {
+        const offlineMinutes = req.body.offline_minutes !== undefined ?
+            parseInt(req.body.offline_minutes) :
+            CONFIG.FAILOVER_OFFLINE_MINUTES;
+        
+        if (isNaN(offlineMinutes) || offlineMinutes < 0) {
+            return res.status(400).json({ success: false, error: 'offline_minutes deve ser um número maior ou igual a 0' });
+        }
+        
+        const result = await failoverService.run({
+            dryRun: req.body.dry_run !== false,
+            offlineMinutes: offlineMinutes
+        });
+        
+        res.json({ success: true, ...result });
+    } catch (error) {
+        logger.error(`❌ Erro no failover manual: ${error.message}`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Rebalancear leads entre instâncias pelo peso (simulação por padrão)
+app.post('/instances/rebalance', async (req, res) => {
+    try {
+        const result = await database.rebalanceInstances({ dryRun: req.body.dry_run !== false });
+        
+        if (result.error) {
+            return res.status(500).json({ success: false, error: result.error });
+        }
+        
+        res.json({ success: true, ...result });
+    } catch (error) {
+        logger.error(`❌ Erro no rebalanceamento: ${error.message}`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/instances/migrations', async (req, res) => {
+    try {
+        const migrations = await failoverService.listMigrations(req.query.limit);
+        res.json({ total: migrations.length, migrations: migrations });
+    } catch (error) {
+        logger.error(`❌ Erro ao listar migrações de instância: ${error.message}`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Pools de instâncias por produto
+app.get('/instance-pools', async (req, res) => {
+    try {
+        const pools = await instancePoolService.list();
+        res.json({ total: pools.length, pools: pools });
+    } catch (error) {
+        logger.error(`❌ Erro ao listar pools: ${error.message}`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Validar campos de pool enviados pelo dashboard/API
+async function validatePoolBody(body) {
+    if (body.fallback_policy !== undefined && !instancePoolService.isValidPolicy(body.fallback_policy)) {
+        return 'fallback_policy deve ser shared, pool ou none';
+    }
+    if (body.fallback_policy === 'pool' && !(await instancePoolService.getPool(body.fallback_pool))) {
+        return 'fallback_pool deve ser um pool existente quando fallback_policy = pool';
+    }
+    if (body.members !== undefined && !Array.isArray(body.members)) {
+        return 'members deve ser uma lista de instâncias';
+    }
+    return null;
+}
+
+app.post('/instance-pools', async (req, res) => {
+    try {
+        const name = String(req.body.name || '').trim().toLowerCase();
+        
+        if (!instancePoolService.isValidName(name)) {
+            return res.status(400).json({ success: false, error: 'Nome do pool inválido (até 30 caracteres a-z, 0-9, _ ou -)' });
+        }
+        
+        const validationError = await validatePoolBody(req.body);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+        
+        const pool = await instancePoolService.create({
+            name: name,
+            description: req.body.description || null,
+            fallbackPolicy: req.body.fallback_policy || 'shared',
+            fallbackPool: req.body.fallback_pool || null,
+            members: (req.body.members || []).map(member => String(member).trim().toUpperCase())
+        });
+        
+        res.status(201).json({ success: true, pool: pool });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ success: false, error: 'Pool já cadastrado' });
+        }
+        if (error.code === '23503') {
+            return res.status(400).json({ success: false, error: 'Instância não cadastrada no registro' });
+        }
+        logger.error(`❌ Erro ao criar pool: ${error.message}`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.put('/instance-pools/:name', async (req, res) => {
+    try {
+        const validationError = await validatePoolBody(req.body);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+        
+        if (req.body.fallback_pool === req.params.name) {
+            return res.status(400).json({ success: false, error: 'Um pool não pode ser fallback de si mesmo' });
+        }
+        
+        const pool = await instancePoolService.update(req.params.name, {
+            description: req.body.description,
+            fallbackPolicy: req.body.fallback_policy,
+            fallbackPool: req.body.fallback_pool,
+            members: Array.isArray(req.body.members) ?
+                req.body.members.map(member => String(member).trim().toUpperCase()) :
+                undefined
+        });
+        
+        if (!pool) {
+            return res.status(404).json({ success: false, error: 'Pool não encontrado' });
+        }
+        
+        res.json({ success: true, pool: pool });
+    } catch (error) {
+        if (error.code === '23503') {
+            return res.status(400).json({ success: false, error: 'Instância não cadastrada no registro' });
+        }
+        logger.error(`❌ Erro ao atualizar pool ${req.params.name}: ${error.message}`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/instance-pools/:name', async (req, res) => {
+    try {
+        const removed = await instancePoolService.remove(req.params.name);
+        
+        if (!removed) {
+            return res.status(404).json({ success: false, error: 'Pool não encontrado' });
+        }
+        
+        res.json({ success: true });
+    } catch (error) {
+        logger.error(`❌ Erro ao remover pool ${req.params.name}: ${error.message}`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Histórico de atribuições de leads (motivo da escolha de cada instância)
+app.get('/instances/assignments', async (req, res) => {
+    try {
+        const assignments = await leadBalancer.listAssignments({
+            phone: req.query.phone ? phoneService.normalize(req.query.phone) : null,
+            instanceName: req.query.instance || null,
+            limit: req.query.limit
+        });
+        
+        res.json({ total: assignments.length, assignments: assignments });
+    } catch (error) {
+        logger.error(`❌ Erro ao listar atribuições: ${error.message}`, error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// Logs do sistema
-app.get('/logs', async (req, res) => {
+// Alertas do sistema
+app.get('/alerts', async (req, res) => {
     try {
-        const { limit = 50, level } = req.query;
-        const logs = await logger.getRecentLogs(limit, level);
+        const { include_acknowledged, limit = 100 } = req.query;
+        const [alerts, counts] = await Promise.all([
+            alertService.list({ includeAcknowledged: include_acknowledged === 'true', limit }),
+            alertService.getOpenCounts()
+        ]);
         
-        res.json({ 
-            logs: logs.map(log => ({
-                ...log,
-                level_upper: log.level.toUpperCase(),
-                brazil_time_formatted: moment(log.created_at).tz('America/Sao_Paulo').format('DD/MM HH:mm:ss')
+        res.json({
+            open: counts,
+            alerts: alerts.map(alert => ({
+                ...alert,
+                brazil_time_formatted: moment(alert.last_seen_at).tz('America/Sao_Paulo').format('DD/MM HH:mm:ss')
             }))
         });
     } catch (error) {
-        logger.error(`❌ Erro ao obter logs: ${error.message}`, error);
+        logger.error(`❌ Erro ao listar alertas: ${error.message}`, error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// Status das instâncias
-app.get('/instances/status', async (req, res) => {
+app.post('/alerts/:id/acknowledge', async (req, res) => {
     try {
-        const instancesStatus = [];
-        
-        const possibleEndpoints = [
-            '/instance/connectionState',
-            '/instance/connect',
-            '/instance/fetchInstances',
-            '/instance/status'
-        ];
+        const acknowledged = await alertService.acknowledge(req.params.id);
         
-        for (const instance of INSTANCES) {
-            let isConnected = false;
-            let workingEndpoint = null;
-            let responseData = null;
-            
-            for (const endpoint of possibleEndpoints) {
-                try {
-                    const response = await axios.get(`${CONFIG.EVOLUTION_API_URL}${endpoint}/${instance.name}`, {
-                        timeout: 8000,
-                        headers: { 'apikey': instance.id }
-                    });
-                    
-                    responseData = response.data;
-                    
-                    if (response.data?.instance?.state === 'open' || 
-                        response.data?.state === 'open' || 
-                        response.data?.status === 'open' || 
-                        response.data?.connected === true) {
-                        
-                        isConnected = true;
-                        workingEndpoint = endpoint;
-                        break;
-                    }
-                    
-                } catch (error) {
-                    continue;
-                }
-            }
-            
-            instancesStatus.push({
-                name: instance.name,
-                id: instance.id,
-                status: isConnected ? 'online' : 'offline',
-                active: isConnected,
-                workingEndpoint: workingEndpoint,
-                responseData: responseData,
-                lastCheck: new Date().toISOString(),
-                lastCheckBrazil: getBrazilTime()
-            });
+        if (!acknowledged) {
+            return res.status(404).json({ success: false, error: 'Alerta não encontrado ou já reconhecido' });
         }
-
-        const onlineCount = instancesStatus.filter(i => i.status === 'online').length;
         
-        res.json({
-            instances: instancesStatus,
-            summary: {
-                total: INSTANCES.length,
-                online: onlineCount,
-                offline: INSTANCES.length - onlineCount,
-                percentage: Math.round((onlineCount / INSTANCES.length) * 100)
-            }
-        });
-
+        res.json({ success: true });
     } catch (error) {
-        logger.error(`❌ Erro ao verificar instâncias: ${error.message}`, error);
+        logger.error(`❌ Erro ao reconhecer alerta ${req.params.id}: ${error.message}`, error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// Health check das instâncias
-app.post('/instances/health-check', async (req, res) => {
+// Cliente com histórico de pedidos e estado do funil
+app.get('/customers/:id', async (req, res) => {
     try {
-        const response = await axios.get(`${req.protocol}://${req.get('host')}/instances/status`);
-        res.json({
-            success: true,
-            online: response.data.summary.online,
-            total: response.data.summary.total,
-            percentage: response.data.summary.percentage
-        });
+        const customerId = parseInt(req.params.id);
+
+        if (!Number.isInteger(customerId) || customerId <= 0) {
+            return res.status(400).json({ success: false, error: 'ID de cliente inválido' });
+        }
+
+        const customer = await customerService.getCustomerDetails(customerId);
+
+        if (!customer) {
+            return res.status(404).json({ success: false, error: 'Cliente não encontrado' });
+        }
+
+        res.json(customer);
     } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        logger.error(`❌ Erro ao buscar cliente ${req.params.id}: ${error.message}`, error);
+        res.status(500).json({ error: error.message });
     }
 });
 
-// Forçar processamento da fila
-app.post('/queue/process', async (req, res) => {
+// Relatório de atribuição por campanha e afiliado
+app.get('/reports/attribution', async (req, res) => {
     try {
-        logger.info('🔄 Forçando processamento da fila manualmente...');
-        
-        await queueService.processQueue();
-        const stats = await queueService.getQueueStats();
-        
+        const days = parseInt(req.query.days || 30);
+
+        if (!Number.isInteger(days) || days < 1 || days > 365) {
+            return res.status(400).json({ success: false, error: 'Período deve ser de 1 a 365 dias' });
+        }
+
+        const report = await attributionService.getReport(days);
+
         res.json({
-            success: true,
-            message: 'Fila processada manualmente',
-            stats: stats
+            period_days: days,
+            ...report,
+            timestamp: getBrazilTime()
         });
-        
     } catch (error) {
-        logger.error(`❌ Erro ao processar fila manualmente: ${error.message}`, error);
-        res.status(500).json({ success: false, error: error.message });
+        logger.error(`❌ Erro ao gerar relatório de atribuição: ${error.message}`, error);
+        res.status(500).json({ error: error.message });
     }
 });
 
-// Debug: listar eventos pendentes
-app.get('/queue/pending', async (req, res) => {
+// Mensagens órfãs (recebidas sem conversa correspondente)
+app.get('/orphan-messages', async (req, res) => {
     try {
-        const pendingEvents = await database.query(`
-            SELECT *, 
-                   EXTRACT(EPOCH FROM (scheduled_for - NOW())) as seconds_until_execution
-            FROM events_queue 
-            WHERE processed = false 
-            ORDER BY created_at DESC
-        `);
-        
+        const { status = 'pending', limit = 100 } = req.query;
+        const [messages, pending] = await Promise.all([
+            jidAliasService.listOrphans(status, limit),
+            jidAliasService.countPending()
+        ]);
+
         res.json({
-            pending_events: pendingEvents.rows.map(event => ({
-                ...event,
-                payload: event.payload ? JSON.parse(event.payload) : null,
-                seconds_until_execution: Math.round(parseFloat(event.seconds_until_execution) || 0),
-                created_brazil: moment(event.created_at).tz('America/Sao_Paulo').format('DD/MM/YYYY HH:mm:ss'),
-                scheduled_brazil: moment(event.scheduled_for).tz('America/Sao_Paulo').format('DD/MM/YYYY HH:mm:ss')
+            pending: pending,
+            messages: messages.map(message => ({
+                ...message,
+                brazil_time_formatted: moment(message.received_at).tz('America/Sao_Paulo').format('DD/MM HH:mm:ss')
             }))
         });
-        
     } catch (error) {
-        logger.error(`❌ Erro ao obter eventos pendentes: ${error.message}`, error);
+        logger.error(`❌ Erro ao listar mensagens órfãs: ${error.message}`, error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// Teste direto do webhook N8N
-app.post('/test/n8n', async (req, res) => {
+// Vincular mensagem órfã a uma conversa (conversation_id; sem ele, order_code)
+// Conversa ainda ativa: a mensagem é reprocessada como resposta do cliente
+// (segue o funil); senão só entra no histórico
+app.post('/orphan-messages/:id/link', async (req, res) => {
     try {
-        logger.info('🧪 Testando webhook N8N manualmente...');
-        
-        const testPayload = {
-            event_type: 'pix_timeout',
-            produto: 'FAB',
-            instancia: 'GABY04',
-            evento_origem: 'pix',
-            cliente: {
-                nome: 'Teste',
-                telefone: '5511999999999',
-                nome_completo: 'Cliente Teste'
-            },
-            pedido: {
-                codigo: 'TEST-' + Date.now(),
-                valor: 297.00,
-                pix_url: 'https://exemplo.com/pix'
-            },
-            timeout_minutos: 7,
-            timestamp: new Date().toISOString(),
-            brazil_time: getBrazilTime(),
-            conversation_id: 999
-        };
-        
-        const response = await axios.post(CONFIG.N8N_WEBHOOK_URL, testPayload, {
-            headers: {
-                'Content-Type': 'application/json',
-                'User-Agent': 'Sistema-Test/1.0'
-            },
-            timeout: 15000
+        const orphanId = parseInt(req.params.id);
+        const { conversation_id, order_code } = req.body || {};
+
+        if (!Number.isInteger(orphanId) || orphanId <= 0) {
+            return res.status(400).json({ success: false, error: 'ID de mensagem órfã inválido' });
+        }
+
+        if (!conversation_id && !order_code) {
+            return res.status(400).json({ success: false, error: 'Informe conversation_id ou order_code' });
+        }
+
+        const conversation = conversation_id ?
+            await database.query('SELECT id, phone, order_code, status FROM conversations WHERE id = $1', [parseInt(conversation_id) || 0]) :
+            await database.query('SELECT id, phone, order_code, status FROM conversations WHERE order_code = $1', [String(order_code)]);
+
+        if (conversation.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Conversa não encontrada' });
+        }
+
+        const target = conversation.rows[0];
+        const linked = await jidAliasService.linkOrphan(orphanId, target, {
+            copyToHistory: !ACTIVE_STATUSES.includes(target.status)
         });
-        
-        logger.info(`✅ Teste N8N bem-sucedido: ${response.status}`);
-        
+
+        if (!linked) {
+            return res.status(404).json({ success: false, error: 'Mensagem órfã não encontrada ou já resolvida' });
+        }
+
+        let replayed = false;
+        if (ACTIVE_STATUSES.includes(target.status)) {
+            logger.info(`🔁 Reprocessando mensagem órfã #${orphanId} como resposta de ${target.phone}`);
+
+            try {
+                await handleClientResponse(target.phone, linked.content || '', linked.instance_name, linked.payload || {});
+                replayed = true;
+            } catch (error) {
+                // Vínculo já feito: a mensagem fica ao menos no histórico
+                logger.error(`❌ Reprocessamento da mensagem órfã #${orphanId} falhou: ${error.message}`, error);
+                await database.query(
+                    'INSERT INTO messages (conversation_id, type, content, status, created_at) VALUES ($1, $2, $3, $4, $5)',
+                    [target.id, 'received', linked.content, 'delivered', linked.received_at]
+                );
+            }
+        }
+
         res.json({
             success: true,
-            message: 'Teste N8N executado com sucesso',
-            status: response.status,
-            data: response.data,
-            payload_sent: testPayload
+            jid: linked.remote_jid,
+            phone: target.phone,
+            order_code: target.order_code,
+            replayed: replayed
         });
-        
     } catch (error) {
-        logger.error(`❌ Erro no teste N8N: ${error.message}`, error);
-        
+        logger.error(`❌ Erro ao vincular mensagem órfã ${req.params.id}: ${error.message}`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/orphan-messages/:id/ignore', async (req, res) => {
+    try {
+        const orphanId = parseInt(req.params.id);
+
+        if (!Number.isInteger(orphanId) || orphanId <= 0) {
+            return res.status(400).json({ success: false, error: 'ID de mensagem órfã inválido' });
+        }
+
+        const ignored = await jidAliasService.ignoreOrphan(orphanId);
+
+        if (!ignored) {
+            return res.status(404).json({ success: false, error: 'Mensagem órfã não encontrada ou já resolvida' });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        logger.error(`❌ Erro ao descartar mensagem órfã ${req.params.id}: ${error.message}`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Aliases de JID conhecidos de um telefone
+app.get('/jid-aliases/:phone', async (req, res) => {
+    try {
+        const phone = phoneService.normalize(req.params.phone);
+        const aliases = await jidAliasService.getAliases(phone);
+
+        res.json({ phone: phone, jid: phoneService.toJid(phone), aliases: aliases });
+    } catch (error) {
+        logger.error(`❌ Erro ao buscar aliases de ${req.params.phone}: ${error.message}`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Pedidos em quarentena (telefone inválido ou ausente)
+app.get('/quarantine', async (req, res) => {
+    try {
+        const result = await database.query(`
+            SELECT id, order_code, product, amount, client_name, payment_method, quarantine_reason,
+                   quarantined_order->>'rawPhone' as raw_phone,
+                   quarantined_order->>'status' as order_status,
+                   quarantined_order->>'gateway' as gateway,
+                   quarantined_order->'customer'->>'email' as email,
+                   created_at, updated_at
+            FROM conversations
+            WHERE status = 'quarantined'
+            ORDER BY updated_at DESC
+        `);
+
         res.json({
-            success: false,
-            error: error.message,
-            status: error.response?.status,
-            data: error.response?.data,
-            message: 'Teste N8N falhou'
+            total: result.rows.length,
+            orders: result.rows.map(order => ({
+                ...order,
+                brazil_time_formatted: moment(order.updated_at).tz('America/Sao_Paulo').format('DD/MM HH:mm:ss')
+            }))
         });
+    } catch (error) {
+        logger.error(`❌ Erro ao listar quarentena: ${error.message}`, error);
+        res.status(500).json({ error: error.message });
     }
 });
 
-// Estatísticas da fila
-app.get('/queue/stats', async (req, res) => {
+// Corrigir telefone e reprocessar o pedido
+app.post('/quarantine/:orderCode/correct', async (req, res) => {
     try {
-        const stats = await queueService.getQueueStats();
-        res.json(stats);
+        const { phone } = req.body || {};
+        const parsed = phoneService.parse(phone);
+
+        if (!parsed.valid) {
+            return res.status(400).json({ success: false, error: `Telefone inválido (${parsed.reason})` });
+        }
+
+        const order = await releaseQuarantine(req.params.orderCode, parsed.digits);
+
+        if (!order) {
+            return res.status(404).json({ success: false, error: 'Pedido não está em quarentena' });
+        }
+
+        res.json({
+            success: true,
+            order_code: order.code,
+            phone: parsed.digits,
+            replayed_status: order.status
+        });
     } catch (error) {
-        logger.error(`❌ Erro ao obter stats da fila: ${error.message}`, error);
-        res.status(500).json({ error: error.message });
+        logger.error(`❌ Erro ao corrigir telefone de ${req.params.orderCode}: ${error.message}`, error);
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
@@ -1357,11 +2976,17 @@ app.post('/debug/normalize-phone', async (req, res) => {
             return res.status(400).json({ error: 'Telefone é obrigatório' });
         }
         
-        const normalized = normalizePhoneNumber(phone);
+        const parsed = phoneService.parse(phone);
+        const normalized = parsed.digits;
         
         const result = {
             original: phone,
             normalized: normalized,
+            e164: parsed.e164,
+            jid: parsed.valid ? phoneService.toJid(normalized) : null,
+            country_code: parsed.countryCode,
+            area_code: parsed.areaCode,
+            is_mobile: parsed.isMobile,
             steps: [
                 `1. Original: "${phone}"`,
                 `2. Convertido para string: "${String(phone).trim()}"`,
@@ -1369,8 +2994,11 @@ app.post('/debug/normalize-phone', async (req, res) => {
                 `4. Normalizado final: "${normalized}"`,
                 `5. Comprimento final: ${normalized.length} dígitos`
             ],
-            is_valid: normalized.length >= 13,
-            format_detected: normalized.length === 13 ? 'Brasileiro padrão' : 'Formato não padrão'
+            is_valid: parsed.valid,
+            invalid_reason: parsed.reason,
+            format_detected: !parsed.valid ? 'Formato não reconhecido' :
+                             parsed.countryCode === '55' ? (parsed.isMobile ? 'Celular brasileiro' : 'Fixo brasileiro') :
+                             `Internacional (+${parsed.countryCode})`
         };
         
         res.json(result);
@@ -1413,7 +3041,7 @@ async function validateSystemInitialization() {
     }
     
     // Verificar variáveis obrigatórias
-    const requiredVars = ['DATABASE_URL', 'N8N_WEBHOOK_URL', 'EVOLUTION_API_URL'];
+    const requiredVars = ['DATABASE_URL', 'N8N_WEBHOOK_URL', 'EVOLUTION_API_URL', 'INSTANCE_KEY_SECRET'];
     const missingVars = requiredVars.filter(varName => !process.env[varName]);
     if (missingVars.length > 0) {
         errors.push(`❌ Variáveis ausentes: ${missingVars.join(', ')}`);
@@ -1436,6 +3064,12 @@ async function validateSystemInitialization() {
         }
     }
     
+    listGateways()
+        .filter(gateway => !gateway.configured)
+        .forEach(gateway => {
+            logger.info(`ℹ️ Gateway ${gateway.label} sem segredo configurado - /webhook/${gateway.name} rejeitará chamadas`);
+        });
+    
     if (errors.length > 0) {
         logger.error('🔥 ERROS CRÍTICOS DE INICIALIZAÇÃO:');
         errors.forEach((error, index) => {
@@ -1468,6 +3102,12 @@ async function initializeSystem() {
         await database.migrate();
         logger.info('✅ Migrações executadas');
         
+        logger.info('📱 Carregando registro de instâncias...');
+        await instanceRegistry.initialize();
+        logger.info('✅ Registro de instâncias carregado');
+        
+        await intentService.initialize();
+        
         logger.info('⚙️ Inicializando serviços...');
         await queueService.initialize();
         logger.info('✅ Sistema de filas inicializado');
@@ -1480,6 +3120,8 @@ async function initializeSystem() {
             logger.warn('⚠️ Evolution Service falhou, continuando...');
         }
         
+        failoverService.initialize(CONFIG.FAILOVER_OFFLINE_MINUTES);
+        
         logger.info('🔄 Recuperando timeouts perdidos...');
         await queueService.recoverTimeouts();
         logger.info('✅ Timeouts recuperados');
@@ -1518,6 +3160,7 @@ process.on('uncaughtException', (error) => {
 process.on('SIGINT', async () => {
     logger.info('🔄 Finalizando sistema...');
     await queueService.cleanup();
+    failoverService.cleanup();
     await database.disconnect();
     logger.info('✅ Sistema finalizado');
     process.exit(0);
@@ -1526,6 +3169,7 @@ process.on('SIGINT', async () => {
 process.on('SIGTERM', async () => {
     logger.info('🔄 Finalizando sistema...');
     await queueService.cleanup();
+    failoverService.cleanup();
     await database.disconnect();
     logger.info('✅ Sistema finalizado');
     process.exit(0);
@@ -1533,38 +3177,45 @@ process.on('SIGTERM', async () => {
 
 /**
  * INICIAR SERVIDOR
+ * Só quando executado diretamente (os testes importam o app sem subir o servidor)
  */
-initializeSystem().then(() => {
-    app.listen(PORT, () => {
-        logger.info(`🧠 Cérebro de Atendimento v3.3 rodando na porta ${PORT}`);
-        
-        console.log('\n🧠 CÉREBRO DE ATENDIMENTO v3.3 - VERSÃO CORRIGIDA E FUNCIONAL');
-        console.log('=================================================================');
-        console.log(`📡 Webhooks:`);
-        console.log(`   Perfect Pay: http://localhost:${PORT}/webhook/perfect`);
-        console.log(`   Evolution: http://localhost:${PORT}/webhook/evolution`);
-        console.log(`   N8N Confirm: http://localhost:${PORT}/webhook/n8n-confirm`);
-        console.log(`🎯 N8N: ${CONFIG.N8N_WEBHOOK_URL}`);
-        console.log(`📊 Dashboard: http://localhost:${PORT}`);
-        console.log(`🔍 Diagnóstico: http://localhost:${PORT}/diagnostics`);
-        console.log(`💳 Check Payment: http://localhost:${PORT}/check-payment/:orderId`);
-        console.log(`✅ Complete Flow: http://localhost:${PORT}/webhook/complete/:orderId`);
-        console.log(`⏰ Horário: ${getBrazilTime()}`);
-        console.log(`🗃️ PostgreSQL: ${database.isConnected() ? 'Conectado ✅' : 'Desconectado ❌'}`);
-        console.log('\n🚀 PRINCIPAIS CORREÇÕES v3.3:');
-        console.log(`   ✅ Webhook n8n-confirm funcionando corretamente`);
-        console.log(`   ✅ Sistema de respostas simplificado e confiável`);
-        console.log(`   ✅ Verificação de duplicatas otimizada`);
-        console.log(`   ✅ Logs de debug completos`);
-        console.log(`   ✅ Código limpo e organizado`);
-        console.log('\n🎯 FUNCIONAMENTO DO FUNIL:');
-        console.log(`   1️⃣ Cliente responde → resposta_01 enviada ao N8N`);
-        console.log(`   2️⃣ Cliente responde → resposta_02 enviada ao N8N`);
-        console.log(`   3️⃣ Cliente responde → resposta_03 enviada ao N8N + Funil completo`);
-        console.log(`   🎉 N8N confirma envios via webhook /webhook/n8n-confirm`);
-        console.log('=================================================================\n');
+if (require.main === module) {
+    initializeSystem().then(() => {
+        app.listen(PORT, () => {
+            logger.info(`🧠 Cérebro de Atendimento v3.3 rodando na porta ${PORT}`);
+        
+            console.log('\n🧠 CÉREBRO DE ATENDIMENTO v3.3 - VERSÃO CORRIGIDA E FUNCIONAL');
+            console.log('=================================================================');
+            console.log(`📡 Webhooks:`);
+            listGateways().forEach(gateway => {
+                console.log(`   ${gateway.label}: http://localhost:${PORT}/webhook/${gateway.name}${gateway.configured ? '' : ' (segredo não configurado)'}`);
+            });
+            console.log(`   Evolution: http://localhost:${PORT}/webhook/evolution`);
+            console.log(`   N8N Confirm: http://localhost:${PORT}/webhook/n8n-confirm`);
+            console.log(`🎯 N8N: ${CONFIG.N8N_WEBHOOK_URL}`);
+            console.log(`📊 Dashboard: http://localhost:${PORT}`);
+            console.log(`🔍 Diagnóstico: http://localhost:${PORT}/diagnostics`);
+            console.log(`💳 Check Payment: http://localhost:${PORT}/check-payment/:orderId`);
+            console.log(`✅ Complete Flow: http://localhost:${PORT}/webhook/complete/:orderId`);
+            console.log(`⏰ Horário: ${getBrazilTime()}`);
+            console.log(`🗃️ PostgreSQL: ${database.isConnected() ? 'Conectado ✅' : 'Desconectado ❌'}`);
+            console.log('\n🚀 PRINCIPAIS CORREÇÕES v3.3:');
+            console.log(`   ✅ Webhook n8n-confirm funcionando corretamente`);
+            console.log(`   ✅ Sistema de respostas simplificado e confiável`);
+            console.log(`   ✅ Verificação de duplicatas otimizada`);
+            console.log(`   ✅ Logs de debug completos`);
+            console.log(`   ✅ Código limpo e organizado`);
+            console.log('\n🎯 FUNCIONAMENTO DO FUNIL PADRÃO (funis por produto/origem em /funnels):');
+            console.log(`   1️⃣ Cliente responde → resposta_01 enviada ao N8N`);
+            console.log(`   2️⃣ Cliente responde → resposta_02 enviada ao N8N`);
+            console.log(`   3️⃣ Cliente responde → resposta_03 enviada ao N8N + Funil completo`);
+            console.log(`   🎉 N8N confirma envios via webhook /webhook/n8n-confirm`);
+            console.log('=================================================================\n');
+        });
+    }).catch(error => {
+        logger.error(`❌ Falha crítica ao iniciar servidor: ${error.message}`, error);
+        process.exit(1);
     });
-}).catch(error => {
-    logger.error(`❌ Falha crítica ao iniciar servidor: ${error.message}`, error);
-    process.exit(1);
-});
+}
+
+module.exports = { app };
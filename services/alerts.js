@@ -0,0 +1,102 @@
+/**
+ * SERVIÇO DE ALERTAS DO SISTEMA
+ * Alertas persistentes exibidos no dashboard até serem reconhecidos.
+ * Alertas com a mesma chave são agrupados enquanto estiverem abertos.
+ */
+
+const database = require('../database/config');
+const logger = require('./logger');
+
+class AlertService {
+    /**
+     * Disparar alerta (agrupa ocorrências pela dedupKey enquanto aberto)
+     */
+    async raise(type, message, { severity = 'warning', details = null, dedupKey = null } = {}) {
+        const logMethod = severity === 'critical' ? 'error' : 'warn';
+        logger[logMethod](`🚨 ALERTA [${type}]: ${message}`);
+
+        try {
+            const result = await database.query(`
+                INSERT INTO system_alerts (type, severity, message, details, dedup_key)
+                VALUES ($1, $2, $3, $4, $5)
+                ON CONFLICT (dedup_key) WHERE acknowledged = false
+                DO UPDATE SET
+                    occurrences = system_alerts.occurrences + 1,
+                    last_seen_at = NOW(),
+                    message = EXCLUDED.message,
+                    details = EXCLUDED.details
+                RETURNING *
+            `, [type, severity, message, details ? JSON.stringify(details) : null, dedupKey || `${type}:${Date.now()}`]);
+
+            return result.rows[0];
+
+        } catch (error) {
+            logger.error(`❌ Erro ao registrar alerta ${type}: ${error.message}`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Listar alertas (abertos por padrão)
+     */
+    async list({ includeAcknowledged = false, limit = 100 } = {}) {
+        const result = await database.query(`
+            SELECT * FROM system_alerts
+            ${includeAcknowledged ? '' : 'WHERE acknowledged = false'}
+            ORDER BY last_seen_at DESC
+            LIMIT $1
+        `, [limit]);
+
+        return result.rows;
+    }
+
+    /**
+     * Reconhecer alerta
+     */
+    async acknowledge(alertId) {
+        const result = await database.query(`
+            UPDATE system_alerts
+            SET acknowledged = true, acknowledged_at = NOW()
+            WHERE id = $1 AND acknowledged = false
+            RETURNING id
+        `, [alertId]);
+
+        return result.rowCount > 0;
+    }
+
+    /**
+     * Reconhecer alerta aberto por chave (quando o problema é resolvido)
+     */
+    async resolve(dedupKey) {
+        await database.query(`
+            UPDATE system_alerts
+            SET acknowledged = true, acknowledged_at = NOW()
+            WHERE dedup_key = $1 AND acknowledged = false
+        `, [dedupKey]);
+    }
+
+    /**
+     * Contagem de alertas abertos por severidade
+     */
+    async getOpenCounts() {
+        const result = await database.query(`
+            SELECT severity, COUNT(*) as count
+            FROM system_alerts
+            WHERE acknowledged = false
+            GROUP BY severity
+        `);
+
+        const counts = { total: 0 };
+        result.rows.forEach(row => {
+            counts[row.severity] = parseInt(row.count);
+            counts.total += parseInt(row.count);
+        });
+
+        return counts;
+    }
+}
+
+// Instância única do serviço
+const alertService = new AlertService();
+
+module.exports = alertService;
@@ -0,0 +1,216 @@
+/**
+ * ALIASES DE JID DO WHATSAPP
+ * Mapeia cada JID já visto (forma com/sem nono dígito, @lid) para o
+ * telefone do lead. Alimentado por envios, respostas e consultas à Evolution.
+ * Mensagens recebidas sem conversa correspondente vão para orphan_messages.
+ */
+
+const database = require('../database/config');
+const logger = require('./logger');
+const phoneService = require('./phone');
+const evolutionService = require('./evolution');
+
+const PHONE_JID_SUFFIX = '@s.whatsapp.net';
+
+class JidAliasService {
+    /**
+     * Registrar (ou renovar) alias JID -> telefone
+     * source: sent, reply, lookup ou manual
+     */
+    async remember(jid, phone, source, instanceName = null) {
+        if (!jid || !phone) {
+            return;
+        }
+
+        try {
+            await database.query(`
+                INSERT INTO jid_aliases (jid, phone, source, instance_name)
+                VALUES ($1, $2, $3, $4)
+                ON CONFLICT (jid) DO UPDATE SET
+                    phone = CASE WHEN $3 = 'manual' THEN $2 ELSE jid_aliases.phone END,
+                    source = CASE WHEN $3 = 'manual' THEN $3 ELSE jid_aliases.source END,
+                    instance_name = COALESCE($4, jid_aliases.instance_name),
+                    last_seen_at = NOW()
+            `, [this.stripDevice(jid), phone, source, instanceName]);
+
+        } catch (error) {
+            logger.error(`❌ Erro ao registrar alias ${jid}: ${error.message}`, error);
+        }
+    }
+
+    /**
+     * Remover sufixo de dispositivo (5511...:12@s.whatsapp.net)
+     */
+    stripDevice(jid) {
+        const [user, domain] = String(jid).split('@');
+        return `${user.split(':')[0]}@${domain || ''}`;
+    }
+
+    /**
+     * Resolver o telefone do lead a partir da chave da mensagem Evolution
+     * Ordem: alias conhecido, JID de telefone (remoteJid ou alternativo do
+     * @lid). Retorna null para JIDs sem telefone conhecido e para grupos.
+     */
+    async resolve(key, instanceName, source) {
+        const jid = key?.remoteJid ? this.stripDevice(key.remoteJid) : null;
+
+        if (!jid || jid.endsWith('@g.us') || jid.endsWith('@broadcast')) {
+            return null;
+        }
+
+        const alias = await database.query(
+            'UPDATE jid_aliases SET last_seen_at = NOW() WHERE jid = $1 RETURNING phone',
+            [jid]
+        );
+
+        if (alias.rows.length > 0) {
+            return alias.rows[0].phone;
+        }
+
+        // Evolution envia o JID de telefone junto do @lid quando conhecido
+        const phoneJid = [jid, key.remoteJidAlt, key.senderPn]
+            .find(candidate => candidate && candidate.endsWith(PHONE_JID_SUFFIX));
+
+        if (!phoneJid) {
+            logger.warn(`⚠️ JID sem telefone conhecido: ${jid} (${instanceName})`);
+            return null;
+        }
+
+        const phone = phoneService.fromJid(phoneJid);
+        await this.remember(jid, phone, source, instanceName);
+
+        return phone;
+    }
+
+    /**
+     * Consultar na Evolution o JID de um telefone e registrar o alias
+     * Chamado ao atribuir um lead a uma instância
+     */
+    async lookup(phone, instanceName) {
+        const jid = await evolutionService.lookupWhatsAppJid(instanceName, phone);
+
+        if (jid) {
+            await this.remember(jid, phone, 'lookup', instanceName);
+            logger.debug(`🔗 Alias registrado via Evolution: ${jid} → ${phone}`);
+        }
+
+        return jid;
+    }
+
+    /**
+     * Aliases conhecidos de um telefone
+     */
+    async getAliases(phone) {
+        const result = await database.query(
+            'SELECT jid, source, instance_name, created_at, last_seen_at FROM jid_aliases WHERE phone = $1 ORDER BY last_seen_at DESC',
+            [phone]
+        );
+
+        return result.rows;
+    }
+
+    /**
+     * Guardar mensagem recebida que não corresponde a nenhuma conversa
+     */
+    async storeOrphan(messageData, instanceName, phone, content) {
+        try {
+            await database.query(`
+                INSERT INTO orphan_messages (message_id, remote_jid, phone, instance_name, push_name, content, payload)
+                VALUES ($1, $2, $3, $4, $5, $6, $7)
+                ON CONFLICT (message_id) DO NOTHING
+            `, [
+                messageData.key?.id || null,
+                this.stripDevice(messageData.key?.remoteJid || ''),
+                phone || null,
+                instanceName,
+                messageData.pushName || null,
+                (content || '').substring(0, 1000),
+                JSON.stringify(messageData)
+            ]);
+
+            logger.warn(`📭 Mensagem órfã guardada: ${messageData.key?.remoteJid} (${instanceName})`);
+
+        } catch (error) {
+            logger.error(`❌ Erro ao guardar mensagem órfã: ${error.message}`, error);
+        }
+    }
+
+    /**
+     * Listar mensagens órfãs
+     */
+    async listOrphans(status = 'pending', limit = 100) {
+        const result = await database.query(`
+            SELECT id, message_id, remote_jid, phone, instance_name, push_name, content,
+                   status, conversation_id, received_at, resolved_at
+            FROM orphan_messages
+            WHERE status = $1
+            ORDER BY received_at DESC
+            LIMIT $2
+        `, [status, Math.min(parseInt(limit) || 100, 500)]);
+
+        return result.rows;
+    }
+
+    /**
+     * Vincular mensagem órfã a uma conversa
+     * Registra o alias manual (próximas mensagens desse JID já casam) e
+     * copia a mensagem para o histórico da conversa - copyToHistory false
+     * quando a mensagem vai ser reprocessada (o reprocessamento já registra)
+     */
+    async linkOrphan(orphanId, conversation, { copyToHistory = true } = {}) {
+        const orphan = await database.query(
+            "SELECT * FROM orphan_messages WHERE id = $1 AND status = 'pending'",
+            [orphanId]
+        );
+
+        if (orphan.rows.length === 0) {
+            return null;
+        }
+
+        const message = orphan.rows[0];
+
+        await this.remember(message.remote_jid, conversation.phone, 'manual', message.instance_name);
+
+        const queries = [{
+            text: "UPDATE orphan_messages SET status = 'linked', conversation_id = $2, resolved_at = NOW() WHERE id = $1",
+            params: [orphanId, conversation.id]
+        }];
+
+        if (copyToHistory) {
+            queries.unshift({
+                text: 'INSERT INTO messages (conversation_id, type, content, status, created_at) VALUES ($1, $2, $3, $4, $5)',
+                params: [conversation.id, 'received', message.content, 'delivered', message.received_at]
+            });
+        }
+
+        await database.transaction(queries);
+
+        logger.info(`🔗 Mensagem órfã #${orphanId} vinculada à conversa ${conversation.order_code} (${message.remote_jid} → ${conversation.phone})`);
+        return message;
+    }
+
+    /**
+     * Descartar mensagem órfã
+     */
+    async ignoreOrphan(orphanId) {
+        const result = await database.query(
+            "UPDATE orphan_messages SET status = 'ignored', resolved_at = NOW() WHERE id = $1 AND status = 'pending'",
+            [orphanId]
+        );
+
+        return result.rowCount > 0;
+    }
+
+    /**
+     * Contagem de órfãs pendentes (dashboard)
+     */
+    async countPending() {
+        const result = await database.query("SELECT COUNT(*) as count FROM orphan_messages WHERE status = 'pending'");
+        return parseInt(result.rows[0].count);
+    }
+}
+
+// Instância única do serviço
+const jidAliasService = new JidAliasService();
+
+module.exports = jidAliasService;
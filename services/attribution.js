@@ -0,0 +1,131 @@
+/**
+ * ATRIBUIÇÃO DE VENDAS
+ * UTMs e afiliado de cada pedido, enviados ao N8N e consolidados
+ * em relatório por campanha e por afiliado
+ */
+
+const database = require('../database/config');
+const logger = require('./logger');
+
+// Status de conversa que representam compra paga
+const PAID_STATUSES = database.paidConversationStatuses;
+
+// Valor exibido quando o pedido chegou sem rastreio
+const UNTRACKED = '(sem rastreio)';
+
+class AttributionService {
+    /**
+     * Gravar atribuição do pedido na conversa
+     * Só preenche campos vazios: a origem registrada é a do primeiro webhook
+     */
+    async save(order) {
+        const attribution = order.attribution || {};
+        const values = ['source', 'medium', 'campaign', 'content', 'affiliate'].map(field =>
+            attribution[field] ? String(attribution[field]).trim().substring(0, 255) : null
+        );
+
+        if (values.every(value => !value)) {
+            return;
+        }
+
+        try {
+            await database.query(`
+                UPDATE conversations SET
+                    utm_source = COALESCE(utm_source, $2),
+                    utm_medium = COALESCE(utm_medium, $3),
+                    utm_campaign = COALESCE(utm_campaign, $4),
+                    utm_content = COALESCE(utm_content, $5),
+                    affiliate = COALESCE(affiliate, $6)
+                WHERE order_code = $1
+            `, [order.code, ...values]);
+
+        } catch (error) {
+            logger.error(`❌ Erro ao gravar atribuição de ${order.code}: ${error.message}`, error);
+        }
+    }
+
+    /**
+     * Bloco "atribuicao" do payload N8N a partir do pedido normalizado
+     */
+    fromOrder(order) {
+        const attribution = order.attribution || {};
+
+        return {
+            origem: attribution.source || null,
+            midia: attribution.medium || null,
+            campanha: attribution.campaign || null,
+            conteudo: attribution.content || null,
+            afiliado: attribution.affiliate || null
+        };
+    }
+
+    /**
+     * Bloco "atribuicao" do payload N8N a partir de uma conversa gravada
+     */
+    fromConversation(conv) {
+        return {
+            origem: conv.utm_source || null,
+            midia: conv.utm_medium || null,
+            campanha: conv.utm_campaign || null,
+            conteudo: conv.utm_content || null,
+            afiliado: conv.affiliate || null
+        };
+    }
+
+    /**
+     * Relatório de aprovações, recuperações de PIX e receita
+     * por campanha e por afiliado no período
+     */
+    async getReport(days = 30) {
+        const metrics = `
+            COUNT(*) as orders,
+            COUNT(*) FILTER (WHERE c.status = ANY($2)) as approvals,
+            COUNT(*) FILTER (WHERE c.status = ANY($2) AND c.payment_method = 'pix' AND EXISTS (
+                SELECT 1 FROM messages m
+                WHERE m.conversation_id = c.id AND m.type = 'n8n_sent' AND m.status = 'delivered'
+                  AND (m.content LIKE 'pix\\_timeout:%' OR m.content LIKE 'pix\\_recuperacao\\_%')
+            )) as pix_recoveries,
+            COALESCE(SUM(c.amount) FILTER (WHERE c.status = ANY($2)), 0) as revenue
+        `;
+
+        const [campaigns, affiliates] = await Promise.all([
+            database.query(`
+                SELECT COALESCE(c.utm_source, $3) as source,
+                       COALESCE(c.utm_medium, $3) as medium,
+                       COALESCE(c.utm_campaign, $3) as campaign,
+                       ${metrics}
+                FROM conversations c
+                WHERE c.created_at > NOW() - ($1 || ' days')::INTERVAL
+                GROUP BY 1, 2, 3
+                ORDER BY revenue DESC, orders DESC
+            `, [days, PAID_STATUSES, UNTRACKED]),
+            database.query(`
+                SELECT COALESCE(c.affiliate, $3) as affiliate,
+                       ${metrics}
+                FROM conversations c
+                WHERE c.created_at > NOW() - ($1 || ' days')::INTERVAL
+                GROUP BY 1
+                ORDER BY revenue DESC, orders DESC
+            `, [days, PAID_STATUSES, UNTRACKED])
+        ]);
+
+        const format = row => ({
+            ...row,
+            orders: parseInt(row.orders),
+            approvals: parseInt(row.approvals),
+            pix_recoveries: parseInt(row.pix_recoveries),
+            revenue: parseFloat(row.revenue),
+            approval_rate: row.orders > 0 ? Math.round((row.approvals / row.orders) * 1000) / 10 : 0
+        });
+
+        return {
+            by_campaign: campaigns.rows.map(format),
+            by_affiliate: affiliates.rows.map(format)
+        };
+    }
+}
+
+// Instância única do serviço
+const attributionService = new AttributionService();
+
+module.exports = attributionService;
@@ -0,0 +1,527 @@
+/**
+ * BALANCEAMENTO DE LEADS ENTRE INSTÂNCIAS
+ * Novo lead vai para a instância habilitada, não-offline e abaixo do limite
+ * do dia com menor carga ponderada (leads dos últimos 30 dias / peso).
+ * Cada escolha fica registrada em instance_assignments com o motivo e as
+ * instâncias descartadas; essa tabela também é a contagem diária.
+ *
+ * Limite do dia = menor entre daily_cap e a rampa de aquecimento
+ * (warmup_start_cap crescendo warmup_growth_pct% ao dia desde warmup_started_at)
+ *
+ * Produto com pool usa só as instâncias do pool, com a política de fallback
+ * do pool quando esgotado/offline (ver services/pools.js)
+ */
+
+const moment = require('moment-timezone');
+const database = require('../database/config');
+const logger = require('./logger');
+const alertService = require('./alerts');
+const instanceRegistry = require('./instances');
+const evolutionService = require('./evolution');
+const phoneService = require('./phone');
+const jidAliasService = require('./aliases');
+const instancePoolService = require('./pools');
+
+const NO_INSTANCE_ALERT_KEY = 'no_instance_available';
+const TIMEZONE = 'America/Sao_Paulo';
+const TODAY_START_SQL = `(date_trunc('day', NOW() AT TIME ZONE '${TIMEZONE}') AT TIME ZONE '${TIMEZONE}')`;
+
+class LeadBalancer {
+    constructor() {
+        this.outageAlerted = false;
+    }
+
+    /**
+     * Instância do lead (existente ou nova atribuição pelo pool do produto),
+     * gravada junto com a conversa na mesma transação.
+     * Lock por telefone (pg_advisory_xact_lock) serializa webhooks simultâneos
+     * do mesmo cliente (ex.: pendente + aprovado): o segundo espera o commit do
+     * primeiro e reaproveita a instância gravada no lead.
+     * Lead existente em instância offline é realocado pelo pool do produto
+     * (atribuição 'failover'); sem alternativa, continua na instância dele.
+     * O limite diário da instância escolhida é conferido de novo dentro da
+     * transação (reserveCapacity), com a atribuição gravada antes do commit.
+     * upsert(client, instanceName) roda dentro da transação; o retorno vem em result.
+     * Sem nenhuma instância disponível, dispara alerta crítico e lança erro
+     * (o webhook fica com falha na inbox para replay)
+     */
+    async assign(clientNumber, product = null, upsert = null) {
+        const normalizedPhone = phoneService.normalize(clientNumber);
+        logger.info(`🔍 Verificando instância para cliente: ${normalizedPhone}`);
+
+        // Escolha feita antes do lock (consulta cargas em outras conexões);
+        // só é usada se o lead continuar sem instância (ou na mesma instância
+        // offline) dentro da transação
+        const existingLead = await database.query(
+            'SELECT instance_name FROM leads WHERE phone = $1',
+            [normalizedPhone]
+        );
+        const previousInstance = existingLead.rows[0]?.instance_name || null;
+        let choice = previousInstance ? null : await this.chooseForProduct(product);
+
+        if (previousInstance && this.getHealth(previousInstance) === 'offline') {
+            choice = await this.reassignFromOffline(normalizedPhone, previousInstance, product);
+        }
+
+        if (choice && !choice.instance) {
+            await this.raiseNoInstance(normalizedPhone, product, choice);
+        }
+
+        const assignment = await database.transaction(async client => {
+            await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [normalizedPhone]);
+
+            // Lead criado (ou já realocado) por outro webhook enquanto este
+            // esperava o lock mantém a instância dele; a escolha acima é descartada
+            const current = await client.query(
+                'SELECT instance_name FROM leads WHERE phone = $1',
+                [normalizedPhone]
+            );
+
+            let instanceName;
+            let assigned = false;
+
+            if (current.rows.length > 0) {
+                instanceName = current.rows[0].instance_name;
+
+                if (choice && previousInstance && instanceName === previousInstance) {
+                    choice = await this.reserveCapacity(client, choice, full =>
+                        this.reassignFromOffline(normalizedPhone, previousInstance, product, full)
+                    );
+                }
+
+                if (choice && previousInstance && instanceName === previousInstance) {
+                    await client.query(
+                        'UPDATE leads SET instance_name = $2, updated_at = NOW() WHERE phone = $1 AND instance_name = $3',
+                        [normalizedPhone, choice.instance, previousInstance]
+                    );
+                    await client.query(
+                        `INSERT INTO instance_migrations (phone, from_instance, to_instance, reason)
+                         VALUES ($1, $2, $3, 'failover')`,
+                        [normalizedPhone, previousInstance, choice.instance]
+                    );
+                    instanceName = choice.instance;
+                    assigned = true;
+                }
+            } else if (!choice || previousInstance) {
+                throw new Error(`Lead ${normalizedPhone} removido durante a atribuição`);
+            } else {
+                choice = await this.reserveCapacity(client, choice, full =>
+                    this.chooseForProduct(product, { exclude: full })
+                );
+
+                if (!choice.instance) {
+                    return { exhausted: true };
+                }
+
+                await client.query(
+                    'INSERT INTO leads (phone, instance_name) VALUES ($1, $2)',
+                    [normalizedPhone, choice.instance]
+                );
+                instanceName = choice.instance;
+                assigned = true;
+            }
+
+            // Gravada antes do commit: entra na contagem do dia de quem espera o lock da instância
+            if (assigned) {
+                await this.insertAssignment(client, normalizedPhone, choice);
+            }
+
+            const result = upsert ? await upsert(client, instanceName) : null;
+
+            return { instanceName, assigned, result };
+        });
+
+        if (assignment.exhausted) {
+            await this.raiseNoInstance(normalizedPhone, product, choice);
+        }
+
+        if (!assignment.assigned) {
+            logger.info(`👤 Cliente ${normalizedPhone} já atribuído à instância ${assignment.instanceName}`);
+            return assignment;
+        }
+
+        if (choice.fallbackFrom) {
+            const target = choice.pool ? `o pool ${choice.pool}` : 'o grupo compartilhado';
+            await alertService.raise(
+                'pool_exhausted',
+                `Pool ${choice.fallbackFrom} sem instância disponível - novos leads indo para ${target}`,
+                {
+                    severity: 'warning',
+                    details: { pool: choice.fallbackFrom, fallback: choice.pool, skipped: choice.skipped },
+                    dedupKey: `pool_exhausted:${choice.fallbackFrom}`
+                }
+            );
+        }
+
+        if (this.outageAlerted) {
+            await alertService.resolve(NO_INSTANCE_ALERT_KEY);
+            this.outageAlerted = false;
+        }
+
+        logger.info(`✅ Cliente ${normalizedPhone} atribuído à instância ${assignment.instanceName} (${choice.reason}${previousInstance ? `, antes em ${previousInstance}` : ''})`);
+
+        // Descobrir o JID real do número no WhatsApp sem atrasar o webhook
+        jidAliasService.lookup(normalizedPhone, assignment.instanceName).catch(error => {
+            logger.warn(`⚠️ Falha ao consultar JID de ${normalizedPhone}: ${error.message}`);
+        });
+
+        return assignment;
+    }
+
+    /**
+     * Alerta crítico de falta de instância e erro para o webhook
+     */
+    async raiseNoInstance(normalizedPhone, product, choice) {
+        await alertService.raise(
+            'no_instance_available',
+            `Nenhuma instância disponível para novos leads${choice.pool ? ` do pool ${choice.pool}` : ''} (offline ou com limite diário atingido: ${choice.skipped.map(instance => instance.name).join(', ') || 'nenhuma cadastrada'})`,
+            {
+                severity: 'critical',
+                details: { last_phone: normalizedPhone, product: product, pool: choice.pool, skipped: choice.skipped },
+                dedupKey: NO_INSTANCE_ALERT_KEY
+            }
+        );
+        this.outageAlerted = true;
+
+        throw new Error(`Nenhuma instância disponível para o cliente ${normalizedPhone}`);
+    }
+
+    /**
+     * Conferir o limite diário da instância escolhida dentro da transação
+     * A linha da instância fica travada (FOR UPDATE) até o commit: webhooks
+     * simultâneos de telefones diferentes não passam juntos do limite.
+     * Instância que lotou desde a escolha é descartada e choose(cheias) refaz
+     */
+    async reserveCapacity(client, choice, choose) {
+        const full = [];
+
+        while (choice && choice.instance) {
+            const instance = await client.query('SELECT * FROM instances WHERE name = $1 FOR UPDATE', [choice.instance]);
+
+            if (instance.rows.length > 0) {
+                const { cap } = this.getDailyCap(instance.rows[0]);
+
+                if (cap === null) {
+                    return choice;
+                }
+
+                const today = await client.query(`
+                    SELECT COUNT(*) as count FROM instance_assignments
+                    WHERE instance_name = $1 AND created_at >= ${TODAY_START_SQL}
+                `, [choice.instance]);
+
+                if (parseInt(today.rows[0].count) < cap) {
+                    return choice;
+                }
+
+                logger.warn(`⚠️ ${choice.instance} atingiu o limite diário (${cap}) durante a atribuição - escolhendo outra`);
+            }
+
+            full.push(choice.instance);
+            choice = await choose(full);
+        }
+
+        return choice;
+    }
+
+    /**
+     * Nova instância para lead cuja instância está offline
+     * Retorna a escolha com motivo 'failover', ou null (lead fica onde está)
+     */
+    async reassignFromOffline(phone, fromInstance, product, exclude = []) {
+        const choice = await this.chooseForProduct(product, { exclude: [fromInstance, ...exclude] });
+
+        if (!choice.instance) {
+            logger.warn(`⚠️ Instância ${fromInstance} de ${phone} offline e nenhuma outra disponível - mantendo`);
+            return null;
+        }
+
+        return {
+            ...choice,
+            reason: 'failover',
+            skipped: [{ name: fromInstance, reason: 'offline' }, ...choice.skipped]
+        };
+    }
+
+    /**
+     * Escolher instância respeitando o pool do produto e a política de fallback
+     * Retorna a escolha de chooseInstance com pool (usado na escolha) e
+     * fallbackFrom (pool original, quando esgotado)
+     */
+    async chooseForProduct(product, options = {}) {
+        let pool = await instancePoolService.getPoolForProduct(product);
+        const tried = [];
+        const skipped = [];
+
+        while (pool && !tried.includes(pool.name)) {
+            tried.push(pool.name);
+
+            const choice = await this.chooseInstance({ ...options, only: pool.members });
+            skipped.push(...choice.skipped);
+
+            if (choice.instance || pool.fallback_policy === 'none') {
+                return this.withPool(choice, skipped, pool.name, tried);
+            }
+
+            pool = pool.fallback_policy === 'pool' && pool.fallback_pool ?
+                await instancePoolService.getPool(pool.fallback_pool) :
+                null;
+        }
+
+        // Grupo compartilhado (produto sem pool ou fallback 'shared')
+        const choice = await this.chooseInstance({ ...options, only: await this.getSharedInstances() });
+        skipped.push(...choice.skipped);
+
+        return this.withPool(choice, skipped, null, tried);
+    }
+
+    withPool(choice, skipped, poolName, tried) {
+        const fallbackFrom = tried.length > 0 && tried[0] !== poolName ? tried[0] : null;
+
+        return {
+            ...choice,
+            reason: choice.instance && fallbackFrom ? 'pool_fallback' : choice.reason,
+            skipped: skipped,
+            pool: poolName,
+            fallbackFrom: fallbackFrom
+        };
+    }
+
+    /**
+     * Instâncias fora de pools; se todas estão em pools, null (sem restrição)
+     */
+    async getSharedInstances() {
+        const pooled = await instancePoolService.getPooledInstances();
+        const shared = (await instanceRegistry.getActive())
+            .map(instance => instance.name)
+            .filter(name => !pooled.has(name));
+
+        return shared.length > 0 ? shared : null;
+    }
+
+    /**
+     * Escolher instância para um novo lead
+     * only: restringe às instâncias informadas (pool); null = todas
+     * pending: leads já planejados nesta rodada ({ instância: quantidade }),
+     * somados à carga e ao uso do dia (failover distribui vários de uma vez)
+     * exclude: instâncias que não podem receber (ex: origem do failover)
+     * Retorna { instance, reason, load, loads, skipped }
+     */
+    async chooseInstance({ only = null, pending = {}, exclude = [] } = {}) {
+        const instances = (await instanceRegistry.getActive())
+            .filter(instance => !exclude.includes(instance.name))
+            .filter(instance => !only || only.includes(instance.name));
+        const [loads, assignedToday] = await Promise.all([this.getLoads(), this.getAssignedToday()]);
+
+        Object.entries(pending).forEach(([name, count]) => {
+            loads[name] = (loads[name] || 0) + count;
+            assignedToday[name] = (assignedToday[name] || 0) + count;
+        });
+        const skipped = [];
+        const candidates = [];
+
+        for (const instance of instances) {
+            const health = this.getHealth(instance.name);
+            const { cap } = this.getDailyCap(instance);
+            const today = assignedToday[instance.name] || 0;
+
+            if (health === 'offline') {
+                skipped.push({ name: instance.name, reason: 'offline' });
+                continue;
+            }
+            if (cap !== null && today >= cap) {
+                skipped.push({ name: instance.name, reason: 'daily_cap_reached', cap: cap, assigned_today: today });
+                continue;
+            }
+            candidates.push({
+                name: instance.name,
+                health: health,
+                score: (loads[instance.name] || 0) / (instance.weight || 1)
+            });
+        }
+
+        if (candidates.length === 0) {
+            return { instance: null, reason: 'no_instance_available', load: null, loads: loads, skipped: skipped };
+        }
+
+        const selected = candidates.reduce((best, candidate) => candidate.score < best.score ? candidate : best);
+        const selectedLoad = loads[selected.name] || 0;
+
+        // Health check ainda não rodou (ou Evolution inacessível): escolha só pela carga
+        const reason = selected.health === 'online' ? 'least_loaded' : 'least_loaded_health_unknown';
+
+        logger.info(`⚖️ Balanceamento: ${selected.name} selecionada com ${selectedLoad} leads${skipped.length > 0 ? ` (${skipped.length} descartada(s))` : ''}`);
+
+        return { instance: selected.name, reason: reason, load: selectedLoad, loads: loads, skipped: skipped };
+    }
+
+    /**
+     * Leads por instância nos últimos 30 dias
+     */
+    async getLoads() {
+        const result = await database.query(`
+            SELECT instance_name, COUNT(*) as lead_count
+            FROM leads
+            WHERE created_at >= NOW() - INTERVAL '30 days'
+            GROUP BY instance_name
+        `);
+
+        const loads = {};
+        result.rows.forEach(row => {
+            loads[row.instance_name] = parseInt(row.lead_count);
+        });
+
+        return loads;
+    }
+
+    /**
+     * Novos leads atribuídos hoje (dia de Brasília) por instância
+     */
+    async getAssignedToday() {
+        const result = await database.query(`
+            SELECT instance_name, COUNT(*) as count
+            FROM instance_assignments
+            WHERE created_at >= ${TODAY_START_SQL}
+            GROUP BY instance_name
+        `);
+
+        const counts = {};
+        result.rows.forEach(row => {
+            counts[row.instance_name] = parseInt(row.count);
+        });
+
+        return counts;
+    }
+
+    /**
+     * Limite de novos leads de hoje
+     * Retorna { cap (null = sem limite), warmupDay, warmingUp }
+     */
+    getDailyCap(instance) {
+        let cap = instance.daily_cap || null;
+        let warmupDay = null;
+        let warmingUp = false;
+
+        if (instance.warmup_start_cap && instance.warmup_started_at) {
+            warmupDay = moment().tz(TIMEZONE).startOf('day')
+                .diff(moment(instance.warmup_started_at).tz(TIMEZONE).startOf('day'), 'days');
+
+            const growth = 1 + (instance.warmup_growth_pct || 0) / 100;
+            const warmupCap = Math.floor(instance.warmup_start_cap * Math.pow(growth, Math.max(warmupDay, 0)));
+
+            if (cap === null || warmupCap < cap) {
+                cap = warmupCap;
+                warmingUp = true;
+            }
+        }
+
+        return { cap: cap, warmupDay: warmupDay, warmingUp: warmingUp };
+    }
+
+    /**
+     * Uso da capacidade de hoje por instância (relatório)
+     */
+    async getCapacityReport() {
+        const instances = await instanceRegistry.getAll();
+        const [loads, assignedToday] = await Promise.all([this.getLoads(), this.getAssignedToday()]);
+
+        const report = instances.map(instance => {
+            const { cap, warmupDay, warmingUp } = this.getDailyCap(instance);
+            const today = assignedToday[instance.name] || 0;
+
+            return {
+                name: instance.name,
+                active: instance.active,
+                health: this.getHealth(instance.name),
+                weight: instance.weight,
+                daily_cap: instance.daily_cap,
+                warmup: instance.warmup_start_cap ? {
+                    start_cap: instance.warmup_start_cap,
+                    growth_pct: instance.warmup_growth_pct,
+                    day: warmupDay,
+                    active: warmingUp
+                } : null,
+                cap_today: cap,
+                assigned_today: today,
+                remaining_today: cap === null ? null : Math.max(cap - today, 0),
+                usage_pct: cap === null ? null : Math.round((today / cap) * 100),
+                leads_30d: loads[instance.name] || 0
+            };
+        });
+
+        const available = report.filter(instance => instance.active && instance.health !== 'offline');
+
+        return {
+            date: moment().tz(TIMEZONE).format('YYYY-MM-DD'),
+            instances: report,
+            summary: {
+                assigned_today: report.reduce((total, instance) => total + instance.assigned_today, 0),
+                // null quando alguma instância disponível não tem limite
+                remaining_today: available.some(instance => instance.cap_today === null) ?
+                    null :
+                    available.reduce((total, instance) => total + instance.remaining_today, 0),
+                instances_at_cap: available.filter(instance => instance.remaining_today === 0).length
+            }
+        };
+    }
+
+    /**
+     * Estado do último health check da instância: online, offline ou unknown
+     */
+    getHealth(instanceName) {
+        return evolutionService.getInstance(instanceName)?.status || 'unknown';
+    }
+
+    /**
+     * Registrar motivo da atribuição
+     */
+    async recordAssignment(phone, choice) {
+        try {
+            await this.insertAssignment(database, phone, choice);
+
+        } catch (error) {
+            logger.error(`❌ Erro ao registrar atribuição de ${phone}: ${error.message}`, error);
+        }
+    }
+
+    /**
+     * INSERT em instance_assignments (pool ou client de transação)
+     */
+    async insertAssignment(runner, phone, choice) {
+        await runner.query(`
+            INSERT INTO instance_assignments (phone, instance_name, reason, lead_count, details)
+            VALUES ($1, $2, $3, $4, $5)
+        `, [
+            phone,
+            choice.instance,
+            choice.reason,
+            choice.load,
+            JSON.stringify({
+                loads: choice.loads,
+                skipped: choice.skipped,
+                pool: choice.pool || null,
+                fallback_from: choice.fallbackFrom || null
+            })
+        ]);
+    }
+
+    /**
+     * Histórico de atribuições (mais recentes primeiro)
+     */
+    async listAssignments({ phone = null, instanceName = null, limit = 100 } = {}) {
+        const result = await database.query(`
+            SELECT * FROM instance_assignments
+            WHERE ($1::VARCHAR IS NULL OR phone = $1)
+              AND ($2::VARCHAR IS NULL OR instance_name = $2)
+            ORDER BY created_at DESC
+            LIMIT $3
+        `, [phone, instanceName, Math.min(parseInt(limit) || 100, 500)]);
+
+        return result.rows;
+    }
+}
+
+// Instância única do serviço
+const leadBalancer = new LeadBalancer();
+
+module.exports = leadBalancer;
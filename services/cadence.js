@@ -0,0 +1,158 @@
+/**
+ * CADÊNCIAS DE RECUPERAÇÃO DE PIX
+ * Etapas de recuperação por produto (ex: 7 min, 1 h, 24 h após o PIX gerado),
+ * configuráveis pelo dashboard sem deploy. O produto '*' é a cadência padrão.
+ */
+
+const database = require('../database/config');
+const logger = require('./logger');
+
+const DEFAULT_PRODUCT = '*';
+const MAX_STAGES = 5;
+const CACHE_TTL_MS = 60 * 1000; // 1 minuto
+
+class CadenceService {
+    constructor() {
+        this.defaultProduct = DEFAULT_PRODUCT;
+        this.cache = new Map(); // { productCode: [stages] }
+        this.cacheLoadedAt = 0;
+    }
+
+    /**
+     * Tipo de evento N8N de cada etapa
+     * Etapa 1 mantém pix_timeout; as seguintes são pix_recuperacao_02, _03...
+     */
+    getEventType(stage) {
+        return stage === 1 ? 'pix_timeout' : `pix_recuperacao_${String(stage).padStart(2, '0')}`;
+    }
+
+    /**
+     * Verificar se o tipo de evento pertence a uma cadência de PIX
+     */
+    isRecoveryEvent(eventType) {
+        return eventType === 'pix_timeout' || /^pix_recuperacao_\d{2}$/.test(eventType || '');
+    }
+
+    /**
+     * Recarregar cache se expirado
+     */
+    async ensureCache() {
+        if (Date.now() - this.cacheLoadedAt < CACHE_TTL_MS) {
+            return;
+        }
+
+        const stages = await database.query(`
+            SELECT product_code, stage, delay_minutes
+            FROM pix_recovery_stages
+            WHERE active = true
+            ORDER BY product_code, stage
+        `);
+
+        this.cache = new Map();
+        stages.rows.forEach(row => {
+            if (!this.cache.has(row.product_code)) {
+                this.cache.set(row.product_code, []);
+            }
+            this.cache.get(row.product_code).push({
+                stage: row.stage,
+                delayMinutes: row.delay_minutes,
+                eventType: this.getEventType(row.stage)
+            });
+        });
+        this.cacheLoadedAt = Date.now();
+    }
+
+    /**
+     * Etapas da cadência de um produto (cai na padrão se não houver específica)
+     * Sem nenhuma cadência cadastrada, usa uma etapa com o timeout global
+     */
+    async getStages(productCode, fallbackTimeoutMs) {
+        try {
+            await this.ensureCache();
+
+            const stages = this.cache.get(productCode) || this.cache.get(DEFAULT_PRODUCT);
+            if (stages && stages.length > 0) {
+                return stages;
+            }
+
+        } catch (error) {
+            logger.error(`❌ Erro ao carregar cadência de ${productCode}: ${error.message}`, error);
+        }
+
+        return [{ stage: 1, delayMinutes: Math.round(fallbackTimeoutMs / 60000), eventType: 'pix_timeout' }];
+    }
+
+    /**
+     * Listar todas as cadências agrupadas por produto
+     */
+    async listCadences() {
+        const stages = await database.query(`
+            SELECT product_code, stage, delay_minutes, active
+            FROM pix_recovery_stages
+            ORDER BY product_code, stage
+        `);
+
+        const cadences = {};
+        stages.rows.forEach(row => {
+            cadences[row.product_code] = cadences[row.product_code] || [];
+            cadences[row.product_code].push({
+                stage: row.stage,
+                delay_minutes: row.delay_minutes,
+                event_type: this.getEventType(row.stage),
+                active: row.active
+            });
+        });
+
+        return cadences;
+    }
+
+    /**
+     * Validar etapas informadas - retorna mensagem de erro ou null
+     */
+    validateDelays(delays) {
+        if (!Array.isArray(delays) || delays.length === 0 || delays.length > MAX_STAGES) {
+            return `Cadência deve ter de 1 a ${MAX_STAGES} etapas`;
+        }
+
+        const minutes = delays.map(delay => Number(delay));
+        const valid = minutes.every((value, index) =>
+            Number.isInteger(value) && value > 0 && (index === 0 || value > minutes[index - 1])
+        );
+
+        return valid ? null : 'Etapas devem ser minutos inteiros positivos em ordem crescente';
+    }
+
+    /**
+     * Substituir cadência de um produto
+     * delays: minutos após o PIX gerado, em ordem crescente (ver validateDelays)
+     */
+    async setCadence(productCode, delays) {
+        const minutes = delays.map(delay => Number(delay));
+
+        await database.transaction([
+            { text: 'DELETE FROM pix_recovery_stages WHERE product_code = $1', params: [productCode] },
+            ...minutes.map((delayMinutes, index) => ({
+                text: 'INSERT INTO pix_recovery_stages (product_code, stage, delay_minutes) VALUES ($1, $2, $3)',
+                params: [productCode, index + 1, delayMinutes]
+            }))
+        ]);
+
+        this.cacheLoadedAt = 0;
+        logger.info(`⏱️ Cadência PIX de ${productCode} atualizada: ${minutes.join(', ')} min`);
+    }
+
+    /**
+     * Remover cadência específica (produto volta a usar a padrão)
+     */
+    async deleteCadence(productCode) {
+        const result = await database.query('DELETE FROM pix_recovery_stages WHERE product_code = $1', [productCode]);
+        this.cacheLoadedAt = 0;
+
+        return result.rowCount > 0;
+    }
+}
+
+// Instância única do serviço
+const cadenceService = new CadenceService();
+
+module.exports = cadenceService;
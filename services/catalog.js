@@ -0,0 +1,171 @@
+/**
+ * CATÁLOGO DE PRODUTOS
+ * Produtos e mapeamento código do plano -> produto persistidos no banco,
+ * com cache em memória para o caminho quente dos webhooks
+ */
+
+const database = require('../database/config');
+const alertService = require('./alerts');
+const logger = require('./logger');
+
+const CACHE_TTL_MS = 60 * 1000; // 1 minuto
+
+class CatalogService {
+    constructor() {
+        this.planCache = new Map(); // { planCode: productCode }
+        this.cacheLoadedAt = 0;
+    }
+
+    /**
+     * Recarregar cache de planos se expirado
+     * Só entram planos de produtos ativos
+     */
+    async ensureCache() {
+        if (Date.now() - this.cacheLoadedAt < CACHE_TTL_MS) {
+            return;
+        }
+
+        const plans = await database.query(`
+            SELECT pp.plan_code, pp.product_code
+            FROM product_plans pp
+            JOIN products p ON p.code = pp.product_code
+            WHERE p.active = true
+        `);
+
+        this.planCache = new Map(plans.rows.map(row => [row.plan_code, row.product_code]));
+        this.cacheLoadedAt = Date.now();
+
+        logger.debug(`📦 Cache do catálogo recarregado: ${this.planCache.size} plano(s)`);
+    }
+
+    /**
+     * Invalidar cache (após alterações no catálogo)
+     */
+    invalidateCache() {
+        this.cacheLoadedAt = 0;
+    }
+
+    /**
+     * Obter produto pelo código do plano
+     * Plano desconhecido (ou de produto inativo) gera alerta visível no dashboard e retorna UNKNOWN
+     */
+    async getProductByPlanCode(planCode, orderCode = null) {
+        await this.ensureCache();
+
+        if (planCode && this.planCache.has(planCode)) {
+            return this.planCache.get(planCode);
+        }
+
+        await alertService.raise(
+            'unknown_plan_code',
+            `Código de plano sem produto ativo cadastrado: ${planCode || '(vazio)'}`,
+            {
+                severity: 'warning',
+                details: { plan_code: planCode || null, last_order_code: orderCode },
+                dedupKey: `unknown_plan_code:${planCode || ''}`
+            }
+        );
+
+        return 'UNKNOWN';
+    }
+
+    /**
+     * Listar produtos com seus planos
+     */
+    async listProducts() {
+        const products = await database.query(`
+            SELECT p.*,
+                   COALESCE(json_agg(json_build_object(
+                       'plan_code', pp.plan_code,
+                       'description', pp.description
+                   ) ORDER BY pp.plan_code) FILTER (WHERE pp.plan_code IS NOT NULL), '[]') as plans
+            FROM products p
+            LEFT JOIN product_plans pp ON pp.product_code = p.code
+            GROUP BY p.code
+            ORDER BY p.code
+        `);
+
+        return products.rows;
+    }
+
+    /**
+     * Criar produto
+     */
+    async createProduct({ code, name, active = true }) {
+        const result = await database.query(`
+            INSERT INTO products (code, name, active)
+            VALUES ($1, $2, $3)
+            RETURNING *
+        `, [code, name || code, active]);
+
+        logger.info(`📦 Produto criado: ${code}`);
+        return result.rows[0];
+    }
+
+    /**
+     * Atualizar produto (poolName null volta ao grupo compartilhado)
+     */
+    async updateProduct(code, { name, active, poolName }) {
+        const result = await database.query(`
+            UPDATE products
+            SET name = COALESCE($2, name),
+                active = COALESCE($3, active),
+                pool_name = CASE WHEN $4 THEN $5 ELSE pool_name END,
+                updated_at = NOW()
+            WHERE code = $1
+            RETURNING *
+        `, [code, name ?? null, active ?? null, poolName !== undefined, poolName ?? null]);
+
+        this.invalidateCache();
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Remover produto (remove também seus planos)
+     */
+    async deleteProduct(code) {
+        const result = await database.query('DELETE FROM products WHERE code = $1', [code]);
+        this.invalidateCache();
+
+        logger.info(`🗑️ Produto removido: ${code}`);
+        return result.rowCount > 0;
+    }
+
+    /**
+     * Mapear código de plano para produto
+     */
+    async addPlan(productCode, { planCode, description = null }) {
+        const result = await database.query(`
+            INSERT INTO product_plans (plan_code, product_code, description)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (plan_code) DO UPDATE SET
+                product_code = EXCLUDED.product_code,
+                description = EXCLUDED.description
+            RETURNING *
+        `, [planCode, productCode, description]);
+
+        this.invalidateCache();
+
+        // Plano mapeado: alerta de plano desconhecido deixa de valer
+        await alertService.resolve(`unknown_plan_code:${planCode}`);
+
+        logger.info(`📦 Plano ${planCode} mapeado para ${productCode}`);
+        return result.rows[0];
+    }
+
+    /**
+     * Remover mapeamento de plano
+     */
+    async removePlan(planCode) {
+        const result = await database.query('DELETE FROM product_plans WHERE plan_code = $1', [planCode]);
+        this.invalidateCache();
+
+        return result.rowCount > 0;
+    }
+}
+
+// Instância única do serviço
+const catalogService = new CatalogService();
+
+module.exports = catalogService;
@@ -0,0 +1,174 @@
+/**
+ * SERVIÇO DE CLIENTES
+ * Unifica os pedidos de um mesmo cliente pelo telefone normalizado,
+ * com email e CPF/CNPJ como identificadores secundários
+ */
+
+const database = require('../database/config');
+const logger = require('./logger');
+
+// Status de conversa que representam compra paga
+const PAID_STATUSES = database.paidConversationStatuses;
+
+// Status em que o cliente ainda está no funil de mensagens
+const FUNNEL_STATUSES = ['pix_pending', 'boleto_pending', 'card_declined', 'timeout', 'approved'];
+
+class CustomerService {
+    /**
+     * Localizar ou criar cliente a partir do pedido normalizado
+     * Ordem de busca: telefone, documento, email - retorna o ID do cliente
+     * Achado por documento/email com outro telefone: passa a usar o do pedido
+     */
+    async resolve(order) {
+        const phone = order.phone || null;
+        const email = order.customer.email ? String(order.customer.email).trim().toLowerCase() : null;
+        const document = order.customer.document ? String(order.customer.document).replace(/\D/g, '') || null : null;
+
+        const existing = await database.query(`
+            SELECT id, phone FROM customers
+            WHERE ($1::text IS NOT NULL AND phone = $1)
+               OR ($2::text IS NOT NULL AND document = $2)
+               OR ($3::text IS NOT NULL AND LOWER(email) = $3)
+            ORDER BY (phone = $1) DESC NULLS LAST, (document = $2) DESC NULLS LAST
+            LIMIT 1
+        `, [phone, document, email]);
+
+        if (existing.rows.length > 0) {
+            const customerId = existing.rows[0].id;
+
+            if (phone && existing.rows[0].phone !== phone) {
+                await this.updatePhone(customerId, existing.rows[0].phone, phone);
+            }
+
+            // Completar identificadores que ainda não tínhamos
+            await database.query(`
+                UPDATE customers SET
+                    email = COALESCE(email, $2),
+                    document = COALESCE(document, $3),
+                    full_name = COALESCE($4, full_name),
+                    last_seen_at = NOW(),
+                    updated_at = NOW()
+                WHERE id = $1
+            `, [customerId, email, document, order.customer.fullName || null]);
+
+            return customerId;
+        }
+
+        const created = await database.query(`
+            INSERT INTO customers (phone, email, document, full_name)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (phone) DO UPDATE SET last_seen_at = NOW(), updated_at = NOW()
+            RETURNING id
+        `, [phone, email, document, order.customer.fullName || null]);
+
+        logger.info(`👤 Novo cliente: #${created.rows[0].id} | ${phone}`);
+        return created.rows[0].id;
+    }
+
+    /**
+     * Trocar telefone do cliente (número novo informado no pedido)
+     * Telefone já usado por outro cliente (pedido simultâneo) mantém o antigo
+     */
+    async updatePhone(customerId, previousPhone, phone) {
+        try {
+            await database.query('UPDATE customers SET phone = $2, updated_at = NOW() WHERE id = $1', [customerId, phone]);
+            logger.info(`👤 Cliente #${customerId} com novo telefone: ${previousPhone || '(vazio)'} → ${phone}`);
+
+        } catch (error) {
+            if (error.code !== '23505') {
+                throw error;
+            }
+            logger.warn(`⚠️ Telefone ${phone} já pertence a outro cliente - cliente #${customerId} mantém ${previousPhone}`);
+        }
+    }
+
+    /**
+     * Compras pagas anteriores ao pedido atual
+     */
+    async getPreviousPurchases(customerId, currentOrderCode) {
+        if (!customerId) return 0;
+
+        const result = await database.query(`
+            SELECT COUNT(*) as count FROM conversations
+            WHERE customer_id = $1 AND order_code != $2 AND status = ANY($3)
+        `, [customerId, currentOrderCode || '', PAID_STATUSES]);
+
+        return parseInt(result.rows[0].count);
+    }
+
+    /**
+     * Campos de cliente recorrente para o payload N8N (mesclar em "cliente")
+     */
+    async getN8NFields(customerId, currentOrderCode) {
+        try {
+            const previousPurchases = await this.getPreviousPurchases(customerId, currentOrderCode);
+
+            return {
+                id: customerId || null,
+                recorrente: previousPurchases > 0,
+                compras_anteriores: previousPurchases
+            };
+
+        } catch (error) {
+            logger.error(`❌ Erro ao verificar recorrência do cliente ${customerId}: ${error.message}`, error);
+            return { id: customerId || null, recorrente: false, compras_anteriores: 0 };
+        }
+    }
+
+    /**
+     * Cliente com histórico de pedidos, valor vitalício e estado atual do funil
+     */
+    async getCustomerDetails(customerId) {
+        const customer = await database.query('SELECT * FROM customers WHERE id = $1', [customerId]);
+
+        if (customer.rows.length === 0) {
+            return null;
+        }
+
+        const orders = await database.query(`
+            SELECT id, order_code, product, status, amount, payment_method, instance_name,
+                   current_step, responses_count, created_at, updated_at
+            FROM conversations
+            WHERE customer_id = $1
+            ORDER BY created_at DESC
+        `, [customerId]);
+
+        const paidOrders = orders.rows.filter(order => PAID_STATUSES.includes(order.status));
+        const lifetimeValue = paidOrders.reduce((total, order) => total + (parseFloat(order.amount) || 0), 0);
+
+        // Estado do funil: pedido mais recente ainda em andamento
+        const activeOrder = orders.rows.find(order => FUNNEL_STATUSES.includes(order.status));
+        let funnel = null;
+
+        if (activeOrder) {
+            const lastEvent = await database.query(`
+                SELECT content, created_at FROM messages
+                WHERE conversation_id = $1 AND type = 'system_event'
+                ORDER BY created_at DESC LIMIT 1
+            `, [activeOrder.id]);
+
+            funnel = {
+                order_code: activeOrder.order_code,
+                status: activeOrder.status,
+                current_step: activeOrder.current_step,
+                responses_count: activeOrder.responses_count,
+                instance_name: activeOrder.instance_name,
+                last_event: lastEvent.rows[0] || null
+            };
+        }
+
+        return {
+            ...customer.rows[0],
+            repeat_buyer: paidOrders.length > 1,
+            paid_orders: paidOrders.length,
+            lifetime_value: Math.round(lifetimeValue * 100) / 100,
+            funnel: funnel,
+            orders: orders.rows
+        };
+    }
+}
+
+// Instância única do serviço
+const customerService = new CustomerService();
+
+module.exports = customerService;
@@ -12,23 +12,15 @@
 
 const axios = require('axios');
 const logger = require('./logger');
+const instanceRegistry = require('./instances');
 
 class EvolutionService {
     constructor() {
         this.baseURL = process.env.EVOLUTION_API_URL || 'https://evo.flowzap.fun';
         this.workingEndpoint = null; // Endpoint que funciona será descoberto
         
-        this.instances = [
-            { name: 'GABY01', id: '1CEBB8703497-4F31-B33F-335A4233D2FE', active: true, lastCheck: null, status: 'unknown' },
-            { name: 'GABY02', id: '939E26DEA1FA-40D4-83CE-2BF0B3F795DC', active: true, lastCheck: null, status: 'unknown' },
-            { name: 'GABY03', id: 'F819629B5E33-435B-93BB-091B4C104C12', active: true, lastCheck: null, status: 'unknown' },
-            { name: 'GABY04', id: 'D555A7CBC0B3-425B-8E20-975232BE75F6', active: true, lastCheck: null, status: 'unknown' },
-            { name: 'GABY05', id: 'D97A63B8B05B-430E-98C1-61977A51EC0B', active: true, lastCheck: null, status: 'unknown' },
-            { name: 'GABY06', id: '6FC2C4C703BA-4A8A-9B3B-21536AE51323', active: true, lastCheck: null, status: 'unknown' },
-            { name: 'GABY07', id: '14F637AB35CD-448D-BF66-5673950FBA10', active: true, lastCheck: null, status: 'unknown' },
-            { name: 'GABY08', id: '82E0CE5B1A51-4B7B-BBEF-77D22320B482', active: true, lastCheck: null, status: 'unknown' },
-            { name: 'GABY09', id: 'B5783C928EF4-4DB0-ABBA-AF6913116E7B', active: true, lastCheck: null, status: 'unknown' }
-        ];
+        // Carregadas do registro (tabela instances) em loadInstances()
+        this.instances = [];
         
         // Lista de endpoints possíveis para testar (problema 2)
         this.possibleEndpoints = [
@@ -41,6 +33,31 @@ class EvolutionService {
         this.healthCheckInterval = null;
     }
 
+    /**
+     * Carregar instâncias habilitadas do registro
+     * Mantém status/último check das que já eram monitoradas; instâncias
+     * desativadas ou removidas saem do health check e do fallback
+     */
+    async loadInstances() {
+        try {
+            const registered = await instanceRegistry.getActive();
+            const current = new Map(this.instances.map(instance => [instance.name, instance]));
+
+            this.instances = registered.map(instance => ({
+                name: instance.name,
+                apiKey: instance.apiKey,
+                active: current.get(instance.name)?.active ?? true,
+                lastCheck: current.get(instance.name)?.lastCheck || null,
+                status: current.get(instance.name)?.status || 'unknown'
+            }));
+
+        } catch (error) {
+            logger.error(`❌ Erro ao carregar registro de instâncias: ${error.message}`, error);
+        }
+
+        return this.instances;
+    }
+
     /**
      * Descobrir endpoint correto da Evolution API
      */
@@ -50,13 +67,18 @@ class EvolutionService {
         // Testar com a primeira instância para descobrir o endpoint
         const testInstance = this.instances[0];
         
+        if (!testInstance) {
+            logger.warn('⚠️ Nenhuma instância ativa no registro para descobrir o endpoint');
+            return null;
+        }
+        
         for (const endpoint of this.possibleEndpoints) {
             try {
                 logger.debug(`Testando endpoint: ${endpoint}/${testInstance.name}`);
                 
                 const response = await axios.get(`${this.baseURL}${endpoint}/${testInstance.name}`, {
                     timeout: 10000,
-                    headers: { 'apikey': testInstance.id }
+                    headers: { 'apikey': testInstance.apiKey }
                 });
                 
                 // Verificar diferentes formatos de resposta possíveis
@@ -113,6 +135,9 @@ class EvolutionService {
         try {
             logger.info('🚀 Inicializando serviço Evolution API...');
             
+            await this.loadInstances();
+            logger.info(`📱 ${this.instances.length} instância(s) ativa(s) no registro`);
+            
             // Descobrir endpoint correto primeiro
             const workingEndpoint = await this.discoverWorkingEndpoint();
             
@@ -148,6 +173,9 @@ class EvolutionService {
         
         logger.info('🔍 Executando health check de todas as instâncias...');
         
+        // Instâncias cadastradas/desativadas pelo dashboard entram no próximo ciclo
+        await this.loadInstances();
+        
         const checkPromises = this.instances.map(instance => this.checkInstanceHealth(instance));
         const results = await Promise.allSettled(checkPromises);
         
@@ -174,6 +202,11 @@ class EvolutionService {
             instance.lastCheck = new Date();
         });
         
+        // Persistir desde quando cada instância está offline (base do failover)
+        await Promise.all(this.instances.map(instance =>
+            instanceRegistry.recordHealth(instance.name, instance.status === 'online')
+        ));
+        
         logger.info(`📊 Health check concluído: ${activeCount} online, ${inactiveCount} offline`);
         
         // Se muitas instâncias estão offline, alerta crítico
@@ -198,7 +231,7 @@ class EvolutionService {
             const response = await axios.get(`${this.baseURL}${this.workingEndpoint}/${instance.name}`, {
                 timeout: 10000,
                 headers: {
-                    'apikey': instance.id,
+                    'apikey': instance.apiKey,
                     'Content-Type': 'application/json'
                 }
             });
@@ -299,7 +332,7 @@ class EvolutionService {
             const response = await axios.post(`${this.baseURL}/message/sendText/${instanceName}`, payload, {
                 timeout: 15000,
                 headers: {
-                    'apikey': instance.id,
+                    'apikey': instance.apiKey,
                     'Content-Type': 'application/json'
                 }
             });
@@ -330,13 +363,44 @@ class EvolutionService {
         }
     }
 
+    /**
+     * Consultar na Evolution o JID real de um telefone no WhatsApp
+     * (contas antigas podem usar o número sem o nono dígito)
+     * Retorna o JID ou null se o número não tem WhatsApp / falha na consulta
+     */
+    async lookupWhatsAppJid(instanceName, phoneNumber) {
+        try {
+            const instance = this.getInstance(instanceName);
+            if (!instance) {
+                throw new Error(`Instância ${instanceName} não encontrada`);
+            }
+
+            const response = await axios.post(`${this.baseURL}/chat/whatsappNumbers/${instanceName}`, {
+                numbers: [phoneNumber]
+            }, {
+                timeout: 10000,
+                headers: {
+                    'apikey': instance.apiKey,
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            const contact = Array.isArray(response.data) ? response.data[0] : null;
+            return contact?.exists && contact.jid ? contact.jid : null;
+
+        } catch (error) {
+            const errorMsg = error.response ? `HTTP ${error.response.status}` : error.message;
+            logger.warn(`⚠️ Consulta de JID falhou via ${instanceName} para ${phoneNumber}: ${errorMsg}`);
+            return null;
+        }
+    }
+
     /**
      * Obter detalhes de todas as instâncias
      */
     getAllInstancesDetails() {
         return this.instances.map(instance => ({
             name: instance.name,
-            id: instance.id,
             status: instance.status,
             active: instance.active,
             lastCheck: instance.lastCheck ? instance.lastCheck.toISOString() : null,
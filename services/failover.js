@@ -0,0 +1,315 @@
+/**
+ * FAILOVER DE INSTÂNCIAS
+ * Instância offline há mais de N minutos (offline_since do health check) tem
+ * as conversas ativas e os respectivos leads movidos para instâncias
+ * saudáveis escolhidas pelo balanceador, respeitando o pool do produto.
+ * Cada movimento fica em instance_migrations e gera o evento
+ * instancia_migrada para o N8N, para o novo número se apresentar ao cliente.
+ */
+
+const database = require('../database/config');
+const logger = require('./logger');
+const alertService = require('./alerts');
+const instanceRegistry = require('./instances');
+const leadBalancer = require('./balancer');
+const queueService = require('./queue');
+const customerService = require('./customers');
+const attributionService = require('./attribution');
+const orderService = require('./orders');
+
+const CHECK_INTERVAL_MS = 5 * 60 * 1000; // mesmo ciclo do health check
+
+class FailoverService {
+    constructor() {
+        this.offlineMinutes = 30;
+        this.checkInterval = null;
+        this.running = false;
+    }
+
+    /**
+     * Agendar verificação periódica
+     */
+    initialize(offlineMinutes) {
+        this.offlineMinutes = offlineMinutes;
+
+        this.checkInterval = setInterval(() => {
+            this.run().catch(error => {
+                logger.error(`❌ Erro no failover automático: ${error.message}`, error);
+            });
+        }, CHECK_INTERVAL_MS);
+
+        logger.info(`✅ Failover de instâncias ativo (offline há mais de ${offlineMinutes} min)`);
+    }
+
+    /**
+     * Executar failover
+     * dryRun monta e devolve o plano sem alterar nada nem avisar o N8N
+     */
+    async run({ dryRun = false, offlineMinutes = this.offlineMinutes } = {}) {
+        if (this.running) {
+            return { dry_run: dryRun, skipped: true, message: 'Failover já em execução' };
+        }
+
+        this.running = true;
+
+        try {
+            const deadInstances = await instanceRegistry.getOfflineSince(offlineMinutes);
+
+            if (deadInstances.length === 0) {
+                return { dry_run: dryRun, offline_minutes: offlineMinutes, instances: [], migrations: [], unassigned: [] };
+            }
+
+            logger.warn(`🔀 Failover${dryRun ? ' (simulação)' : ''}: ${deadInstances.map(instance => instance.name).join(', ')} offline há mais de ${offlineMinutes} min`);
+
+            const plan = await this.buildPlan(deadInstances);
+            const migrations = plan.filter(group => group.to);
+            const unassigned = plan.filter(group => !group.to);
+
+            if (!dryRun) {
+                for (const group of migrations) {
+                    try {
+                        await this.migrate(group);
+                    } catch (error) {
+                        group.error = error.message;
+                        logger.error(`❌ Erro ao migrar ${group.phone} de ${group.from}: ${error.message}`, error);
+                    }
+                }
+
+                await this.raiseAlerts(deadInstances, migrations, unassigned);
+            }
+
+            return {
+                dry_run: dryRun,
+                offline_minutes: offlineMinutes,
+                instances: deadInstances,
+                migrations: migrations.map(group => this.describe(group)),
+                unassigned: unassigned.map(group => this.describe(group))
+            };
+
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Montar plano: uma entrada por telefone, com todas as conversas em funil
+     * dele na instância morta (inclui timeout com recuperação de PIX agendada);
+     * destino escolhido pelo balanceador
+     */
+    async buildPlan(deadInstances) {
+        const deadNames = deadInstances.map(instance => instance.name);
+        const offlineSince = new Map(deadInstances.map(instance => [instance.name, instance.offline_since]));
+
+        const conversations = await database.query(`
+            SELECT c.* FROM conversations c
+            WHERE c.instance_name = ANY($1) AND ${database.inFunnelCondition('c')}
+            ORDER BY c.updated_at DESC
+        `, [deadNames]);
+
+        const groups = new Map();
+        conversations.rows.forEach(conversation => {
+            if (!groups.has(conversation.phone)) {
+                groups.set(conversation.phone, {
+                    phone: conversation.phone,
+                    from: conversation.instance_name,
+                    offlineSince: offlineSince.get(conversation.instance_name),
+                    conversations: [],
+                    to: null
+                });
+            }
+            groups.get(conversation.phone).conversations.push(conversation);
+        });
+
+        const pending = {};
+        for (const group of groups.values()) {
+            // Respeita o pool do produto da conversa mais recente
+            const choice = await leadBalancer.chooseForProduct(group.conversations[0].product, {
+                pending: pending,
+                exclude: deadNames
+            });
+
+            if (choice.instance) {
+                group.to = choice.instance;
+                pending[choice.instance] = (pending[choice.instance] || 0) + 1;
+            }
+        }
+
+        return [...groups.values()];
+    }
+
+    /**
+     * Mover lead e conversas, registrar auditoria e avisar o N8N
+     */
+    async migrate(group) {
+        const { phone, from } = group;
+        const conversationIds = group.conversations.map(conversation => conversation.id);
+
+        // Mesmo lock por telefone do balanceador: não corre junto com um
+        // webhook novo do lead; só move o que ainda está na instância morta
+        const { moved, to, leadMoved } = await database.transaction(async client => {
+            await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [phone]);
+
+            const lead = await client.query('SELECT instance_name FROM leads WHERE phone = $1', [phone]);
+            const current = lead.rows[0]?.instance_name;
+
+            // Lead já realocado (assign com instância offline): conversas seguem o lead
+            const destination = current && current !== from ? current : group.to;
+
+            const leadUpdate = await client.query(
+                'UPDATE leads SET instance_name = $2, updated_at = NOW() WHERE phone = $1 AND instance_name = $3',
+                [phone, destination, from]
+            );
+
+            const conversationUpdate = await client.query(
+                'UPDATE conversations SET instance_name = $2 WHERE id = ANY($1) AND instance_name = $3 RETURNING *',
+                [conversationIds, destination, from]
+            );
+
+            for (const conversation of conversationUpdate.rows) {
+                await client.query(`
+                    INSERT INTO instance_migrations
+                    (phone, conversation_id, order_code, from_instance, to_instance, reason, offline_since)
+                    VALUES ($1, $2, $3, $4, $5, 'failover', $6)
+                `, [phone, conversation.id, conversation.order_code, from, destination, group.offlineSince]);
+            }
+
+            return { moved: conversationUpdate.rows, to: destination, leadMoved: leadUpdate.rowCount > 0 };
+        });
+
+        group.to = to;
+
+        if (moved.length === 0) {
+            group.skipped = true;
+            logger.info(`🔀 ${phone}: conversas já saíram de ${from}, nada a migrar`);
+            return;
+        }
+
+        // Conta no limite diário da instância de destino (se o lead foi
+        // realocado pelo assign, a atribuição já foi registrada lá)
+        if (leadMoved) {
+            await leadBalancer.recordAssignment(phone, {
+                instance: to,
+                reason: 'failover',
+                load: null,
+                loads: {},
+                skipped: [{ name: from, reason: 'offline' }]
+            });
+        }
+
+        logger.info(`🔀 ${phone} migrado de ${from} para ${to} (${moved.length} conversa(s))`);
+
+        // Apresentação do novo número: evento na conversa mais recente
+        const movedIds = new Set(moved.map(conversation => conversation.id));
+        const conversation = { ...group.conversations.find(item => movedIds.has(item.id)), instance_name: to };
+        const success = await this.sendMigrationEvent(conversation, from);
+
+        await database.query(
+            'UPDATE instance_migrations SET event_sent = $2 WHERE conversation_id = $1 AND to_instance = $3 AND event_sent = false',
+            [conversation.id, success, to]
+        );
+
+        await database.query(
+            'INSERT INTO messages (conversation_id, type, content, status) VALUES ($1, $2, $3, $4)',
+            [conversation.id, 'system_event', `Instância migrada: ${from} → ${to}`, success ? 'sent' : 'failed']
+        );
+
+        group.eventSent = success;
+    }
+
+    /**
+     * Evento instancia_migrada para o N8N
+     */
+    async sendMigrationEvent(conversation, fromInstance) {
+        const fullName = conversation.client_name || 'Cliente';
+
+        const eventData = {
+            event_type: 'instancia_migrada',
+            produto: conversation.product,
+            instancia: conversation.instance_name,
+            instancia_anterior: fromInstance,
+            evento_origem: 'failover',
+            status_conversa: conversation.status,
+            cliente: {
+                nome: queueService.getFirstName(fullName),
+                telefone: conversation.phone,
+                nome_completo: fullName,
+                ...(await customerService.getN8NFields(conversation.customer_id, conversation.order_code))
+            },
+            atribuicao: attributionService.fromConversation(conversation),
+            pedido: {
+                codigo: conversation.order_code,
+                valor: parseFloat(conversation.amount) || 0,
+                itens: await orderService.getN8NItems(conversation.id)
+            },
+            timestamp: new Date().toISOString(),
+            brazil_time: queueService.getBrazilTime(),
+            conversation_id: conversation.id
+        };
+
+        return queueService.sendToN8N(eventData, 'instancia_migrada', conversation.id);
+    }
+
+    /**
+     * Alertas no dashboard: migração feita e leads sem destino
+     */
+    async raiseAlerts(deadInstances, migrations, unassigned) {
+        for (const instance of deadInstances) {
+            const moved = migrations.filter(group => group.from === instance.name && !group.error && !group.skipped).length;
+            const stranded = unassigned.filter(group => group.from === instance.name).length;
+
+            if (moved === 0 && stranded === 0) {
+                continue;
+            }
+
+            await alertService.raise(
+                'instance_failover',
+                `Failover de ${instance.name}: ${moved} lead(s) migrado(s)${stranded > 0 ? `, ${stranded} sem instância disponível` : ''}`,
+                {
+                    severity: stranded > 0 ? 'critical' : 'warning',
+                    details: { instance: instance.name, offline_since: instance.offline_since, moved: moved, stranded: stranded },
+                    dedupKey: `instance_failover:${instance.name}`
+                }
+            );
+        }
+    }
+
+    describe(group) {
+        return {
+            phone: group.phone,
+            from: group.from,
+            to: group.to,
+            order_codes: group.conversations.map(conversation => conversation.order_code),
+            event_sent: group.eventSent ?? null,
+            skipped: group.skipped || false,
+            error: group.error || null
+        };
+    }
+
+    /**
+     * Auditoria de migrações (mais recentes primeiro)
+     */
+    async listMigrations(limit = 100) {
+        const result = await database.query(`
+            SELECT * FROM instance_migrations
+            ORDER BY created_at DESC
+            LIMIT $1
+        `, [Math.min(parseInt(limit) || 100, 500)]);
+
+        return result.rows;
+    }
+
+    /**
+     * Parar verificação periódica (chamado no shutdown)
+     */
+    cleanup() {
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+            this.checkInterval = null;
+        }
+    }
+}
+
+// Instância única do serviço
+const failoverService = new FailoverService();
+
+module.exports = failoverService;
@@ -0,0 +1,242 @@
+/**
+ * FUNIS DE RESPOSTA
+ * Cada resposta do cliente avança uma etapa e envia o evento da etapa ao N8N.
+ * Funis por produto e origem da conversa (aprovada, pix, boleto, cartao),
+ * com '*' como curinga; o funil '*'/'*' é o padrão (resposta_01 a resposta_03).
+ *
+ * Regra de conclusão (on_complete) após a última etapa:
+ * - complete: conversa vira completed (padrão)
+ * - keep:     mantém o status (timeouts e conversão continuam valendo)
+ *
+ * Posição da conversa: conversations.responses_count (etapas enviadas) e
+ * last_step_event; cada etapa fica em conversation_steps com tentativas e
+ * horário do envio. O avanço é reservado com lock na conversa antes do envio.
+ */
+
+const database = require('../database/config');
+const logger = require('./logger');
+
+const ANY = '*';
+const ORIGINS = ['aprovada', 'pix', 'boleto', 'cartao'];
+const ON_COMPLETE_RULES = ['complete', 'keep'];
+const MAX_STEPS = 10;
+const CACHE_TTL_MS = 60 * 1000; // 1 minuto
+const STALE_CLAIM_MINUTES = 5; // etapa reservada sem resultado (processo caiu no envio)
+
+// Mesmo formato aceito pela constraint event_type_allowed de events_queue
+const STEP_EVENT_PATTERN = /^(resposta|funil)_[a-z0-9_]{1,40}$/;
+
+// Usado sem nenhum funil no banco (comportamento original)
+const DEFAULT_FUNNEL = {
+    product_code: ANY,
+    origin: ANY,
+    steps: ['resposta_01', 'resposta_02', 'resposta_03'],
+    on_complete: 'complete'
+};
+
+class FunnelService {
+    constructor() {
+        this.any = ANY;
+        this.cache = new Map(); // { 'produto|origem': funil }
+        this.cacheLoadedAt = 0;
+    }
+
+    /**
+     * Recarregar cache se expirado
+     */
+    async ensureCache() {
+        if (Date.now() - this.cacheLoadedAt < CACHE_TTL_MS) {
+            return;
+        }
+
+        const funnels = await database.query(`
+            SELECT product_code, origin, steps, on_complete
+            FROM funnels
+            WHERE active = true
+        `);
+
+        this.cache = new Map(funnels.rows.map(funnel => [`${funnel.product_code}|${funnel.origin}`, funnel]));
+        this.cacheLoadedAt = Date.now();
+    }
+
+    /**
+     * Funil da conversa: produto+origem, produto, origem e por fim o padrão
+     */
+    async getFunnel(productCode, origin) {
+        try {
+            await this.ensureCache();
+
+            const keys = [
+                `${productCode}|${origin}`,
+                `${productCode}|${ANY}`,
+                `${ANY}|${origin}`,
+                `${ANY}|${ANY}`
+            ];
+
+            for (const key of keys) {
+                const funnel = this.cache.get(key);
+                if (funnel && funnel.steps.length > 0) {
+                    return funnel;
+                }
+            }
+
+        } catch (error) {
+            logger.error(`❌ Erro ao carregar funil de ${productCode}/${origin}: ${error.message}`, error);
+        }
+
+        return DEFAULT_FUNNEL;
+    }
+
+    /**
+     * Listar funis cadastrados
+     */
+    async listFunnels() {
+        const funnels = await database.query(`
+            SELECT product_code, origin, steps, on_complete, active, updated_at
+            FROM funnels
+            ORDER BY product_code, origin
+        `);
+
+        return funnels.rows;
+    }
+
+    /**
+     * Validar funil informado - retorna mensagem de erro ou null
+     */
+    validate(origin, { steps, on_complete }) {
+        if (origin !== ANY && !ORIGINS.includes(origin)) {
+            return `Origem deve ser ${ANY} ou uma de: ${ORIGINS.join(', ')}`;
+        }
+
+        if (!Array.isArray(steps) || steps.length === 0 || steps.length > MAX_STEPS) {
+            return `Funil deve ter de 1 a ${MAX_STEPS} etapas`;
+        }
+
+        if (!steps.every(step => STEP_EVENT_PATTERN.test(step))) {
+            return 'Eventos das etapas devem começar com resposta_ ou funil_ (minúsculas, números e _)';
+        }
+
+        if (new Set(steps).size !== steps.length) {
+            return 'Eventos das etapas não podem se repetir';
+        }
+
+        if (on_complete !== undefined && !ON_COMPLETE_RULES.includes(on_complete)) {
+            return `on_complete deve ser ${ON_COMPLETE_RULES.join(' ou ')}`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Criar ou substituir funil de um produto/origem
+     */
+    async setFunnel(productCode, origin, { steps, onComplete = 'complete' }) {
+        await database.query(`
+            INSERT INTO funnels (product_code, origin, steps, on_complete)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (product_code, origin)
+            DO UPDATE SET steps = $3, on_complete = $4, active = true, updated_at = NOW()
+        `, [productCode, origin, JSON.stringify(steps), onComplete]);
+
+        this.cacheLoadedAt = 0;
+        logger.info(`🪜 Funil ${productCode}/${origin} atualizado: ${steps.join(' → ')} (${onComplete})`);
+    }
+
+    /**
+     * Remover funil (conversas voltam a usar o mais genérico)
+     */
+    async deleteFunnel(productCode, origin) {
+        const result = await database.query(
+            'DELETE FROM funnels WHERE product_code = $1 AND origin = $2',
+            [productCode, origin]
+        );
+        this.cacheLoadedAt = 0;
+        return result.rowCount > 0;
+    }
+
+    /**
+     * Reservar a etapa antes do envio ao N8N
+     * Retorna false se outra resposta já avançou o funil ou se a etapa já foi
+     * (ou está sendo) enviada; tentativa com falha pode ser refeita
+     */
+    async claimStep(conversationId, step, eventType) {
+        return database.transaction(async client => {
+            const conversation = await client.query(
+                'SELECT responses_count FROM conversations WHERE id = $1 FOR UPDATE',
+                [conversationId]
+            );
+
+            if (conversation.rows.length === 0 || (conversation.rows[0].responses_count || 0) !== step - 1) {
+                return false;
+            }
+
+            const claimed = await client.query(`
+                INSERT INTO conversation_steps (conversation_id, step, event_type)
+                VALUES ($1, $2, $3)
+                ON CONFLICT (conversation_id, step) DO UPDATE
+                SET event_type = $3,
+                    status = 'sending',
+                    attempts = conversation_steps.attempts + 1,
+                    attempted_at = NOW()
+                WHERE conversation_steps.status = 'failed'
+                   OR (conversation_steps.status = 'sending'
+                       AND conversation_steps.attempted_at < NOW() - INTERVAL '${STALE_CLAIM_MINUTES} minutes')
+                RETURNING id
+            `, [conversationId, step, eventType]);
+
+            return claimed.rows.length > 0;
+        });
+    }
+
+    /**
+     * Etapa enviada: avançar a posição da conversa na mesma transação
+     * complete = última etapa de funil com on_complete 'complete'
+     */
+    async completeStep(conversationId, step, eventType, complete) {
+        await database.transaction([
+            {
+                text: "UPDATE conversation_steps SET status = 'sent', sent_at = NOW() WHERE conversation_id = $1 AND step = $2",
+                params: [conversationId, step]
+            },
+            {
+                text: `UPDATE conversations
+                       SET responses_count = $2,
+                           last_step_event = $3,
+                           last_response_at = NOW(),
+                           status = CASE WHEN $4 THEN 'completed' ELSE status END,
+                           updated_at = NOW()
+                       WHERE id = $1`,
+                params: [conversationId, step, eventType, complete]
+            }
+        ]);
+    }
+
+    /**
+     * Envio falhou: a próxima resposta do cliente tenta a etapa de novo
+     */
+    async failStep(conversationId, step) {
+        await database.query(
+            "UPDATE conversation_steps SET status = 'failed' WHERE conversation_id = $1 AND step = $2",
+            [conversationId, step]
+        );
+    }
+
+    /**
+     * Etapas de uma conversa (histórico do funil)
+     */
+    async getSteps(conversationId) {
+        const steps = await database.query(`
+            SELECT step, event_type, status, attempts, attempted_at, sent_at
+            FROM conversation_steps
+            WHERE conversation_id = $1
+            ORDER BY step
+        `, [conversationId]);
+
+        return steps.rows;
+    }
+}
+
+// Instância única do serviço
+const funnelService = new FunnelService();
+
+module.exports = funnelService;
@@ -0,0 +1,106 @@
+/**
+ * ADAPTADOR EDUZZ (webhook MyEduzz)
+ * Rota: /webhook/eduzz
+ * Segredo: EDUZZ_SECRET (assinatura HMAC-SHA256 do corpo no header x-signature)
+ */
+
+const securityService = require('../security');
+
+const STATUS_MAP = {
+    paid: 'approved',
+    open: 'pending',
+    waitingPayment: 'pending',
+    waiting_payment: 'pending',
+    refunded: 'refunded',
+    chargeback: 'charged_back',
+    canceled: 'cancelled',
+    cancelled: 'cancelled',
+    expired: 'expired',
+    negotiated: 'in_mediation',
+    refused: 'declined'
+};
+
+const PAYMENT_TYPES = {
+    pix: 'pix',
+    bankslip: 'boleto',
+    creditCard: 'credit_card'
+};
+
+class EduzzGateway {
+    constructor() {
+        this.name = 'eduzz';
+        this.label = 'Eduzz';
+        this.secret = process.env.EDUZZ_SECRET || '';
+    }
+
+    isConfigured() {
+        return this.secret.length > 0;
+    }
+
+    verify(req) {
+        if (!this.isConfigured()) {
+            return { valid: false, reason: 'not_configured' };
+        }
+
+        const signature = req.headers['x-signature'];
+        if (!signature) {
+            return { valid: false, reason: 'missing_signature' };
+        }
+
+        const rawBody = req.rawBody || Buffer.from(JSON.stringify(req.body || {}));
+        return securityService.verifyHmac(rawBody, signature, this.secret)
+            ? { valid: true, reason: 'signature' }
+            : { valid: false, reason: 'invalid_signature' };
+    }
+
+    /**
+     * Corpo guardado na inbox: a assinatura vem no header, não no corpo
+     */
+    redact(payload) {
+        return payload || {};
+    }
+
+    normalize(payload) {
+        const data = payload.data || {};
+        const buyer = data.buyer || {};
+        const rawStatus = data.status;
+        const utm = data.utm || {};
+
+        return {
+            gateway: this.name,
+            code: data.id ? String(data.id) : null,
+            eventId: payload.id || null,
+            status: STATUS_MAP[rawStatus] || null,
+            rawStatus: rawStatus,
+            customer: {
+                fullName: buyer.name || 'Cliente',
+                email: buyer.email || null,
+                document: buyer.document || null
+            },
+            phone: buyer.cellphone || buyer.phone || '',
+            amount: parseFloat(data.price?.value ?? data.paid?.value) || 0,
+            paymentUrl: data.paymentUrl || data.billetUrl || '',
+            planCode: data.items?.[0]?.productId ? String(data.items[0].productId) : null,
+            paymentMethod: PAYMENT_TYPES[data.paymentMethod] || 'pix',
+            dueDate: data.dueDate || null,
+            attribution: {
+                source: utm.source || null,
+                medium: utm.medium || null,
+                campaign: utm.campaign || null,
+                content: utm.content || null,
+                affiliate: data.affiliate?.name || null
+            },
+            items: (data.items || []).map((item, index) => ({
+                sku: item.productId ? String(item.productId) : null,
+                name: item.name || null,
+                quantity: parseInt(item.quantity) || 1,
+                amount: parseFloat(item.price?.value) || 0,
+                type: index === 0 ? 'main' : 'bump'
+            })),
+            upsell: false,
+            parentCode: null
+        };
+    }
+}
+
+module.exports = new EduzzGateway();
@@ -0,0 +1,114 @@
+/**
+ * ADAPTADOR HOTMART (webhook v2)
+ * Rota: /webhook/hotmart
+ * Segredo: HOTMART_HOTTOK (enviado pela Hotmart no header X-HOTMART-HOTTOK)
+ */
+
+const securityService = require('../security');
+
+const STATUS_MAP = {
+    APPROVED: 'approved',
+    COMPLETE: 'approved',
+    WAITING_PAYMENT: 'pending',
+    BILLET_PRINTED: 'pending',
+    REFUNDED: 'refunded',
+    CHARGEBACK: 'charged_back',
+    CANCELED: 'cancelled',
+    CANCELLED: 'cancelled',
+    EXPIRED: 'expired',
+    DISPUTE: 'in_mediation',
+    PROTESTED: 'in_mediation',
+    NO_FUNDS: 'declined'
+};
+
+const PAYMENT_TYPES = {
+    PIX: 'pix',
+    BILLET: 'boleto',
+    CREDIT_CARD: 'credit_card'
+};
+
+class HotmartGateway {
+    constructor() {
+        this.name = 'hotmart';
+        this.label = 'Hotmart';
+        this.hottok = process.env.HOTMART_HOTTOK || '';
+    }
+
+    isConfigured() {
+        return this.hottok.length > 0;
+    }
+
+    verify(req) {
+        if (!this.isConfigured()) {
+            return { valid: false, reason: 'not_configured' };
+        }
+
+        const hottok = req.headers['x-hotmart-hottok'] || req.body?.hottok;
+        if (!hottok) {
+            return { valid: false, reason: 'missing_token' };
+        }
+
+        return securityService.safeCompare(hottok, this.hottok)
+            ? { valid: true, reason: 'token' }
+            : { valid: false, reason: 'invalid_token' };
+    }
+
+    /**
+     * Corpo sem o hottok (guardado na inbox)
+     */
+    redact(payload) {
+        const { hottok, ...rest } = payload || {};
+        return rest;
+    }
+
+    normalize(payload) {
+        const data = payload.data || {};
+        const purchase = data.purchase || {};
+        const buyer = data.buyer || {};
+        const payment = purchase.payment || {};
+        const origin = purchase.origin || {};
+        const orderBump = purchase.order_bump || {};
+        // Webhook v2 envia a oferta dentro de purchase; versões antigas em data.offer
+        const offerCode = purchase.offer?.code || data.offer?.code || null;
+        const rawStatus = purchase.status;
+
+        return {
+            gateway: this.name,
+            code: purchase.transaction,
+            eventId: payload.id || null,
+            status: STATUS_MAP[rawStatus] || null,
+            rawStatus: rawStatus,
+            customer: {
+                fullName: buyer.name || 'Cliente',
+                email: buyer.email || null,
+                document: buyer.document || null
+            },
+            phone: buyer.checkout_phone || buyer.phone || '',
+            amount: parseFloat(purchase.price?.value) || 0,
+            paymentUrl: payment.billet_url || payment.pix_qrcode || payment.pix_code || '',
+            planCode: offerCode || (data.product?.id ? String(data.product.id) : null),
+            paymentMethod: PAYMENT_TYPES[payment.type] || 'pix',
+            dueDate: null,
+            // Hotmart não envia UTMs: src e sck são os parâmetros de rastreio do checkout
+            attribution: {
+                source: origin.src || null,
+                medium: null,
+                campaign: origin.sck || null,
+                content: origin.xcod || null,
+                affiliate: data.affiliates?.[0]?.name || data.affiliates?.[0]?.affiliate_code || null
+            },
+            // Order bump chega como compra separada apontando para a compra principal
+            items: [{
+                sku: offerCode,
+                name: data.product?.name || null,
+                quantity: 1,
+                amount: parseFloat(purchase.price?.value) || 0,
+                type: orderBump.is_order_bump ? 'bump' : 'main'
+            }],
+            upsell: false,
+            parentCode: orderBump.is_order_bump ? orderBump.parent_purchase_transaction || null : null
+        };
+    }
+}
+
+module.exports = new HotmartGateway();
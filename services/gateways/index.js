@@ -0,0 +1,66 @@
+/**
+ * REGISTRO DE GATEWAYS DE PAGAMENTO
+ * Cada arquivo desta pasta é um adaptador que valida o webhook do gateway
+ * e normaliza o payload em um pedido comum. Para adicionar um gateway,
+ * basta criar um novo módulo aqui - o nome da rota vem de adapter.name.
+ *
+ * adapter.redact(body) devolve o corpo sem segredos (token, hottok...) para
+ * ser guardado na inbox.
+ *
+ * Pedido normalizado (retorno de adapter.normalize):
+ * {
+ *   gateway, code, eventId, status, rawStatus,
+ *   customer: { fullName, email, document },
+ *   phone, amount, paymentUrl, planCode,
+ *   paymentMethod, dueDate,
+ *   attribution: { source, medium, campaign, content, affiliate },
+ *   items: [{ sku, name, quantity, amount, type }],
+ *   upsell, parentCode
+ * }
+ *
+ * status usa o vocabulário comum: approved, pending, declined, refunded,
+ * charged_back, cancelled, expired, in_mediation (null = sem tratamento)
+ *
+ * eventId: id da notificação quando o gateway envia (idempotência das
+ * reentregas), ou null.
+ *
+ * paymentMethod: pix, boleto ou credit_card. dueDate: vencimento do
+ * boleto quando o gateway informa (ISO), ou null. attribution: UTMs e
+ * afiliado da venda (campos ausentes = null). items: linhas do pedido,
+ * type main ou bump. upsell: compra de um clique após outra compra;
+ * parentCode: pedido principal quando o gateway informa (ex: order bump)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+
+const gateways = new Map();
+
+fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('.js') && file !== 'index.js')
+    .forEach(file => {
+        const adapter = require(path.join(__dirname, file));
+        gateways.set(adapter.name, adapter);
+        logger.debug(`💳 Gateway registrado: ${adapter.name} (${adapter.label})`);
+    });
+
+/**
+ * Obter adaptador pelo nome da rota (ex: perfect, hotmart)
+ */
+function getGateway(name) {
+    return gateways.get(name) || null;
+}
+
+/**
+ * Listar gateways registrados e se o segredo está configurado
+ */
+function listGateways() {
+    return Array.from(gateways.values()).map(adapter => ({
+        name: adapter.name,
+        label: adapter.label,
+        configured: adapter.isConfigured()
+    }));
+}
+
+module.exports = { getGateway, listGateways };
@@ -0,0 +1,104 @@
+/**
+ * ADAPTADOR KIWIFY
+ * Rota: /webhook/kiwify
+ * Segredo: KIWIFY_TOKEN (assinatura HMAC-SHA1 do corpo no parâmetro ?signature=)
+ */
+
+const securityService = require('../security');
+
+const STATUS_MAP = {
+    paid: 'approved',
+    approved: 'approved',
+    waiting_payment: 'pending',
+    refunded: 'refunded',
+    chargedback: 'charged_back',
+    canceled: 'cancelled',
+    cancelled: 'cancelled',
+    refused: 'declined'
+};
+
+const PAYMENT_TYPES = {
+    pix: 'pix',
+    boleto: 'boleto',
+    credit_card: 'credit_card'
+};
+
+class KiwifyGateway {
+    constructor() {
+        this.name = 'kiwify';
+        this.label = 'Kiwify';
+        this.token = process.env.KIWIFY_TOKEN || '';
+    }
+
+    isConfigured() {
+        return this.token.length > 0;
+    }
+
+    verify(req) {
+        if (!this.isConfigured()) {
+            return { valid: false, reason: 'not_configured' };
+        }
+
+        const signature = req.query?.signature;
+        if (!signature) {
+            return { valid: false, reason: 'missing_signature' };
+        }
+
+        const rawBody = req.rawBody || Buffer.from(JSON.stringify(req.body || {}));
+        return securityService.verifyHmac(rawBody, signature, this.token, 'sha1')
+            ? { valid: true, reason: 'signature' }
+            : { valid: false, reason: 'invalid_signature' };
+    }
+
+    /**
+     * Corpo guardado na inbox: a assinatura vem na query, não no corpo
+     */
+    redact(data) {
+        return data || {};
+    }
+
+    normalize(data) {
+        const customer = data.Customer || {};
+        const rawStatus = data.order_status;
+        const tracking = data.TrackingParameters || {};
+        const affiliate = (data.Commissions?.commissioned_stores || []).find(store => store.type === 'affiliate');
+
+        return {
+            gateway: this.name,
+            code: data.order_id,
+            eventId: null,
+            status: STATUS_MAP[rawStatus] || null,
+            rawStatus: rawStatus,
+            customer: {
+                fullName: customer.full_name || 'Cliente',
+                email: customer.email || null,
+                document: customer.CPF || customer.cnpj || null
+            },
+            phone: customer.mobile || '',
+            // Kiwify envia valores em centavos
+            amount: (parseInt(data.Commissions?.charge_amount) || 0) / 100,
+            paymentUrl: data.boleto_URL || data.pix_code || '',
+            planCode: data.Product?.product_id || null,
+            paymentMethod: PAYMENT_TYPES[data.payment_method] || 'pix',
+            dueDate: data.boleto_expiry_date || null,
+            attribution: {
+                source: tracking.utm_source || tracking.src || null,
+                medium: tracking.utm_medium || null,
+                campaign: tracking.utm_campaign || null,
+                content: tracking.utm_content || null,
+                affiliate: affiliate?.custom_name || affiliate?.email || null
+            },
+            items: [{
+                sku: data.Product?.product_id || null,
+                name: data.Product?.product_name || null,
+                quantity: 1,
+                amount: (parseInt(data.Commissions?.charge_amount) || 0) / 100,
+                type: 'main'
+            }],
+            upsell: false,
+            parentCode: null
+        };
+    }
+}
+
+module.exports = new KiwifyGateway();
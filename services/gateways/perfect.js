@@ -0,0 +1,125 @@
+/**
+ * ADAPTADOR PERFECT PAY
+ * Rota: /webhook/perfect
+ */
+
+const securityService = require('../security');
+
+// Status Perfect Pay já usam o vocabulário comum, exceto recusa do cartão
+const HANDLED_STATUSES = ['approved', 'pending', 'refunded', 'charged_back', 'cancelled', 'expired', 'in_mediation'];
+const DECLINED_STATUSES = ['rejected', 'checkout_error'];
+
+// payment_type_enum do Perfect Pay
+const PAYMENT_TYPES = {
+    1: 'credit_card',
+    2: 'boleto',
+    4: 'credit_card', // cartão recorrente
+    6: 'credit_card', // cartão upsell
+    7: 'pix'
+};
+
+class PerfectPayGateway {
+    constructor() {
+        this.name = 'perfect';
+        this.label = 'Perfect Pay';
+    }
+
+    isConfigured() {
+        return securityService.isPerfectPayConfigured();
+    }
+
+    /**
+     * Token no payload/header ou assinatura HMAC (ver SecurityService)
+     */
+    verify(req) {
+        return securityService.verifyPerfectPay(req);
+    }
+
+    /**
+     * Corpo sem o token (guardado na inbox)
+     */
+    redact(data) {
+        const { token, ...rest } = data || {};
+        return rest;
+    }
+
+    normalize(data) {
+        const status = data.sale_status_enum_key;
+        const customer = data.customer || {};
+        const metadata = data.metadata || {};
+
+        return {
+            gateway: this.name,
+            code: data.code,
+            eventId: null,
+            status: HANDLED_STATUSES.includes(status) ? status :
+                    DECLINED_STATUSES.includes(status) ? 'declined' : null,
+            rawStatus: status,
+            customer: {
+                fullName: customer.full_name || 'Cliente',
+                email: customer.email || null,
+                document: customer.identification_number || null
+            },
+            phone: (customer.phone_extension || '55') + (customer.phone_area_code || '') + (customer.phone_number || ''),
+            amount: parseFloat(data.sale_amount) || 0,
+            paymentUrl: data.billet_url || '',
+            planCode: data.plan?.code,
+            paymentMethod: this.detectPaymentMethod(data),
+            dueDate: data.billet_expiration_date || null,
+            attribution: {
+                source: metadata.utm_source || metadata.src || null,
+                medium: metadata.utm_medium || null,
+                campaign: metadata.utm_campaign || null,
+                content: metadata.utm_content || null,
+                affiliate: data.affiliate?.name || data.affiliate?.email || null
+            },
+            items: this.extractItems(data),
+            upsell: data.payment_type_enum === 6,
+            parentCode: null
+        };
+    }
+
+    /**
+     * Itens do pedido: plano principal + itens adicionais do plano (order bump)
+     * sale_amount é o total da venda (bumps inclusos): o plano principal
+     * fica com o total menos os bumps, em centavos
+     */
+    extractItems(data) {
+        const bumps = (data.plan_itens || []).map(item => ({
+            sku: item.code || null,
+            name: item.name || null,
+            quantity: parseInt(item.quantity) || 1,
+            amount: parseFloat(item.value ?? item.amount) || 0,
+            type: 'bump'
+        }));
+
+        const bumpsAmount = bumps.reduce((total, bump) => total + bump.amount, 0);
+        const mainAmount = Math.round(((parseFloat(data.sale_amount) || 0) - bumpsAmount) * 100) / 100;
+
+        return [{
+            sku: data.plan?.code || data.product?.code || null,
+            name: data.product?.name || data.plan?.name || null,
+            quantity: parseInt(data.plan?.quantity || data.quantity) || 1,
+            amount: Math.max(mainAmount, 0),
+            type: 'main'
+        }, ...bumps];
+    }
+
+    /**
+     * Detectar forma de pagamento
+     * Sem tipo informado, assume PIX (comportamento histórico)
+     */
+    detectPaymentMethod(data) {
+        if (PAYMENT_TYPES[data.payment_type_enum]) {
+            return PAYMENT_TYPES[data.payment_type_enum];
+        }
+
+        const typeKey = String(data.payment_type_enum_key || '').toLowerCase();
+        if (typeKey.includes('credit_card')) return 'credit_card';
+        if (typeKey === 'billet' || typeKey === 'boleto') return 'boleto';
+
+        return 'pix';
+    }
+}
+
+module.exports = new PerfectPayGateway();
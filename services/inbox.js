@@ -0,0 +1,262 @@
+/**
+ * CAIXA DE ENTRADA DE WEBHOOKS
+ * Guarda o corpo bruto de todo webhook recebido antes do processamento,
+ * com o resultado do processamento, permitindo reprocessar depois (replay)
+ */
+
+const database = require('../database/config');
+const logger = require('./logger');
+
+// Transição reservada sem resultado (processo caiu no meio) pode ser retomada
+const STALE_TRANSITION_MINUTES = 5;
+
+// Headers que não devem ser persistidos
+const SENSITIVE_HEADERS = [
+    'authorization', 'cookie', 'x-perfect-token', 'x-perfect-signature',
+    'x-hotmart-hottok', 'x-signature'
+];
+
+class InboxService {
+    /**
+     * Guardar webhook recebido - retorna o ID da entrada
+     * payload: corpo já sem segredos (ver adapter.redact dos gateways)
+     * Falha ao guardar não impede o processamento do webhook
+     */
+    async store(source, req, payload = req.body) {
+        try {
+            const headers = {};
+            for (const [name, value] of Object.entries(req.headers || {})) {
+                if (!SENSITIVE_HEADERS.includes(name)) {
+                    headers[name] = value;
+                }
+            }
+
+            const result = await database.query(`
+                INSERT INTO webhook_inbox (source, headers, payload, received_at, status)
+                VALUES ($1, $2, $3, NOW(), 'received')
+                RETURNING id
+            `, [source, JSON.stringify(headers), JSON.stringify(payload || {})]);
+
+            return result.rows[0].id;
+
+        } catch (error) {
+            logger.error(`❌ Erro ao guardar webhook ${source} na inbox: ${error.message}`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Marcar entrada como processada
+     */
+    async markProcessed(inboxId, response) {
+        await this.updateOutcome(inboxId, 'processed', null, response);
+    }
+
+    /**
+     * Marcar entrada como falha de processamento
+     */
+    async markFailed(inboxId, error) {
+        await this.updateOutcome(inboxId, 'failed', error.message, null);
+    }
+
+    /**
+     * Marcar entrada como rejeitada (não autorizada) - nunca será reprocessada
+     */
+    async markRejected(inboxId, reason) {
+        await this.updateOutcome(inboxId, 'rejected', reason, null);
+    }
+
+    /**
+     * Atualizar resultado do processamento
+     */
+    async updateOutcome(inboxId, status, errorMessage, response) {
+        if (!inboxId) return;
+
+        try {
+            await database.query(`
+                UPDATE webhook_inbox
+                SET status = $1,
+                    error_message = $2,
+                    response = $3,
+                    attempts = attempts + 1,
+                    processed_at = NOW()
+                WHERE id = $4
+            `, [status, errorMessage, response ? JSON.stringify(response) : null, inboxId]);
+
+        } catch (error) {
+            logger.error(`❌ Erro ao atualizar inbox ${inboxId}: ${error.message}`, error);
+        }
+    }
+
+    /**
+     * Obter entrada específica
+     */
+    async getEntry(inboxId) {
+        const result = await database.query('SELECT * FROM webhook_inbox WHERE id = $1', [inboxId]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Listar entradas recentes com filtros opcionais
+     */
+    async list({ source, status, limit = 100 } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (source) {
+            params.push(source);
+            conditions.push(`source = $${params.length}`);
+        }
+
+        if (status) {
+            params.push(status);
+            conditions.push(`status = $${params.length}`);
+        }
+
+        params.push(limit);
+
+        const result = await database.query(`
+            SELECT id, source, status, attempts, error_message, received_at, processed_at
+            FROM webhook_inbox
+            ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+            ORDER BY received_at DESC
+            LIMIT $${params.length}
+        `, params);
+
+        return result.rows;
+    }
+
+    /**
+     * Buscar entradas de um intervalo de tempo para replay
+     * Entradas rejeitadas nunca entram no replay
+     */
+    async findForReplay({ from, to, source, statuses = ['failed', 'received'], limit = 500 }) {
+        const params = [from, to, statuses];
+        let query = `
+            SELECT * FROM webhook_inbox
+            WHERE received_at >= $1 AND received_at <= $2
+              AND status = ANY($3)
+              AND status != 'rejected'
+        `;
+
+        if (source) {
+            params.push(source);
+            query += ` AND source = $${params.length}`;
+        }
+
+        params.push(limit);
+        query += ` ORDER BY received_at ASC LIMIT $${params.length}`;
+
+        const result = await database.query(query, params);
+        return result.rows;
+    }
+
+    /**
+     * Reivindicar transição de status de um pedido (idempotência)
+     * Mesma transição = mesmo id de evento do gateway ou, sem id, o mesmo
+     * status da última transição do pedido. Status que volta depois de outro
+     * (pending → approved → pending) é uma transição nova.
+     * Retorna { claimed, inProgress, transitionId, deliveryCount }:
+     * inProgress = primeira entrega ainda processando (não confirmar ao gateway)
+     */
+    async claimTransition(orderCode, status, eventId = null) {
+        return database.transaction(async client => {
+            // Entregas simultâneas do mesmo pedido passam uma de cada vez
+            await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`transition:${orderCode}`]);
+
+            const existing = await client.query(`
+                SELECT id, status, state,
+                       (state = 'processing' AND claimed_at < NOW() - INTERVAL '${STALE_TRANSITION_MINUTES} minutes') AS stale
+                FROM order_status_transitions
+                WHERE order_code = $1 AND ($2::VARCHAR IS NULL OR event_id = $2)
+                ORDER BY id DESC
+                LIMIT 1
+            `, [orderCode, eventId]);
+
+            const current = existing.rows[0];
+
+            if (current && (eventId || current.status === status)) {
+                const redelivery = await client.query(`
+                    UPDATE order_status_transitions
+                    SET delivery_count = delivery_count + 1,
+                        last_received_at = NOW(),
+                        claimed_at = CASE WHEN $2 THEN NOW() ELSE claimed_at END
+                    WHERE id = $1
+                    RETURNING delivery_count
+                `, [current.id, current.stale]);
+
+                return {
+                    claimed: current.stale,
+                    inProgress: current.state === 'processing' && !current.stale,
+                    transitionId: current.id,
+                    deliveryCount: parseInt(redelivery.rows[0].delivery_count)
+                };
+            }
+
+            const previous = await client.query(`
+                SELECT status FROM order_status_transitions
+                WHERE order_code = $1 AND state = 'completed'
+                ORDER BY id DESC
+                LIMIT 1
+            `, [orderCode]);
+
+            const inserted = await client.query(`
+                INSERT INTO order_status_transitions (order_code, status, previous_status, event_id, state)
+                VALUES ($1, $2, $3, $4, 'processing')
+                RETURNING id
+            `, [orderCode, status, previous.rows[0]?.status || null, eventId]);
+
+            return { claimed: true, inProgress: false, transitionId: inserted.rows[0].id, deliveryCount: 1 };
+        });
+    }
+
+    /**
+     * Transição processada: reentregas passam a ser confirmadas como duplicadas
+     */
+    async completeTransition(transitionId) {
+        await database.query(
+            "UPDATE order_status_transitions SET state = 'completed', completed_at = NOW() WHERE id = $1",
+            [transitionId]
+        );
+    }
+
+    /**
+     * Liberar transição quando o processamento falha,
+     * para que a próxima reentrega seja processada normalmente
+     */
+    async releaseTransition(transitionId) {
+        try {
+            await database.query(
+                "DELETE FROM order_status_transitions WHERE id = $1 AND state = 'processing'",
+                [transitionId]
+            );
+        } catch (error) {
+            logger.error(`❌ Erro ao liberar transição ${transitionId}: ${error.message}`, error);
+        }
+    }
+
+    /**
+     * Estatísticas da inbox
+     */
+    async getStats() {
+        const result = await database.query(`
+            SELECT source, status, COUNT(*) as count
+            FROM webhook_inbox
+            WHERE received_at >= NOW() - INTERVAL '24 hours'
+            GROUP BY source, status
+        `);
+
+        const stats = {};
+        result.rows.forEach(row => {
+            stats[row.source] = stats[row.source] || {};
+            stats[row.source][row.status] = parseInt(row.count);
+        });
+
+        return stats;
+    }
+}
+
+// Instância única do serviço
+const inboxService = new InboxService();
+
+module.exports = inboxService;
@@ -0,0 +1,344 @@
+/**
+ * REGISTRO DE INSTÂNCIAS EVOLUTION
+ * Instâncias do WhatsApp persistidas no banco (tabela instances), com a
+ * apikey criptografada (AES-256-GCM, chave derivada de INSTANCE_KEY_SECRET).
+ * Fonte única para o balanceamento e para o EvolutionService.
+ *
+ * Com a tabela vazia, a carga inicial vem de INSTANCES_SEED_FILE: arquivo JSON
+ * fora do repositório com [{ "name": "GABY01", "api_key": "..." }]. Sem ele,
+ * as instâncias são cadastradas pelo POST /instances (dashboard).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const database = require('../database/config');
+const logger = require('./logger');
+
+const CACHE_TTL_MS = 60 * 1000; // 1 minuto
+const CIPHER = 'aes-256-gcm';
+const INSTANCE_NAME_PATTERN = /^[A-Za-z0-9_-]{1,10}$/;
+
+class InstanceRegistry {
+    constructor() {
+        this.cache = []; // [{ name, apiKey, active, ... }]
+        this.cacheLoadedAt = 0;
+    }
+
+    /**
+     * Popular o registro na primeira execução (arquivo de carga inicial) e carregar o cache
+     */
+    async initialize() {
+        const existing = await database.query('SELECT COUNT(*) as count FROM instances');
+
+        if (parseInt(existing.rows[0].count) === 0) {
+            const seed = this.readSeedFile();
+
+            if (seed.length === 0) {
+                logger.warn('⚠️ Nenhuma instância cadastrada - cadastre pelo POST /instances ou configure INSTANCES_SEED_FILE');
+            } else {
+                await database.transaction(seed.map(instance => ({
+                    text: 'INSERT INTO instances (name, api_key_encrypted) VALUES ($1, $2) ON CONFLICT (name) DO NOTHING',
+                    params: [instance.name, this.encrypt(instance.api_key)]
+                })));
+
+                logger.info(`📱 Registro de instâncias populado com ${seed.length} instância(s) de ${process.env.INSTANCES_SEED_FILE}`);
+            }
+        }
+
+        await this.ensureCache();
+    }
+
+    /**
+     * Ler instâncias do arquivo de carga inicial (INSTANCES_SEED_FILE)
+     * Entradas sem nome válido ou sem api_key são ignoradas com log
+     */
+    readSeedFile() {
+        const file = process.env.INSTANCES_SEED_FILE;
+        if (!file) {
+            return [];
+        }
+
+        const entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (!Array.isArray(entries)) {
+            throw new Error(`INSTANCES_SEED_FILE deve conter uma lista de instâncias: ${file}`);
+        }
+
+        return entries.filter(entry => {
+            const valid = this.isValidName(entry?.name) && typeof entry.api_key === 'string' && entry.api_key.length > 0;
+            if (!valid) {
+                logger.warn(`⚠️ Entrada ignorada em INSTANCES_SEED_FILE: ${JSON.stringify(entry?.name ?? entry)}`);
+            }
+            return valid;
+        });
+    }
+
+    /**
+     * Chave de criptografia derivada do segredo configurado
+     */
+    getKey() {
+        const secret = process.env.INSTANCE_KEY_SECRET;
+
+        if (!secret) {
+            throw new Error('INSTANCE_KEY_SECRET não configurado - apikeys das instâncias não podem ser lidas');
+        }
+
+        return crypto.createHash('sha256').update(secret).digest();
+    }
+
+    /**
+     * Criptografar apikey: iv:tag:conteúdo em base64
+     */
+    encrypt(apiKey) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(CIPHER, this.getKey(), iv);
+        const encrypted = Buffer.concat([cipher.update(String(apiKey), 'utf8'), cipher.final()]);
+
+        return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+    }
+
+    decrypt(payload) {
+        const [iv, tag, encrypted] = String(payload).split(':').map(part => Buffer.from(part, 'base64'));
+        const decipher = crypto.createDecipheriv(CIPHER, this.getKey(), iv);
+        decipher.setAuthTag(tag);
+
+        return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+    }
+
+    /**
+     * Recarregar cache se expirado
+     * Instância com apikey ilegível (segredo trocado) fica de fora, com log
+     */
+    async ensureCache() {
+        if (Date.now() - this.cacheLoadedAt < CACHE_TTL_MS) {
+            return;
+        }
+
+        const result = await database.query('SELECT * FROM instances ORDER BY name');
+
+        this.cache = result.rows.reduce((instances, row) => {
+            try {
+                instances.push(this.toInstance(row, this.decrypt(row.api_key_encrypted)));
+            } catch (error) {
+                logger.error(`❌ Apikey da instância ${row.name} não pôde ser descriptografada: ${error.message}`);
+            }
+            return instances;
+        }, []);
+        this.cacheLoadedAt = Date.now();
+
+        logger.debug(`📱 Cache de instâncias recarregado: ${this.cache.length} instância(s)`);
+    }
+
+    /**
+     * Invalidar cache (após alterações no registro)
+     */
+    invalidateCache() {
+        this.cacheLoadedAt = 0;
+    }
+
+    toInstance(row, apiKey) {
+        return {
+            name: row.name,
+            apiKey: apiKey,
+            active: row.active,
+            description: row.description,
+            weight: parseFloat(row.weight),
+            daily_cap: row.daily_cap,
+            warmup_start_cap: row.warmup_start_cap,
+            warmup_growth_pct: parseFloat(row.warmup_growth_pct),
+            warmup_started_at: row.warmup_started_at,
+            created_at: row.created_at,
+            updated_at: row.updated_at
+        };
+    }
+
+    /**
+     * Todas as instâncias (com apikey, uso interno)
+     */
+    async getAll() {
+        await this.ensureCache();
+        return this.cache;
+    }
+
+    /**
+     * Instâncias habilitadas para receber leads
+     */
+    async getActive() {
+        const instances = await this.getAll();
+        return instances.filter(instance => instance.active);
+    }
+
+    async get(name) {
+        const instances = await this.getAll();
+        return instances.find(instance => instance.name === name) || null;
+    }
+
+    /**
+     * Listagem para API/dashboard: apikey nunca sai, só os últimos dígitos
+     */
+    async list() {
+        const instances = await this.getAll();
+
+        return instances.map(({ apiKey, ...instance }) => ({
+            ...instance,
+            api_key_hint: `••••${apiKey.slice(-4)}`
+        }));
+    }
+
+    isValidName(name) {
+        return INSTANCE_NAME_PATTERN.test(name || '');
+    }
+
+    /**
+     * Ler campos de capacidade do corpo da requisição (só os informados)
+     * Retorna { fields, error }; daily_cap/warmup_start_cap null removem o limite
+     */
+    parseCapacity(body) {
+        const fields = {};
+
+        if (body.weight !== undefined) {
+            const weight = parseFloat(body.weight);
+            if (!(weight > 0 && weight <= 100)) {
+                return { fields, error: 'weight deve ser maior que 0 e até 100' };
+            }
+            fields.weight = weight;
+        }
+
+        for (const [key, field] of [['daily_cap', 'dailyCap'], ['warmup_start_cap', 'warmupStartCap']]) {
+            if (body[key] === undefined) {
+                continue;
+            }
+            if (body[key] === null || body[key] === '') {
+                fields[field] = null;
+                continue;
+            }
+            const value = Number(body[key]);
+            if (!Number.isInteger(value) || value <= 0) {
+                return { fields, error: `${key} deve ser um inteiro positivo ou null` };
+            }
+            fields[field] = value;
+        }
+
+        if (body.warmup_growth_pct !== undefined) {
+            const growth = parseFloat(body.warmup_growth_pct);
+            if (!(growth >= 0 && growth <= 100)) {
+                return { fields, error: 'warmup_growth_pct deve estar entre 0 e 100' };
+            }
+            fields.warmupGrowthPct = growth;
+        }
+
+        return { fields, error: null };
+    }
+
+    /**
+     * Cadastrar instância
+     * Com warmupStartCap, o aquecimento começa no dia do cadastro
+     */
+    async create({ name, apiKey, description = null, active = true, weight = 1, dailyCap = null, warmupStartCap = null, warmupGrowthPct = 20 }) {
+        const result = await database.query(`
+            INSERT INTO instances
+            (name, api_key_encrypted, description, active, weight, daily_cap, warmup_start_cap, warmup_growth_pct, warmup_started_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CASE WHEN $7::INTEGER IS NULL THEN NULL ELSE NOW() END)
+            RETURNING *
+        `, [name, this.encrypt(apiKey), description, active, weight, dailyCap, warmupStartCap, warmupGrowthPct]);
+
+        this.invalidateCache();
+
+        logger.info(`📱 Instância cadastrada: ${name}`);
+        return this.withoutKey(result.rows[0]);
+    }
+
+    /**
+     * Atualizar instância (apikey só é regravada quando informada)
+     * dailyCap e warmupStartCap aceitam null para remover o limite;
+     * informar warmupStartCap reinicia o aquecimento a partir de hoje
+     */
+    async update(name, { apiKey, description, active, weight, dailyCap, warmupStartCap, warmupGrowthPct }) {
+        const result = await database.query(`
+            UPDATE instances
+            SET api_key_encrypted = COALESCE($2, api_key_encrypted),
+                description = COALESCE($3, description),
+                active = COALESCE($4, active),
+                weight = COALESCE($5, weight),
+                daily_cap = CASE WHEN $6 THEN $7 ELSE daily_cap END,
+                warmup_start_cap = CASE WHEN $8 THEN $9 ELSE warmup_start_cap END,
+                warmup_started_at = CASE WHEN $8 THEN (CASE WHEN $9::INTEGER IS NULL THEN NULL ELSE NOW() END) ELSE warmup_started_at END,
+                warmup_growth_pct = COALESCE($10, warmup_growth_pct),
+                updated_at = NOW()
+            WHERE name = $1
+            RETURNING *
+        `, [
+            name,
+            apiKey ? this.encrypt(apiKey) : null,
+            description ?? null,
+            active ?? null,
+            weight ?? null,
+            dailyCap !== undefined,
+            dailyCap ?? null,
+            warmupStartCap !== undefined,
+            warmupStartCap ?? null,
+            warmupGrowthPct ?? null
+        ]);
+
+        this.invalidateCache();
+
+        if (result.rows.length === 0) {
+            return null;
+        }
+
+        logger.info(`📱 Instância atualizada: ${name}`);
+        return this.withoutKey(result.rows[0]);
+    }
+
+    withoutKey(row) {
+        const { api_key_encrypted, ...instance } = row;
+        return instance;
+    }
+
+    /**
+     * Registrar resultado do health check
+     * offline_since guarda o início da queda e é limpo quando a instância volta
+     */
+    async recordHealth(name, online) {
+        try {
+            await database.query(`
+                UPDATE instances
+                SET offline_since = CASE WHEN $2 THEN NULL ELSE COALESCE(offline_since, NOW()) END
+                WHERE name = $1
+            `, [name, online]);
+
+        } catch (error) {
+            logger.error(`❌ Erro ao registrar saúde da instância ${name}: ${error.message}`, error);
+        }
+    }
+
+    /**
+     * Instâncias offline há mais de N minutos (consulta direta, sem cache)
+     */
+    async getOfflineSince(minutes) {
+        const result = await database.query(`
+            SELECT name, offline_since FROM instances
+            WHERE offline_since IS NOT NULL
+              AND offline_since <= NOW() - ($1 || ' minutes')::INTERVAL
+            ORDER BY offline_since
+        `, [minutes]);
+
+        return result.rows;
+    }
+
+    /**
+     * Remover instância do registro
+     * Leads já atribuídos mantêm o nome da instância no histórico
+     */
+    async remove(name) {
+        const result = await database.query('DELETE FROM instances WHERE name = $1', [name]);
+        this.invalidateCache();
+
+        logger.info(`🗑️ Instância removida: ${name}`);
+        return result.rowCount > 0;
+    }
+}
+
+// Instância única do serviço
+const instanceRegistry = new InstanceRegistry();
+
+module.exports = instanceRegistry;
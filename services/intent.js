@@ -0,0 +1,245 @@
+/**
+ * INTENÇÃO DAS RESPOSTAS DO CLIENTE
+ * Classificador por regras: léxicos de palavras-chave e /regex/ por produto
+ * ('*' vale para todos), aplicados ao texto sem acento e em minúsculas.
+ * Produto específico vem antes do '*'; dentro de cada um, maior prioridade.
+ *
+ * Ação da intenção detectada (action):
+ * - branch:  envia intencao_<intent> ao N8N sem avançar o funil (padrão)
+ * - advance: segue o funil normalmente, só marcando a intenção no payload
+ */
+
+const database = require('../database/config');
+const logger = require('./logger');
+
+const ANY = '*';
+const ACTIONS = ['advance', 'branch'];
+const INTENT_NAME_PATTERN = /^[a-z0-9_]{1,30}$/;
+const MAX_PATTERNS = 50;
+const MAX_PATTERN_LENGTH = 100; // limita regex cadastrada (backtracking catastrófico)
+const CACHE_TTL_MS = 60 * 1000; // 1 minuto
+
+// Léxicos cadastrados na primeira execução (tabela vazia)
+const INITIAL_LEXICONS = [
+    {
+        intent: 'cancelamento',
+        priority: 30,
+        patterns: ['cancelar', 'cancela', 'cancelamento', 'desistir', 'desisti', 'reembolso', 'estorno', 'nao quero mais']
+    },
+    {
+        intent: 'pagamento_informado',
+        priority: 20,
+        patterns: ['ja paguei', 'paguei', 'comprovante', 'pagamento feito', 'ja fiz o pagamento', 'ja fiz o pix']
+    },
+    {
+        intent: 'duvida_valor',
+        priority: 10,
+        patterns: ['qual o valor', 'qual valor', 'quanto custa', 'quanto e', '/\\bpreco\\b/', '/\\bvalor\\b.*\\?/']
+    }
+];
+
+class IntentService {
+    constructor() {
+        this.any = ANY;
+        this.cache = new Map(); // { productCode: [léxicos compilados, por prioridade] }
+        this.cacheLoadedAt = 0;
+    }
+
+    /**
+     * Popular léxicos iniciais com a tabela vazia
+     */
+    async initialize() {
+        const existing = await database.query('SELECT COUNT(*) as count FROM intent_lexicons');
+
+        if (parseInt(existing.rows[0].count) === 0) {
+            await database.transaction(INITIAL_LEXICONS.map(lexicon => ({
+                text: `INSERT INTO intent_lexicons (product_code, intent, patterns, priority)
+                       VALUES ($1, $2, $3, $4) ON CONFLICT (product_code, intent) DO NOTHING`,
+                params: [ANY, lexicon.intent, JSON.stringify(lexicon.patterns), lexicon.priority]
+            })));
+
+            logger.info(`🧭 Léxicos de intenção populados com ${INITIAL_LEXICONS.length} intenção(ões)`);
+        }
+    }
+
+    /**
+     * Texto comparável: minúsculo, sem acento e com espaços simples
+     */
+    normalize(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Compilar padrão: /regex/ sem acentos (o texto comparado já vem
+     * normalizado), palavra-chave com limite de palavra
+     */
+    compile(pattern) {
+        const regex = /^\/(.+)\/$/.exec(pattern);
+        if (regex) {
+            const body = regex[1].normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+            return new RegExp(body, 'i');
+        }
+
+        const keyword = this.normalize(pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(^|[^a-z0-9])${keyword}($|[^a-z0-9])`);
+    }
+
+    /**
+     * Recarregar cache se expirado
+     * Padrão inválido gravado direto no banco é ignorado com log
+     */
+    async ensureCache() {
+        if (Date.now() - this.cacheLoadedAt < CACHE_TTL_MS) {
+            return;
+        }
+
+        const lexicons = await database.query(`
+            SELECT product_code, intent, patterns, action, priority
+            FROM intent_lexicons
+            WHERE active = true
+            ORDER BY product_code, priority DESC, intent
+        `);
+
+        this.cache = new Map();
+        lexicons.rows.forEach(row => {
+            const matchers = [];
+            row.patterns.forEach(pattern => {
+                try {
+                    matchers.push({ pattern: pattern, regex: this.compile(pattern) });
+                } catch (error) {
+                    logger.error(`❌ Padrão inválido na intenção ${row.product_code}/${row.intent}: ${pattern}`);
+                }
+            });
+
+            if (!this.cache.has(row.product_code)) {
+                this.cache.set(row.product_code, []);
+            }
+            this.cache.get(row.product_code).push({ ...row, matchers });
+        });
+        this.cacheLoadedAt = Date.now();
+    }
+
+    /**
+     * Evento enviado ao N8N quando a intenção desvia o funil
+     */
+    getEventType(intent) {
+        return `intencao_${intent}`;
+    }
+
+    /**
+     * Classificar mensagem do cliente
+     * Retorna { intent, action, event_type, matched } ou null (sem intenção)
+     */
+    async classify(productCode, messageContent) {
+        try {
+            await this.ensureCache();
+
+            const text = this.normalize(messageContent);
+            const lexicons = [...(this.cache.get(productCode) || []), ...(this.cache.get(ANY) || [])];
+
+            for (const lexicon of lexicons) {
+                const matcher = lexicon.matchers.find(({ regex }) => regex.test(text));
+                if (matcher) {
+                    return {
+                        intent: lexicon.intent,
+                        action: lexicon.action,
+                        event_type: this.getEventType(lexicon.intent),
+                        matched: matcher.pattern
+                    };
+                }
+            }
+
+        } catch (error) {
+            logger.error(`❌ Erro ao classificar intenção (${productCode}): ${error.message}`, error);
+        }
+
+        return null;
+    }
+
+    /**
+     * Listar léxicos cadastrados
+     */
+    async listLexicons() {
+        const lexicons = await database.query(`
+            SELECT product_code, intent, patterns, action, priority, active, updated_at
+            FROM intent_lexicons
+            ORDER BY product_code, priority DESC, intent
+        `);
+
+        return lexicons.rows.map(lexicon => ({ ...lexicon, event_type: this.getEventType(lexicon.intent) }));
+    }
+
+    /**
+     * Validar léxico informado - retorna mensagem de erro ou null
+     */
+    validate(intent, { patterns, action, priority }) {
+        if (!INTENT_NAME_PATTERN.test(intent || '')) {
+            return 'Intenção deve ter até 30 caracteres a-z, 0-9 ou _';
+        }
+
+        if (!Array.isArray(patterns) || patterns.length === 0 || patterns.length > MAX_PATTERNS) {
+            return `Léxico deve ter de 1 a ${MAX_PATTERNS} padrões`;
+        }
+
+        for (const pattern of patterns) {
+            if (typeof pattern !== 'string' || !pattern.trim()) {
+                return 'Padrões devem ser textos não vazios';
+            }
+            if (pattern.trim().length > MAX_PATTERN_LENGTH) {
+                return `Padrões devem ter até ${MAX_PATTERN_LENGTH} caracteres`;
+            }
+            try {
+                this.compile(pattern);
+            } catch (error) {
+                return `Regex inválida: ${pattern}`;
+            }
+        }
+
+        if (action !== undefined && !ACTIONS.includes(action)) {
+            return `action deve ser ${ACTIONS.join(' ou ')}`;
+        }
+
+        if (priority !== undefined && !Number.isInteger(priority)) {
+            return 'priority deve ser um número inteiro';
+        }
+
+        return null;
+    }
+
+    /**
+     * Criar ou substituir léxico de uma intenção
+     */
+    async setLexicon(productCode, intent, { patterns, action = 'branch', priority = 0 }) {
+        await database.query(`
+            INSERT INTO intent_lexicons (product_code, intent, patterns, action, priority)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (product_code, intent)
+            DO UPDATE SET patterns = $3, action = $4, priority = $5, active = true, updated_at = NOW()
+        `, [productCode, intent, JSON.stringify(patterns.map(pattern => pattern.trim())), action, priority]);
+
+        this.cacheLoadedAt = 0;
+        logger.info(`🧭 Intenção ${productCode}/${intent} atualizada: ${patterns.length} padrão(ões), ${action}`);
+    }
+
+    /**
+     * Remover léxico
+     */
+    async deleteLexicon(productCode, intent) {
+        const result = await database.query(
+            'DELETE FROM intent_lexicons WHERE product_code = $1 AND intent = $2',
+            [productCode, intent]
+        );
+        this.cacheLoadedAt = 0;
+        return result.rowCount > 0;
+    }
+}
+
+// Instância única do serviço
+const intentService = new IntentService();
+
+module.exports = intentService;
@@ -0,0 +1,154 @@
+/**
+ * ITENS DE PEDIDO
+ * Linhas de cada pedido (produto principal, order bumps e upsells)
+ * vinculadas à conversa do funil
+ */
+
+const database = require('../database/config');
+const logger = require('./logger');
+
+// Status de conversa que representam compra paga
+const PAID_STATUSES = database.paidConversationStatuses;
+
+class OrderService {
+    /**
+     * Gravar itens do pedido na conversa
+     * Sem conversationId, usa a conversa do próprio pedido. itemType
+     * sobrescreve o tipo dos itens (ex: 'upsell' ao anexar em outra conversa)
+     */
+    async saveItems(order, conversationId = null, itemType = null) {
+        const items = (order.items || []).filter(item => item.sku || item.name);
+
+        if (items.length === 0) {
+            return 0;
+        }
+
+        // Pedido anexado a outra conversa: o produto do catálogo é o do próprio pedido
+        const linked = Boolean(conversationId);
+
+        try {
+            if (!conversationId) {
+                const conversation = await database.query(
+                    'SELECT id FROM conversations WHERE order_code = $1',
+                    [order.code]
+                );
+
+                if (conversation.rows.length === 0) {
+                    return 0;
+                }
+                conversationId = conversation.rows[0].id;
+            }
+
+            let saved = 0;
+            for (const item of items) {
+                const type = itemType || item.type || 'main';
+                const result = await database.query(`
+                    INSERT INTO order_items
+                    (conversation_id, order_code, sku, name, product, quantity, amount, item_type)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                    ON CONFLICT (order_code, sku) DO NOTHING
+                `, [
+                    conversationId,
+                    order.code,
+                    item.sku || item.name,
+                    item.name,
+                    type === 'main' || linked ? order.product : null,
+                    item.quantity || 1,
+                    item.amount || 0,
+                    type
+                ]);
+                saved += result.rowCount;
+            }
+
+            return saved;
+
+        } catch (error) {
+            logger.error(`❌ Erro ao gravar itens do pedido ${order.code}: ${error.message}`, error);
+            return 0;
+        }
+    }
+
+    /**
+     * Itens gravados de uma conversa (pedido original + adicionais)
+     */
+    async getItems(conversationId) {
+        const result = await database.query(`
+            SELECT order_code, sku, name, product, quantity, amount, item_type, created_at
+            FROM order_items
+            WHERE conversation_id = $1
+            ORDER BY created_at, id
+        `, [conversationId]);
+
+        return result.rows;
+    }
+
+    /**
+     * Lista "itens" do payload N8N a partir do pedido normalizado
+     */
+    fromOrder(order) {
+        return (order.items || []).map(item => ({
+            codigo: item.sku,
+            nome: item.name,
+            quantidade: item.quantity || 1,
+            valor: item.amount || 0,
+            tipo: item.type || 'main'
+        }));
+    }
+
+    /**
+     * Lista "itens" do payload N8N a partir dos itens gravados da conversa
+     */
+    async getN8NItems(conversationId) {
+        try {
+            const items = await this.getItems(conversationId);
+
+            return items.map(item => ({
+                codigo: item.sku,
+                nome: item.name,
+                quantidade: item.quantity,
+                valor: parseFloat(item.amount),
+                tipo: item.item_type
+            }));
+
+        } catch (error) {
+            logger.error(`❌ Erro ao carregar itens da conversa ${conversationId}: ${error.message}`, error);
+            return [];
+        }
+    }
+
+    /**
+     * Conversa original de um upsell/order bump aprovado
+     * Usa o pedido principal informado pelo gateway; sem ele, para upsell de
+     * um clique, a compra paga mais recente do cliente dentro da janela
+     */
+    async findParentConversation(order, windowMinutes) {
+        if (order.parentCode) {
+            const parent = await database.query(
+                'SELECT * FROM conversations WHERE order_code = $1',
+                [order.parentCode]
+            );
+            return parent.rows[0] || null;
+        }
+
+        if (!order.upsell || !order.customerId) {
+            return null;
+        }
+
+        const parent = await database.query(`
+            SELECT * FROM conversations
+            WHERE customer_id = $1
+              AND order_code != $2
+              AND status = ANY($3)
+              AND updated_at >= NOW() - ($4 || ' minutes')::INTERVAL
+            ORDER BY updated_at DESC
+            LIMIT 1
+        `, [order.customerId, order.code, PAID_STATUSES, windowMinutes]);
+
+        return parent.rows[0] || null;
+    }
+}
+
+// Instância única do serviço
+const orderService = new OrderService();
+
+module.exports = orderService;
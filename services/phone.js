@@ -0,0 +1,245 @@
+/**
+ * NORMALIZAÇÃO DE TELEFONES
+ * Implementação única usada por webhooks, fila, banco e Evolution:
+ * parsing E.164, regras do nono dígito brasileiro e formato JID do WhatsApp.
+ *
+ * Formato armazenado: dígitos E.164 sem o "+" (ex: 5511987654321)
+ */
+
+const logger = require('./logger');
+
+const BRAZIL_CODE = '55';
+const JID_SUFFIX = '@s.whatsapp.net';
+
+// Domínios de JID que carregam o telefone (@lid, grupos e broadcast não)
+const PHONE_JID_DOMAINS = ['s.whatsapp.net', 'c.us'];
+
+// DDDs brasileiros em uso (Anatel)
+const BRAZIL_AREA_CODES = new Set([
+    '11', '12', '13', '14', '15', '16', '17', '18', '19',
+    '21', '22', '24', '27', '28',
+    '31', '32', '33', '34', '35', '37', '38',
+    '41', '42', '43', '44', '45', '46', '47', '48', '49',
+    '51', '53', '54', '55',
+    '61', '62', '63', '64', '65', '66', '67', '68', '69',
+    '71', '73', '74', '75', '77', '79',
+    '81', '82', '83', '84', '85', '86', '87', '88', '89',
+    '91', '92', '93', '94', '95', '96', '97', '98', '99'
+]);
+
+// Códigos de país com 1 e 2 dígitos (ITU-T E.164); os demais têm 3
+const ONE_DIGIT_COUNTRY_CODES = new Set(['1', '7']);
+const TWO_DIGIT_COUNTRY_CODES = new Set([
+    '20', '27', '30', '31', '32', '33', '34', '36', '39', '40', '41', '43', '44', '45', '46',
+    '47', '48', '49', '51', '52', '53', '54', '55', '56', '57', '58', '60', '61', '62', '63',
+    '64', '65', '66', '81', '82', '84', '86', '90', '91', '92', '93', '94', '95', '98'
+]);
+
+// Limites de tamanho E.164 (código do país + número nacional)
+const E164_MIN_LENGTH = 8;
+const E164_MAX_LENGTH = 15;
+
+class PhoneService {
+    /**
+     * Interpretar telefone em qualquer formato
+     * Retorna { valid, e164, digits, countryCode, nationalNumber, areaCode,
+     *           isMobile, reason }
+     *
+     * Sem "+"/"00", números com 10-11 dígitos e DDD válido são tratados como
+     * brasileiros sem o 55. Com options.international (ex: JID), os dígitos
+     * já são tratados como internacionais.
+     */
+    parse(input, options = {}) {
+        const raw = input === null || input === undefined ? '' : String(input).trim();
+        let digits = raw.replace(/\D/g, '');
+
+        if (!digits) {
+            return this.invalid(raw, digits, 'empty');
+        }
+
+        const explicitInternational = raw.startsWith('+') || digits.startsWith('00');
+        if (digits.startsWith('00')) {
+            digits = digits.substring(2);
+        }
+
+        if (!explicitInternational && !options.international) {
+            const national = this.parseBrazilianNational(digits);
+            if (national) {
+                return national;
+            }
+        }
+
+        return this.parseInternational(digits, raw);
+    }
+
+    /**
+     * Número brasileiro sem código do país
+     * Aceita prefixo de tronco (0) e código de operadora (0XX + DDD)
+     */
+    parseBrazilianNational(digits) {
+        let national = digits;
+
+        if (national.startsWith('0')) {
+            national = national.substring(1);
+            // 0 + operadora (2 dígitos) + DDD + número
+            if (national.length === 12 || national.length === 13) {
+                national = national.substring(2);
+            }
+        }
+
+        if (national.length !== 10 && national.length !== 11) {
+            return null;
+        }
+
+        const result = this.parseBrazilian(national);
+        return result.valid ? result : null;
+    }
+
+    /**
+     * Número com código do país (sem "+")
+     */
+    parseInternational(digits, raw) {
+        if (digits.startsWith(BRAZIL_CODE)) {
+            const result = this.parseBrazilian(digits.substring(2));
+            return result.valid ? result : this.invalid(raw, digits, result.reason);
+        }
+
+        if (digits.length < E164_MIN_LENGTH || digits.length > E164_MAX_LENGTH) {
+            return this.invalid(raw, digits, 'invalid_length');
+        }
+
+        const countryCode = this.getCountryCode(digits);
+
+        return {
+            valid: true,
+            e164: `+${digits}`,
+            digits: digits,
+            countryCode: countryCode,
+            nationalNumber: digits.substring(countryCode.length),
+            areaCode: null,
+            isMobile: null,
+            reason: null
+        };
+    }
+
+    /**
+     * Número brasileiro a partir do DDD (DDD + 8 ou 9 dígitos)
+     * Regras do nono dígito:
+     * - celular tem 9 dígitos começando com 9
+     * - celular antigo com 8 dígitos (6-9 no início) recebe o 9 na frente
+     * - fixo tem 8 dígitos começando com 2-5
+     * - nono dígito duplicado (99 + 8 dígitos) perde um 9
+     */
+    parseBrazilian(national) {
+        const areaCode = national.substring(0, 2);
+        let subscriber = national.substring(2);
+
+        if (!BRAZIL_AREA_CODES.has(areaCode)) {
+            return this.invalid(national, BRAZIL_CODE + national, 'invalid_area_code');
+        }
+
+        if (subscriber.length === 10 && subscriber.startsWith('99')) {
+            subscriber = subscriber.substring(1);
+        }
+
+        let isMobile;
+        if (subscriber.length === 9 && subscriber.startsWith('9')) {
+            isMobile = true;
+        } else if (subscriber.length === 8 && /^[6-9]/.test(subscriber)) {
+            subscriber = '9' + subscriber;
+            isMobile = true;
+        } else if (subscriber.length === 8 && /^[2-5]/.test(subscriber)) {
+            isMobile = false;
+        } else {
+            return this.invalid(national, BRAZIL_CODE + national, 'invalid_subscriber_number');
+        }
+
+        const digits = BRAZIL_CODE + areaCode + subscriber;
+
+        return {
+            valid: true,
+            e164: `+${digits}`,
+            digits: digits,
+            countryCode: BRAZIL_CODE,
+            nationalNumber: areaCode + subscriber,
+            areaCode: areaCode,
+            isMobile: isMobile,
+            reason: null
+        };
+    }
+
+    /**
+     * Código do país pelo prefixo (1, 2 ou 3 dígitos)
+     */
+    getCountryCode(digits) {
+        if (ONE_DIGIT_COUNTRY_CODES.has(digits.substring(0, 1))) {
+            return digits.substring(0, 1);
+        }
+        if (TWO_DIGIT_COUNTRY_CODES.has(digits.substring(0, 2))) {
+            return digits.substring(0, 2);
+        }
+        return digits.substring(0, 3);
+    }
+
+    invalid(raw, digits, reason) {
+        return {
+            valid: false,
+            e164: null,
+            digits: digits,
+            countryCode: null,
+            nationalNumber: null,
+            areaCode: null,
+            isMobile: null,
+            reason: reason
+        };
+    }
+
+    /**
+     * Telefone no formato armazenado (dígitos E.164 sem "+")
+     * Números inválidos voltam apenas com os dígitos, para não perder o dado
+     */
+    normalize(input, options = {}) {
+        if (!input) {
+            return input;
+        }
+
+        const result = this.parse(input, options);
+
+        if (!result.valid) {
+            logger.debug(`⚠️ Telefone inválido (${result.reason}): "${input}"`);
+        }
+
+        return result.digits;
+    }
+
+    /**
+     * Telefone a partir de um JID do WhatsApp (5511987654321@s.whatsapp.net)
+     * Remove sufixo de dispositivo (:12) e domínio; JIDs já são internacionais
+     * JID sem telefone (@lid, grupo, broadcast) retorna null
+     */
+    fromJid(jid) {
+        if (!jid) {
+            return jid;
+        }
+
+        const [user, domain] = String(jid).split('@');
+        if (domain !== undefined && !PHONE_JID_DOMAINS.includes(domain)) {
+            return null;
+        }
+
+        return this.normalize(user.split(':')[0], { international: true });
+    }
+
+    /**
+     * JID do WhatsApp para um telefone
+     */
+    toJid(phone) {
+        const digits = this.normalize(phone);
+        return digits ? `${digits}${JID_SUFFIX}` : null;
+    }
+}
+
+// Instância única do serviço
+const phoneService = new PhoneService();
+
+module.exports = phoneService;
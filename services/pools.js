@@ -0,0 +1,186 @@
+/**
+ * POOLS DE INSTÂNCIAS POR PRODUTO
+ * Produto com pool (products.pool_name) recebe novos leads só nas instâncias
+ * do pool (números com foto/nome do produto). Sem pool, o lead vai para o
+ * grupo compartilhado: instâncias que não pertencem a nenhum pool.
+ *
+ * Política quando o pool está esgotado ou offline (fallback_policy):
+ * - shared: grupo compartilhado (padrão)
+ * - pool:   outro pool (fallback_pool), que segue a própria política
+ * - none:   sem fallback - alerta e o webhook falha para replay
+ */
+
+const database = require('../database/config');
+const logger = require('./logger');
+
+const CACHE_TTL_MS = 60 * 1000; // 1 minuto
+const POOL_NAME_PATTERN = /^[a-z0-9_-]{1,30}$/;
+const FALLBACK_POLICIES = ['shared', 'pool', 'none'];
+
+class InstancePoolService {
+    constructor() {
+        this.pools = new Map(); // { name: { name, fallback_policy, fallback_pool, members: [] } }
+        this.productPools = new Map(); // { productCode: poolName }
+        this.cacheLoadedAt = 0;
+    }
+
+    /**
+     * Recarregar cache de pools se expirado
+     */
+    async ensureCache() {
+        if (Date.now() - this.cacheLoadedAt < CACHE_TTL_MS) {
+            return;
+        }
+
+        const [pools, products] = await Promise.all([
+            database.query(`
+                SELECT p.*,
+                       COALESCE(array_agg(m.instance_name ORDER BY m.instance_name)
+                                FILTER (WHERE m.instance_name IS NOT NULL), '{}') as members
+                FROM instance_pools p
+                LEFT JOIN instance_pool_members m ON m.pool_name = p.name
+                GROUP BY p.name
+                ORDER BY p.name
+            `),
+            database.query('SELECT code, pool_name FROM products WHERE pool_name IS NOT NULL')
+        ]);
+
+        this.pools = new Map(pools.rows.map(pool => [pool.name, pool]));
+        this.productPools = new Map(products.rows.map(row => [row.code, row.pool_name]));
+        this.cacheLoadedAt = Date.now();
+
+        logger.debug(`🏊 Cache de pools recarregado: ${this.pools.size} pool(s)`);
+    }
+
+    /**
+     * Invalidar cache (após alterações em pools ou produtos)
+     */
+    invalidateCache() {
+        this.cacheLoadedAt = 0;
+    }
+
+    isValidName(name) {
+        return POOL_NAME_PATTERN.test(name || '');
+    }
+
+    isValidPolicy(policy) {
+        return FALLBACK_POLICIES.includes(policy);
+    }
+
+    /**
+     * Pool de um produto (null = grupo compartilhado)
+     */
+    async getPoolForProduct(productCode) {
+        await this.ensureCache();
+
+        const poolName = productCode ? this.productPools.get(productCode) : null;
+        return poolName ? this.pools.get(poolName) || null : null;
+    }
+
+    async getPool(name) {
+        await this.ensureCache();
+        return this.pools.get(name) || null;
+    }
+
+    /**
+     * Instâncias que pertencem a algum pool
+     */
+    async getPooledInstances() {
+        await this.ensureCache();
+
+        const pooled = new Set();
+        this.pools.forEach(pool => pool.members.forEach(member => pooled.add(member)));
+        return pooled;
+    }
+
+    /**
+     * Listar pools com membros e produtos vinculados
+     */
+    async list() {
+        await this.ensureCache();
+
+        return [...this.pools.values()].map(pool => ({
+            ...pool,
+            products: [...this.productPools.entries()]
+                .filter(([, poolName]) => poolName === pool.name)
+                .map(([productCode]) => productCode)
+        }));
+    }
+
+    /**
+     * Criar pool
+     */
+    async create({ name, description = null, fallbackPolicy = 'shared', fallbackPool = null, members = [] }) {
+        await database.transaction([
+            {
+                text: `INSERT INTO instance_pools (name, description, fallback_policy, fallback_pool)
+                       VALUES ($1, $2, $3, $4)`,
+                params: [name, description, fallbackPolicy, fallbackPolicy === 'pool' ? fallbackPool : null]
+            },
+            ...this.memberQueries(name, members)
+        ]);
+
+        this.invalidateCache();
+
+        logger.info(`🏊 Pool criado: ${name} (${members.length} instância(s), fallback ${fallbackPolicy})`);
+        return this.getPool(name);
+    }
+
+    /**
+     * Atualizar pool; members, quando informado, substitui a lista inteira
+     */
+    async update(name, { description, fallbackPolicy, fallbackPool, members }) {
+        const queries = [{
+            text: `UPDATE instance_pools
+                   SET description = COALESCE($2, description),
+                       fallback_policy = COALESCE($3, fallback_policy),
+                       fallback_pool = CASE WHEN COALESCE($3, fallback_policy) = 'pool' THEN COALESCE($4, fallback_pool) ELSE NULL END,
+                       updated_at = NOW()
+                   WHERE name = $1`,
+            params: [name, description ?? null, fallbackPolicy ?? null, fallbackPool ?? null]
+        }];
+
+        if (Array.isArray(members)) {
+            queries.push({ text: 'DELETE FROM instance_pool_members WHERE pool_name = $1', params: [name] });
+            queries.push(...this.memberQueries(name, members));
+        }
+
+        const [updated] = await database.transaction(queries);
+        this.invalidateCache();
+
+        if (updated.rowCount === 0) {
+            return null;
+        }
+
+        logger.info(`🏊 Pool atualizado: ${name}`);
+        return this.getPool(name);
+    }
+
+    memberQueries(poolName, members) {
+        return members.map(instanceName => ({
+            text: 'INSERT INTO instance_pool_members (pool_name, instance_name) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+            params: [poolName, instanceName]
+        }));
+    }
+
+    /**
+     * Remover pool: produtos vinculados voltam ao grupo compartilhado
+     */
+    async remove(name) {
+        const [, , removed] = await database.transaction([
+            { text: 'UPDATE products SET pool_name = NULL, updated_at = NOW() WHERE pool_name = $1', params: [name] },
+            { text: "UPDATE instance_pools SET fallback_policy = 'shared', fallback_pool = NULL WHERE fallback_pool = $1", params: [name] },
+            { text: 'DELETE FROM instance_pools WHERE name = $1', params: [name] }
+        ]);
+
+        this.invalidateCache();
+
+        logger.info(`🗑️ Pool removido: ${name}`);
+        return removed.rowCount > 0;
+    }
+}
+
+// Instância única do serviço
+const instancePoolService = new InstancePoolService();
+
+module.exports = instancePoolService;
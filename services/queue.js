@@ -14,6 +14,11 @@
 const axios = require('axios');
 const database = require('../database/config');
 const logger = require('./logger');
+const customerService = require('./customers');
+const attributionService = require('./attribution');
+const orderService = require('./orders');
+const phoneService = require('./phone');
+const suppressionService = require('./suppression');
 
 class QueueService {
     constructor() {
@@ -70,11 +75,12 @@ class QueueService {
     }
 
     /**
-     * Adicionar timeout de PIX (7 minutos) - FUNÇÃO CORRIGIDA
+     * Agendar cadência de recuperação de PIX
+     * Cada etapa vira um evento na fila; a primeira também ganha timeout em memória
      */
-    async addPixTimeout(orderCode, conversationId, timeoutMs) {
+    async addPixRecovery(orderCode, conversationId, stages) {
         try {
-            logger.info(`⏰ Agendando timeout PIX: ${orderCode} em ${Math.round(timeoutMs/60000)} minutos`);
+            logger.info(`⏰ Agendando recuperação PIX: ${orderCode} | etapas: ${stages.map(s => s.delayMinutes + 'min').join(', ')}`);
             
             // Cancelar timeout existente se houver
             if (this.activeTimeouts.has(orderCode)) {
@@ -83,69 +89,87 @@ class QueueService {
                 logger.debug(`🔄 Timeout anterior cancelado para: ${orderCode}`);
             }
 
-            // Criar evento na fila para processar após timeout
-            const scheduledFor = new Date(Date.now() + timeoutMs);
-            
-            await database.query(`
-                INSERT INTO events_queue 
-                (event_type, order_code, conversation_id, scheduled_for, payload)
-                VALUES ($1, $2, $3, $4, $5)
-            `, [
-                'pix_timeout',
-                orderCode,
-                conversationId,
-                scheduledFor,
-                JSON.stringify({ 
-                    orderCode, 
-                    conversationId, 
-                    timeoutMs,
-                    created_at: new Date().toISOString() 
-                })
-            ]);
+            for (const stage of stages) {
+                const payload = {
+                    orderCode,
+                    conversationId,
+                    stage: stage.stage,
+                    totalStages: stages.length,
+                    delayMinutes: stage.delayMinutes,
+                    created_at: new Date().toISOString()
+                };
 
-            // Criar timeout em memória
-            const timeoutId = setTimeout(async () => {
-                logger.info(`⏰ Executando timeout PIX: ${orderCode}`);
-                await this.handlePixTimeout(orderCode, conversationId);
-                this.activeTimeouts.delete(orderCode);
-            }, timeoutMs);
+                await database.query(`
+                    INSERT INTO events_queue 
+                    (event_type, order_code, conversation_id, scheduled_for, payload)
+                    VALUES ($1, $2, $3, $4, $5)
+                `, [
+                    stage.eventType,
+                    orderCode,
+                    conversationId,
+                    new Date(Date.now() + stage.delayMinutes * 60000),
+                    JSON.stringify(payload)
+                ]);
+
+                // Primeira etapa (minutos) em memória; as demais pelo processQueue
+                if (stage.stage === 1) {
+                    const timeoutId = setTimeout(async () => {
+                        logger.info(`⏰ Executando timeout PIX: ${orderCode}`);
+                        await this.handlePixTimeout(orderCode, conversationId, stage.eventType, payload);
+                        this.activeTimeouts.delete(orderCode);
+                    }, stage.delayMinutes * 60000);
 
-            this.activeTimeouts.set(orderCode, timeoutId);
+                    this.activeTimeouts.set(orderCode, timeoutId);
+                }
+            }
 
-            logger.info(`✅ Timeout PIX agendado: ${orderCode} | ${Math.round(timeoutMs/60000)} min | ID: ${timeoutId}`);
+            logger.info(`✅ Recuperação PIX agendada: ${orderCode} | ${stages.length} etapa(s)`);
 
         } catch (error) {
-            logger.error(`❌ Erro ao agendar timeout PIX ${orderCode}: ${error.message}`, error);
+            logger.error(`❌ Erro ao agendar recuperação PIX ${orderCode}: ${error.message}`, error);
         }
     }
 
     // FUNÇÃO REMOVIDA COMPLETAMENTE: addFinalCheck() - NÃO EXISTE MAIS
 
     /**
-     * Processar timeout de PIX (7 minutos sem pagamento) - FUNÇÃO CORRIGIDA
+     * Processar etapa da recuperação de PIX (sem pagamento até o momento)
+     * Etapa 1 (pix_timeout) move a conversa para timeout; as seguintes
+     * só disparam enquanto o PIX continuar sem pagamento
      */
-    async handlePixTimeout(orderCode, conversationId) {
+    async handlePixTimeout(orderCode, conversationId, eventType = 'pix_timeout', payload = null) {
         try {
-            logger.info(`⏰ Processando timeout PIX: ${orderCode} | Conversa: ${conversationId}`);
+            logger.info(`⏰ Processando ${eventType}: ${orderCode} | Conversa: ${conversationId}`);
+
+            const waitingStatuses = eventType === 'pix_timeout' ? ['pix_pending'] : ['pix_pending', 'timeout'];
 
             // Verificar se ainda está pendente (não foi pago enquanto isso)
             const conversation = await database.query(
-                'SELECT * FROM conversations WHERE id = $1 AND status = $2',
-                [conversationId, 'pix_pending']
+                'SELECT * FROM conversations WHERE id = $1 AND status = ANY($2)',
+                [conversationId, waitingStatuses]
             );
 
             if (conversation.rows.length === 0) {
-                logger.info(`ℹ️ PIX ${orderCode} não está mais pendente - timeout cancelado automaticamente`);
+                logger.info(`ℹ️ PIX ${orderCode} não está mais pendente - ${eventType} cancelado automaticamente`);
                 return;
             }
 
             const conv = conversation.rows[0];
 
+            // Cliente pediu para não ser contatado: cadência interrompida
+            if (await suppressionService.isSuppressed(conv.phone)) {
+                logger.info(`🚫 ${eventType} de ${orderCode} não enviado: ${conv.phone} na lista de não contatar`);
+                await this.cancelAllTimeouts(orderCode);
+                return;
+            }
+
             // Atualizar status para timeout
-            await database.query(
-                'UPDATE conversations SET status = $1, updated_at = NOW() WHERE id = $2',
-                ['timeout', conversationId]
-            );
+            if (conv.status === 'pix_pending') {
+                await database.query(
+                    'UPDATE conversations SET status = $1, updated_at = NOW() WHERE id = $2',
+                    ['timeout', conversationId]
+                );
+            }
 
             // Buscar dados do cliente
             const fullName = conv.client_name || 'Cliente';
@@ -153,50 +177,183 @@ class QueueService {
 
             // Preparar dados para N8N
             const eventData = {
-                event_type: 'pix_timeout',
+                event_type: eventType,
                 produto: conv.product,
                 instancia: conv.instance_name,
                 evento_origem: 'pix',
                 cliente: {
                     nome: firstName,
                     telefone: conv.phone,
-                    nome_completo: fullName
+                    nome_completo: fullName,
+                    ...(await customerService.getN8NFields(conv.customer_id, conv.order_code))
                 },
+                atribuicao: attributionService.fromConversation(conv),
                 pedido: {
                     codigo: orderCode,
                     valor: conv.amount || 0,
-                    pix_url: conv.pix_url || ''
+                    pix_url: conv.pix_url || '',
+                    itens: await orderService.getN8NItems(conv.id)
+                },
+                timeout_minutos: payload?.delayMinutes ?? (payload?.timeoutMs ? Math.round(payload.timeoutMs / 60000) : 7),
+                recuperacao: {
+                    etapa: payload?.stage || 1,
+                    total_etapas: payload?.totalStages || 1
                 },
-                timeout_minutos: 7,
                 timestamp: new Date().toISOString(),
                 brazil_time: this.getBrazilTime(),
                 conversation_id: conversationId
             };
 
-            logger.debug(`📤 Payload PIX timeout para N8N:`, eventData);
+            logger.debug(`📤 Payload ${eventType} para N8N:`, eventData);
 
             // Enviar para N8N
-            const success = await this.sendToN8N(eventData, 'pix_timeout', conversationId);
+            const success = await this.sendToN8N(eventData, eventType, conversationId);
 
             if (success) {
-                logger.info(`✅ Timeout PIX enviado com sucesso: ${orderCode}`);
+                logger.info(`✅ ${eventType} enviado com sucesso: ${orderCode}`);
             } else {
-                logger.error(`❌ Falha ao enviar timeout PIX: ${orderCode}`);
+                logger.error(`❌ Falha ao enviar ${eventType}: ${orderCode}`);
             }
 
         } catch (error) {
-            logger.error(`❌ Erro ao processar timeout PIX ${orderCode}: ${error.message}`, error);
+            logger.error(`❌ Erro ao processar ${eventType} ${orderCode}: ${error.message}`, error);
         }
     }
 
     // FUNÇÃO REMOVIDA COMPLETAMENTE: handleFinalCheck() - NÃO EXISTE MAIS
 
+    /**
+     * Agendar lembretes e vencimento de boleto
+     * Eventos de vários dias ficam só no banco e são disparados pelo processQueue
+     */
+    async addBoletoSchedule(orderCode, conversationId, dueAt, reminderDays, graceDays) {
+        try {
+            const dayMs = 24 * 60 * 60 * 1000;
+            const events = [];
+
+            reminderDays.forEach(days => {
+                const scheduledFor = new Date(dueAt.getTime() - days * dayMs);
+                if (scheduledFor > new Date()) {
+                    events.push({ type: 'boleto_lembrete', scheduledFor, daysToDue: days });
+                }
+            });
+
+            events.push({
+                type: 'boleto_vencido',
+                scheduledFor: new Date(dueAt.getTime() + graceDays * dayMs),
+                daysToDue: -graceDays
+            });
+
+            for (const event of events) {
+                await database.query(`
+                    INSERT INTO events_queue 
+                    (event_type, order_code, conversation_id, scheduled_for, payload)
+                    VALUES ($1, $2, $3, $4, $5)
+                `, [
+                    event.type,
+                    orderCode,
+                    conversationId,
+                    event.scheduledFor,
+                    JSON.stringify({
+                        orderCode,
+                        conversationId,
+                        dueAt: dueAt.toISOString(),
+                        daysToDue: event.daysToDue,
+                        created_at: new Date().toISOString()
+                    })
+                ]);
+            }
+
+            logger.info(`✅ Boleto agendado: ${orderCode} | vence ${dueAt.toISOString()} | ${events.length} evento(s)`);
+
+        } catch (error) {
+            logger.error(`❌ Erro ao agendar eventos do boleto ${orderCode}: ${error.message}`, error);
+        }
+    }
+
+    /**
+     * Processar lembrete ou vencimento de boleto
+     */
+    async handleBoletoEvent(eventType, orderCode, conversationId, payload) {
+        try {
+            logger.info(`🧾 Processando ${eventType}: ${orderCode} | Conversa: ${conversationId}`);
+
+            // Verificar se o boleto ainda está em aberto
+            const conversation = await database.query(
+                'SELECT * FROM conversations WHERE id = $1 AND status = $2',
+                [conversationId, 'boleto_pending']
+            );
+
+            if (conversation.rows.length === 0) {
+                logger.info(`ℹ️ Boleto ${orderCode} não está mais pendente - ${eventType} ignorado`);
+                return;
+            }
+
+            const conv = conversation.rows[0];
+
+            if (eventType === 'boleto_vencido') {
+                await database.query(
+                    'UPDATE conversations SET status = $1, updated_at = NOW() WHERE id = $2',
+                    ['expired', conversationId]
+                );
+            }
+
+            const fullName = conv.client_name || 'Cliente';
+
+            const eventData = {
+                event_type: eventType,
+                produto: conv.product,
+                instancia: conv.instance_name,
+                evento_origem: 'boleto',
+                cliente: {
+                    nome: this.getFirstName(fullName),
+                    telefone: conv.phone,
+                    nome_completo: fullName,
+                    ...(await customerService.getN8NFields(conv.customer_id, conv.order_code))
+                },
+                atribuicao: attributionService.fromConversation(conv),
+                pedido: {
+                    codigo: orderCode,
+                    valor: conv.amount || 0,
+                    boleto_url: conv.payment_url || '',
+                    vencimento: conv.payment_due_at ? new Date(conv.payment_due_at).toISOString() : payload?.dueAt,
+                    dias_para_vencimento: payload?.daysToDue ?? null,
+                    itens: await orderService.getN8NItems(conv.id)
+                },
+                timestamp: new Date().toISOString(),
+                brazil_time: this.getBrazilTime(),
+                conversation_id: conversationId
+            };
+
+            const success = await this.sendToN8N(eventData, eventType, conversationId);
+
+            await database.query(
+                'INSERT INTO messages (conversation_id, type, content, status) VALUES ($1, $2, $3, $4)',
+                [conversationId, 'system_event', `${eventType === 'boleto_vencido' ? 'Boleto vencido' : 'Lembrete de boleto'}: ${orderCode}`, success ? 'sent' : 'failed']
+            );
+
+        } catch (error) {
+            logger.error(`❌ Erro ao processar ${eventType} ${orderCode}: ${error.message}`, error);
+        }
+    }
+
     /**
      * Enviar dados para N8N com retry automático OTIMIZADO
      */
     async sendToN8N(eventData, eventType, conversationId, attempt = 1) {
         const maxAttempts = parseInt(process.env.MAX_RETRY_ATTEMPTS) || 3;
         
+        // Nenhum disparo para números na lista de não contatar
+        if (await suppressionService.isSuppressed(eventData.cliente?.telefone)) {
+            logger.warn(`🚫 ${eventType} bloqueado: ${eventData.cliente.telefone} na lista de não contatar | Pedido: ${eventData.pedido?.codigo || 'N/A'}`);
+            
+            await database.query(
+                'INSERT INTO messages (conversation_id, type, content, status) VALUES ($1, $2, $3, $4)',
+                [conversationId, 'n8n_sent', `${eventType}: bloqueado (lista de não contatar)`, 'ignored']
+            );
+            return false;
+        }
+        
         try {
             logger.info(`📤 Enviando para N8N (tentativa ${attempt}/${maxAttempts}): ${eventType} | Pedido: ${eventData.pedido?.codigo || 'N/A'}`);
 
@@ -287,7 +444,8 @@ class QueueService {
             const result = await database.query(`
                 UPDATE events_queue 
                 SET processed = true, last_attempt = NOW() 
-                WHERE order_code = $1 AND event_type = 'pix_timeout' AND processed = false
+                WHERE order_code = $1 AND processed = false
+                  AND (event_type = 'pix_timeout' OR event_type LIKE 'pix_recuperacao_%')
             `, [orderCode]);
 
             if (result.rowCount > 0) {
@@ -370,8 +528,14 @@ class QueueService {
 
                     let processed = false;
 
-                    if (event.event_type === 'pix_timeout') {
-                        await this.handlePixTimeout(event.order_code, event.conversation_id);
+                    if (event.event_type === 'pix_timeout' || event.event_type.startsWith('pix_recuperacao_')) {
+                        const payload = typeof event.payload === 'string' ? JSON.parse(event.payload) : event.payload;
+                        await this.handlePixTimeout(event.order_code, event.conversation_id, event.event_type, payload);
+                        processed = true;
+                        
+                    } else if (event.event_type === 'boleto_lembrete' || event.event_type === 'boleto_vencido') {
+                        const payload = typeof event.payload === 'string' ? JSON.parse(event.payload) : event.payload;
+                        await this.handleBoletoEvent(event.event_type, event.order_code, event.conversation_id, payload);
                         processed = true;
                         
                     } else if (event.payload) {
@@ -435,7 +599,7 @@ class QueueService {
                     // Recriar timeout PIX
                     const timeoutId = setTimeout(async () => {
                         logger.info(`⏰ Executando timeout PIX recuperado: ${event.order_code}`);
-                        await this.handlePixTimeout(event.order_code, event.conversation_id);
+                        await this.handlePixTimeout(event.order_code, event.conversation_id, event.event_type, event.payload);
                         this.activeTimeouts.delete(event.order_code);
                     }, delay);
                     
@@ -483,11 +647,16 @@ class QueueService {
      */
     async getQueueStats() {
         try {
-            const [pending, processing, failed, pixTimeouts] = await Promise.all([
+            const [pending, processing, failed, pixTimeouts, pixRecovery] = await Promise.all([
                 database.query('SELECT COUNT(*) as count FROM events_queue WHERE processed = false AND scheduled_for <= NOW()'),
                 database.query('SELECT COUNT(*) as count FROM events_queue WHERE processed = false AND scheduled_for > NOW()'),
                 database.query('SELECT COUNT(*) as count FROM events_queue WHERE attempts >= max_attempts AND processed = false'),
-                database.query("SELECT COUNT(*) as count FROM events_queue WHERE event_type = 'pix_timeout' AND processed = false")
+                database.query("SELECT COUNT(*) as count FROM events_queue WHERE event_type = 'pix_timeout' AND processed = false"),
+                database.query(`
+                    SELECT event_type, COUNT(*) as count FROM events_queue 
+                    WHERE event_type LIKE 'pix_recuperacao_%' AND processed = false
+                    GROUP BY event_type ORDER BY event_type
+                `)
             ]);
 
             const stats = {
@@ -495,7 +664,8 @@ class QueueService {
                 pending_events: parseInt(pending.rows[0].count),
                 scheduled_events: parseInt(processing.rows[0].count),
                 failed_events: parseInt(failed.rows[0].count),
-                pix_timeouts: parseInt(pixTimeouts.rows[0].count)
+                pix_timeouts: parseInt(pixTimeouts.rows[0].count),
+                pix_recovery_stages: Object.fromEntries(pixRecovery.rows.map(row => [row.event_type, parseInt(row.count)]))
             };
 
             logger.debug('📊 Estatísticas da fila:', stats);
@@ -508,7 +678,8 @@ class QueueService {
                 pending_events: 0,
                 scheduled_events: 0,
                 failed_events: 0,
-                pix_timeouts: 0
+                pix_timeouts: 0,
+                pix_recovery_stages: {}
             };
         }
     }
@@ -594,8 +765,8 @@ class QueueService {
             // Tentar processar novamente
             let success = false;
             
-            if (eventData.event_type === 'pix_timeout') {
-                await this.handlePixTimeout(eventData.order_code, eventData.conversation_id);
+            if (eventData.event_type === 'pix_timeout' || eventData.event_type.startsWith('pix_recuperacao_')) {
+                await this.handlePixTimeout(eventData.order_code, eventData.conversation_id, eventData.event_type, eventData.payload);
                 success = true;
             } else if (eventData.payload) {
                 const payload = JSON.parse(eventData.payload);
@@ -641,20 +812,7 @@ class QueueService {
      * Normalizar número de telefone (consistente com o sistema)
      */
     normalizePhone(phone) {
-        if (!phone) return phone;
-        
-        logger.debug(`🔧 Normalizando telefone: "${phone}"`);
-        
-        // Remover caracteres não numéricos
-        let cleanPhone = phone.replace(/\D/g, '');
-        
-        // Padronizar para formato: 5511999999999 (sem o 9 extra)
-        if (cleanPhone.length === 14 && cleanPhone.substring(4, 5) === '9') {
-            cleanPhone = cleanPhone.substring(0, 4) + cleanPhone.substring(5);
-        }
-        
-        logger.debug(`✅ Telefone normalizado: ${phone} → ${cleanPhone}`);
-        return cleanPhone;
+        return phoneService.normalize(phone);
     }
 
     /**
@@ -0,0 +1,153 @@
+/**
+ * SERVIÇO DE SEGURANÇA DOS WEBHOOKS
+ * Valida token/assinatura dos webhooks de pagamento
+ * e registra as tentativas rejeitadas no log de segurança
+ */
+
+const crypto = require('crypto');
+const database = require('../database/config');
+const logger = require('./logger');
+
+// Headers que nunca devem ser gravados no log de segurança
+const SENSITIVE_HEADERS = [
+    'authorization', 'cookie', 'x-perfect-token', 'x-perfect-signature',
+    'x-hotmart-hottok', 'x-signature'
+];
+
+class SecurityService {
+    constructor() {
+        this.perfectPayToken = process.env.PERFECT_PAY_TOKEN || '';
+    }
+
+    /**
+     * Verificar se o segredo do Perfect Pay está configurado
+     */
+    isPerfectPayConfigured() {
+        return this.perfectPayToken.length > 0;
+    }
+
+    /**
+     * Comparação em tempo constante (evita timing attacks)
+     */
+    safeCompare(received, expected) {
+        if (!received || !expected) return false;
+
+        const receivedBuffer = Buffer.from(String(received));
+        const expectedBuffer = Buffer.from(String(expected));
+
+        if (receivedBuffer.length !== expectedBuffer.length) {
+            return false;
+        }
+
+        return crypto.timingSafeEqual(receivedBuffer, expectedBuffer);
+    }
+
+    /**
+     * Conferir assinatura HMAC (hex) de um corpo bruto
+     */
+    verifyHmac(rawBody, signature, secret, algorithm = 'sha256') {
+        if (!signature || !secret) return false;
+
+        const expected = crypto
+            .createHmac(algorithm, secret)
+            .update(rawBody)
+            .digest('hex');
+
+        const received = String(signature).replace(new RegExp(`^${algorithm}=`), '');
+        return this.safeCompare(received, expected);
+    }
+
+    /**
+     * Validar webhook do Perfect Pay
+     * Aceita o token no payload (campo "token"), no header x-perfect-token
+     * ou uma assinatura HMAC-SHA256 do corpo bruto no header x-perfect-signature
+     * Sem PERFECT_PAY_TOKEN configurado, toda chamada é rejeitada
+     */
+    verifyPerfectPay(req) {
+        if (!this.isPerfectPayConfigured()) {
+            return { valid: false, reason: 'not_configured' };
+        }
+
+        const signature = req.headers['x-perfect-signature'];
+        if (signature) {
+            const rawBody = req.rawBody || Buffer.from(JSON.stringify(req.body || {}));
+            return this.verifyHmac(rawBody, signature, this.perfectPayToken)
+                ? { valid: true, reason: 'signature' }
+                : { valid: false, reason: 'invalid_signature' };
+        }
+
+        const token = req.body?.token || req.headers['x-perfect-token'];
+        if (!token) {
+            return { valid: false, reason: 'missing_token' };
+        }
+
+        return this.safeCompare(token, this.perfectPayToken)
+            ? { valid: true, reason: 'token' }
+            : { valid: false, reason: 'invalid_token' };
+    }
+
+    /**
+     * Registrar tentativa rejeitada no log de segurança
+     */
+    async logRejection(source, req, reason) {
+        try {
+            const headers = {};
+            for (const [name, value] of Object.entries(req.headers || {})) {
+                if (!SENSITIVE_HEADERS.includes(name)) {
+                    headers[name] = value;
+                }
+            }
+
+            await database.query(`
+                INSERT INTO security_events (source, reason, ip, path, user_agent, order_code, headers)
+                VALUES ($1, $2, $3, $4, $5, $6, $7)
+            `, [
+                source,
+                reason,
+                req.ip || req.headers['x-forwarded-for'] || null,
+                req.originalUrl || req.url,
+                (req.headers['user-agent'] || '').substring(0, 255),
+                req.body?.code ? String(req.body.code).substring(0, 50) : null,
+                JSON.stringify(headers)
+            ]);
+
+        } catch (error) {
+            logger.error(`❌ Erro ao registrar evento de segurança: ${error.message}`, error);
+        }
+    }
+
+    /**
+     * Obter eventos de segurança recentes (dashboard)
+     */
+    async getRecentEvents(limit = 100) {
+        const events = await database.query(
+            'SELECT * FROM security_events ORDER BY created_at DESC LIMIT $1',
+            [limit]
+        );
+
+        return events.rows;
+    }
+
+    /**
+     * Obter resumo de rejeições
+     */
+    async getStats() {
+        const stats = await database.query(`
+            SELECT
+                COUNT(*) as total,
+                COUNT(*) FILTER (WHERE created_at >= NOW() - INTERVAL '24 hours') as last_24h
+            FROM security_events
+        `);
+
+        return {
+            verification_enabled: this.isPerfectPayConfigured(),
+            total_rejections: parseInt(stats.rows[0].total),
+            rejections_last_24h: parseInt(stats.rows[0].last_24h)
+        };
+    }
+}
+
+// Instância única do serviço
+const securityService = new SecurityService();
+
+module.exports = securityService;
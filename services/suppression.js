@@ -0,0 +1,112 @@
+/**
+ * LISTA DE NÃO CONTATAR
+ * Cliente que responde "PARAR", "SAIR"... entra na lista (opt-out) e nenhum
+ * evento do número vai mais ao N8N: respostas, cadências de PIX e qualquer
+ * outro disparo (checado em QueueService.sendToN8N). Também alimentada pelo
+ * dashboard/API (manual ou denúncia).
+ */
+
+const database = require('../database/config');
+const logger = require('./logger');
+const phoneService = require('./phone');
+const intentService = require('./intent');
+
+const REASONS = ['opt_out', 'manual', 'complaint'];
+
+// Mensagem inteira igual a um destes comandos (texto sem acento, minúsculo)
+const OPT_OUT_COMMANDS = ['parar', 'pare', 'sair', 'stop', 'descadastrar', 'remover', 'cancelar envio', 'nao perturbe'];
+
+// Frases que indicam opt-out em qualquer ponto da mensagem
+const OPT_OUT_PHRASES = [
+    'nao quero mais receber', 'nao quero receber', 'parar de receber', 'pare de me mandar',
+    'para de me mandar', 'nao me mande mais', 'nao me mandem mais', 'me tire da lista',
+    'me tira da lista', 'remover meu numero', 'remova meu numero'
+];
+
+class SuppressionService {
+    /**
+     * Mensagem do cliente pedindo para não receber mais contato
+     */
+    isOptOut(messageContent) {
+        const text = intentService.normalize(messageContent).replace(/[!.?]+$/, '').trim();
+        return OPT_OUT_COMMANDS.includes(text) || OPT_OUT_PHRASES.some(phrase => text.includes(phrase));
+    }
+
+    isValidReason(reason) {
+        return REASONS.includes(reason);
+    }
+
+    /**
+     * Telefone na lista (consulta direta, sem cache: vale no mesmo instante)
+     */
+    async isSuppressed(phone) {
+        const normalized = phoneService.normalize(phone);
+        if (!normalized) {
+            return false;
+        }
+
+        const result = await database.query('SELECT 1 FROM suppression_list WHERE phone = $1', [normalized]);
+        return result.rows.length > 0;
+    }
+
+    /**
+     * Incluir telefone (retorna null se já estava na lista)
+     */
+    async add(phone, { reason = 'manual', message = null, notes = null } = {}) {
+        const normalized = phoneService.normalize(phone);
+
+        const result = await database.query(`
+            INSERT INTO suppression_list (phone, reason, message, notes)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (phone) DO NOTHING
+            RETURNING *
+        `, [normalized, reason, message ? message.substring(0, 500) : null, notes]);
+
+        if (result.rows.length === 0) {
+            return null;
+        }
+
+        logger.warn(`🚫 ${normalized} incluído na lista de não contatar (${reason})`);
+        return result.rows[0];
+    }
+
+    /**
+     * Remover telefone da lista
+     */
+    async remove(phone) {
+        const normalized = phoneService.normalize(phone);
+        const result = await database.query('DELETE FROM suppression_list WHERE phone = $1', [normalized]);
+
+        if (result.rowCount > 0) {
+            logger.info(`✅ ${normalized} removido da lista de não contatar`);
+        }
+        return result.rowCount > 0;
+    }
+
+    /**
+     * Listar entradas (mais recentes primeiro) com o total
+     */
+    async list({ phone = null, limit = 100 } = {}) {
+        const [entries, total] = await Promise.all([
+            database.query(`
+                SELECT * FROM suppression_list
+                WHERE ($1::VARCHAR IS NULL OR phone = $1)
+                ORDER BY created_at DESC
+                LIMIT $2
+            `, [phone ? phoneService.normalize(phone) : null, Math.min(parseInt(limit) || 100, 500)]),
+            this.count()
+        ]);
+
+        return { total: total, entries: entries.rows };
+    }
+
+    async count() {
+        const result = await database.query('SELECT COUNT(*) as count FROM suppression_list');
+        return parseInt(result.rows[0].count);
+    }
+}
+
+// Instância única do serviço
+const suppressionService = new SuppressionService();
+
+module.exports = suppressionService;
@@ -75,7 +75,8 @@ class SystemValidator {
         
         const required = [
             'N8N_WEBHOOK_URL',
-            'EVOLUTION_API_URL'
+            'EVOLUTION_API_URL',
+            'INSTANCE_KEY_SECRET'
         ];
         
         const databaseRequired = [
@@ -133,6 +134,15 @@ class SystemValidator {
         Object.entries(optional).forEach(([key, value]) => {
             this.info.push(`📋 ${key}: ${value}`);
         });
+
+        // Verificar segredo do webhook Perfect Pay
+        if (!process.env.PERFECT_PAY_TOKEN) {
+            this.warnings.push({
+                component: 'Perfect Pay Webhook',
+                issue: 'PERFECT_PAY_TOKEN não configurado - webhook Perfect Pay rejeitará todas as vendas',
+                solution: 'Configure PERFECT_PAY_TOKEN com o token da sua conta Perfect Pay'
+            });
+        }
     }
 
     /**
@@ -205,6 +215,25 @@ class SystemValidator {
         }
     }
 
+    /**
+     * Primeira instância ativa do registro (apikey descriptografada)
+     */
+    async getTestInstance() {
+        const database = require('./database/config');
+        const instanceRegistry = require('./services/instances');
+        
+        try {
+            await database.connect();
+            const instances = await instanceRegistry.getActive();
+            return instances[0] || null;
+        } catch (error) {
+            this.info.push(`⚠️ Registro de instâncias indisponível: ${error.message}`);
+            return null;
+        } finally {
+            await database.disconnect();
+        }
+    }
+
     /**
      * Validar Evolution API
      */
@@ -223,8 +252,18 @@ class SystemValidator {
             '/instance/status'
         ];
         
-        const testInstance = 'GABY01';
-        const testApikey = '1CEBB8703497-4F31-B33F-335A4233D2FE';
+        const instance = await this.getTestInstance();
+        if (!instance) {
+            this.warnings.push({
+                component: 'Evolution API',
+                issue: 'Nenhuma instância ativa no registro para testar a Evolution API',
+                solution: 'Cadastre instâncias pelo POST /instances ou configure INSTANCES_SEED_FILE'
+            });
+            return;
+        }
+        
+        const testInstance = instance.name;
+        const testApikey = instance.apiKey;
         
         let workingEndpoint = null;
         
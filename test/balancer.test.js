@@ -0,0 +1,210 @@
+/**
+ * ATRIBUIÇÃO DE INSTÂNCIA COM WEBHOOKS SIMULTÂNEOS (banco real)
+ * Pendente + aprovado do mesmo telefone ao mesmo tempo: um lead, uma
+ * atribuição e a mesma instância nas duas conversas. Telefones diferentes ao
+ * mesmo tempo não passam do daily_cap das instâncias.
+ *
+ * Roda só com TEST_DATABASE_URL apontando para um banco descartável -
+ * as tabelas de leads, conversas e instâncias são esvaziadas no início.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+const PERFECT_PAY_TOKEN = 'a1b2c3d4e5f60718293a4b5c6d7e8f90';
+const ROUNDS = 5;
+
+function loadFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'gateways', `${name}.json`), 'utf8'));
+}
+
+// Servidor local no lugar do N8N e da Evolution: aceita tudo com 200
+function startStub() {
+    return new Promise(resolve => {
+        const server = http.createServer((req, res) => {
+            req.resume();
+            req.on('end', () => {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end('{}');
+            });
+        });
+        server.listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+describe('balancer: webhooks simultâneos do mesmo telefone', { skip: !TEST_DATABASE_URL && 'TEST_DATABASE_URL não configurado' }, () => {
+    let stub;
+    let server;
+    let baseUrl;
+    let database;
+    let queueService;
+    let axios;
+
+    before(async () => {
+        stub = await startStub();
+        const stubUrl = `http://127.0.0.1:${stub.address().port}`;
+
+        // Definidos antes do require: o .env local (dotenv) não sobrescreve
+        process.env.NODE_ENV = 'test';
+        process.env.DATABASE_URL = TEST_DATABASE_URL;
+        process.env.N8N_WEBHOOK_URL = `${stubUrl}/n8n`;
+        process.env.EVOLUTION_API_URL = stubUrl;
+        process.env.PERFECT_PAY_TOKEN = PERFECT_PAY_TOKEN;
+        process.env.INSTANCE_KEY_SECRET = process.env.INSTANCE_KEY_SECRET || 'test-secret';
+        process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+        const { app } = require('../index');
+        const instanceRegistry = require('../services/instances');
+        database = require('../database/config');
+        queueService = require('../services/queue');
+        axios = require('axios');
+
+        await database.connect();
+        await database.migrate();
+        await database.query(`
+            TRUNCATE leads, conversations, instance_assignments, instances,
+                     order_status_transitions, webhook_inbox, customers, events_queue
+            RESTART IDENTITY CASCADE
+        `);
+
+        for (const name of ['TEST01', 'TEST02', 'TEST03']) {
+            await instanceRegistry.create({ name: name, apiKey: `${name}-key` });
+        }
+
+        server = await new Promise(resolve => {
+            const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        if (queueService) await queueService.cleanup();
+        if (server) await new Promise(resolve => server.close(resolve));
+        if (database) await database.disconnect();
+        if (stub) await new Promise(resolve => stub.close(resolve));
+    });
+
+    for (let round = 1; round <= ROUNDS; round++) {
+        it(`rodada ${round}: pendente + aprovado em paralelo`, async () => {
+            const phoneNumber = `98${String(round).padStart(7, '0')}`;
+            const phone = `5511${phoneNumber}`;
+
+            const pending = loadFixture('perfect-pix-pending');
+            pending.code = `PPTESTPIX${round}`;
+            pending.customer.phone_number = phoneNumber;
+
+            const approved = loadFixture('perfect-card-rejected');
+            approved.code = `PPTESTCARD${round}`;
+            approved.sale_status_enum_key = 'approved';
+            approved.customer.phone_area_code = '11';
+            approved.customer.phone_number = phoneNumber;
+
+            const responses = await Promise.all([pending, approved].map(payload =>
+                axios.post(`${baseUrl}/webhook/perfect`, payload, { validateStatus: () => true })
+            ));
+
+            responses.forEach(response => {
+                assert.equal(response.status, 200, JSON.stringify(response.data));
+                assert.equal(response.data.duplicate, false);
+            });
+
+            const leads = await database.query('SELECT instance_name FROM leads WHERE phone = $1', [phone]);
+            const assignments = await database.query('SELECT instance_name FROM instance_assignments WHERE phone = $1', [phone]);
+            const conversations = await database.query(
+                'SELECT order_code, status, instance_name FROM conversations WHERE phone = $1 ORDER BY order_code',
+                [phone]
+            );
+
+            assert.equal(leads.rows.length, 1);
+            assert.equal(assignments.rows.length, 1);
+            assert.equal(assignments.rows[0].instance_name, leads.rows[0].instance_name);
+
+            assert.deepEqual(conversations.rows.map(row => row.order_code), [approved.code, pending.code]);
+            conversations.rows.forEach(row => {
+                assert.equal(row.instance_name, leads.rows[0].instance_name, row.order_code);
+            });
+        });
+    }
+
+    it('lead em instância offline é realocado no próximo webhook', async () => {
+        const evolutionService = require('../services/evolution');
+        const phoneNumber = '980000001';
+        const phone = `5511${phoneNumber}`;
+
+        const lead = await database.query('SELECT instance_name FROM leads WHERE phone = $1', [phone]);
+        const offline = lead.rows[0].instance_name;
+        const previous = evolutionService.instances;
+        evolutionService.instances = [{ name: offline, active: true, status: 'offline' }];
+
+        try {
+            const payload = loadFixture('perfect-pix-pending');
+            payload.code = 'PPTESTOFFLINE';
+            payload.customer.phone_number = phoneNumber;
+
+            const response = await axios.post(`${baseUrl}/webhook/perfect`, payload, { validateStatus: () => true });
+            assert.equal(response.status, 200, JSON.stringify(response.data));
+        } finally {
+            evolutionService.instances = previous;
+        }
+
+        const moved = await database.query('SELECT instance_name FROM leads WHERE phone = $1', [phone]);
+        const conversation = await database.query('SELECT instance_name FROM conversations WHERE order_code = $1', ['PPTESTOFFLINE']);
+        const assignment = await database.query(
+            'SELECT instance_name FROM instance_assignments WHERE phone = $1 AND reason = $2',
+            [phone, 'failover']
+        );
+
+        assert.notEqual(moved.rows[0].instance_name, offline);
+        assert.equal(conversation.rows[0].instance_name, moved.rows[0].instance_name);
+        assert.equal(assignment.rows.length, 1);
+        assert.equal(assignment.rows[0].instance_name, moved.rows[0].instance_name);
+    });
+
+    it('webhooks simultâneos de telefones diferentes respeitam o daily_cap', async () => {
+        const instanceRegistry = require('../services/instances');
+        const names = ['TEST01', 'TEST02', 'TEST03'];
+        const today = await database.query(
+            'SELECT instance_name, COUNT(*) as count FROM instance_assignments GROUP BY instance_name'
+        );
+        const caps = {};
+        names.forEach(name => {
+            const row = today.rows.find(item => item.instance_name === name);
+            caps[name] = (row ? parseInt(row.count) : 0) + 1;
+        });
+
+        for (const name of names) {
+            await instanceRegistry.update(name, { dailyCap: caps[name] });
+        }
+
+        try {
+            const payloads = [1, 2, 3, 4, 5].map(index => {
+                const payload = loadFixture('perfect-pix-pending');
+                payload.code = `PPTESTCAP${index}`;
+                payload.customer.phone_number = `97${String(index).padStart(7, '0')}`;
+                return payload;
+            });
+
+            await Promise.all(payloads.map(payload =>
+                axios.post(`${baseUrl}/webhook/perfect`, payload, { validateStatus: () => true })
+            ));
+        } finally {
+            for (const name of names) {
+                await instanceRegistry.update(name, { dailyCap: null });
+            }
+        }
+
+        const after = await database.query(
+            'SELECT instance_name, COUNT(*) as count FROM instance_assignments GROUP BY instance_name'
+        );
+        const leads = await database.query("SELECT COUNT(*) as count FROM leads WHERE phone LIKE '551197%'");
+
+        after.rows.forEach(row => {
+            assert.ok(parseInt(row.count) <= caps[row.instance_name], `${row.instance_name}: ${row.count} > ${caps[row.instance_name]}`);
+        });
+        assert.equal(parseInt(leads.rows[0].count), names.length);
+    });
+});
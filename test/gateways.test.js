@@ -0,0 +1,273 @@
+/**
+ * ADAPTADORES DE GATEWAY - normalize() com payloads de cada gateway
+ * Fixtures em test/fixtures/gateways (formato dos webhooks reais, dados fictícios)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { getGateway } = require('../services/gateways');
+const phoneService = require('../services/phone');
+
+function loadFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'gateways', `${name}.json`), 'utf8'));
+}
+
+const CASES = [
+    {
+        gateway: 'perfect',
+        fixture: 'perfect-pix-pending',
+        expected: {
+            code: 'PPCPMTB5H2KV3L',
+            eventId: null,
+            status: 'pending',
+            paymentMethod: 'pix',
+            phone: '5511987654321',
+            planCode: 'PPLQQ7KJ3',
+            amount: 197,
+            customer: { fullName: 'Maria Aparecida da Silva', email: 'maria.silva@example.com', document: '12345678909' },
+            attribution: { source: 'facebook', medium: 'cpc', campaign: 'receitas_maio', content: 'video_02', affiliate: null },
+            items: [
+                { sku: 'PPLQQ7KJ3', name: 'Curso Receitas Fit', quantity: 1, amount: 197, type: 'main' }
+            ]
+        }
+    },
+    {
+        gateway: 'perfect',
+        fixture: 'perfect-boleto-pending',
+        expected: {
+            code: 'PPCPMTK9W4ZQ1R',
+            status: 'pending',
+            paymentMethod: 'boleto',
+            phone: '5521998877665',
+            planCode: 'PPLQQ8MN1',
+            amount: 97.5,
+            paymentUrl: 'https://app.perfectpay.com.br/boleto/PPCPMTK9W4ZQ1R',
+            dueDate: '2024-05-13',
+            attribution: { source: 'instagram_bio', medium: null, campaign: null, content: null, affiliate: 'Afiliada Fit' },
+            items: [
+                { sku: 'PPLQQ8MN1', name: 'Curso Receitas Fit', quantity: 1, amount: 97.5, type: 'main' }
+            ]
+        }
+    },
+    {
+        gateway: 'perfect',
+        fixture: 'perfect-card-rejected',
+        expected: {
+            code: 'PPCPMTX2L8PD6F',
+            status: 'declined',
+            rawStatus: 'rejected',
+            paymentMethod: 'credit_card',
+            phone: '5531991234567',
+            planCode: 'PPLRR2AB7',
+            attribution: { source: 'google', medium: 'search', campaign: 'mentoria', content: null, affiliate: null },
+            items: [
+                { sku: 'PPLRR2AB7', name: 'Mentoria Emagrecimento', quantity: 1, amount: 297, type: 'main' }
+            ]
+        }
+    },
+    {
+        gateway: 'perfect',
+        fixture: 'perfect-card-approved-bumps',
+        expected: {
+            code: 'PPCPMTR7B3NX5Q',
+            status: 'approved',
+            paymentMethod: 'credit_card',
+            phone: '5519991112233',
+            planCode: 'PPLQQ7KJ3',
+            amount: 244.8,
+            items: [
+                { sku: 'PPLQQ7KJ3', name: 'Curso Receitas Fit', quantity: 1, amount: 197, type: 'main' },
+                { sku: 'PPLBUMP01', name: 'E-book Lanches Fit', quantity: 1, amount: 27.9, type: 'bump' },
+                { sku: 'PPLBUMP02', name: 'Planner de Refeições', quantity: 1, amount: 19.9, type: 'bump' }
+            ]
+        }
+    },
+    {
+        gateway: 'hotmart',
+        fixture: 'hotmart-purchase-approved',
+        expected: {
+            code: 'HP16015479281022',
+            eventId: '0b8cd2c9-7c7c-4a3e-9a0d-1f9f6c1e2b11',
+            status: 'approved',
+            paymentMethod: 'pix',
+            phone: '5511987654321',
+            planCode: 'k2pasun0',
+            amount: 197,
+            customer: { fullName: 'Carla Mendes', email: 'carla.mendes@example.com', document: '22233344405' },
+            attribution: { source: 'facebook', medium: null, campaign: 'receitas_maio', content: 'video_02', affiliate: 'Afiliado Receitas' },
+            items: [
+                { sku: 'k2pasun0', name: 'Curso Receitas Fit', quantity: 1, amount: 197, type: 'main' }
+            ],
+            parentCode: null
+        }
+    },
+    {
+        gateway: 'hotmart',
+        fixture: 'hotmart-order-bump-billet',
+        expected: {
+            code: 'HP02316330308194',
+            status: 'pending',
+            rawStatus: 'BILLET_PRINTED',
+            paymentMethod: 'boleto',
+            phone: '5548999887766',
+            planCode: 'lanchesfit',
+            paymentUrl: 'https://billet.hotmart.com/HP02316330308194',
+            attribution: { source: null, medium: null, campaign: null, content: 'criativo_07', affiliate: null },
+            items: [
+                { sku: 'lanchesfit', name: 'E-book Lanches Fit', quantity: 1, amount: 27, type: 'bump' }
+            ],
+            parentCode: 'HP02316330308193'
+        }
+    },
+    {
+        gateway: 'kiwify',
+        fixture: 'kiwify-order-paid',
+        expected: {
+            code: '8d4b7c2e-5f1a-4c3b-9e6d-2a1b0c9d8e7f',
+            status: 'approved',
+            paymentMethod: 'credit_card',
+            phone: '5541996543210',
+            planCode: 'c3f9a2b1-7d6e-4f5a-8b9c-0d1e2f3a4b5c',
+            amount: 297,
+            customer: { fullName: 'Fernanda Rocha Costa', email: 'fernanda.costa@example.com', document: '44455566677' },
+            attribution: { source: 'instagram', medium: 'stories', campaign: 'mentoria_maio', content: 'depoimento_01', affiliate: 'Afiliada Fit' },
+            items: [
+                { sku: 'c3f9a2b1-7d6e-4f5a-8b9c-0d1e2f3a4b5c', name: 'Mentoria Emagrecimento', quantity: 1, amount: 297, type: 'main' }
+            ]
+        }
+    },
+    {
+        gateway: 'kiwify',
+        fixture: 'kiwify-pix-waiting',
+        expected: {
+            code: '1e2d3c4b-5a69-4788-9a0b-c1d2e3f4a5b6',
+            status: 'pending',
+            paymentMethod: 'pix',
+            phone: '5585988776655',
+            planCode: '9a8b7c6d-5e4f-4a3b-2c1d-0e9f8a7b6c5d',
+            amount: 47,
+            attribution: { source: 'whatsapp', medium: null, campaign: null, content: null, affiliate: null },
+            items: [
+                { sku: '9a8b7c6d-5e4f-4a3b-2c1d-0e9f8a7b6c5d', name: 'Curso Receitas Fit', quantity: 1, amount: 47, type: 'main' }
+            ]
+        }
+    },
+    {
+        gateway: 'eduzz',
+        fixture: 'eduzz-invoice-paid',
+        expected: {
+            code: '84512367',
+            eventId: '01HXQ7Z3K9M2N4P6R8T0V2W4Y6',
+            status: 'approved',
+            paymentMethod: 'credit_card',
+            phone: '5571981234567',
+            planCode: '2198765',
+            amount: 174,
+            customer: { fullName: 'Patrícia Gomes', email: 'patricia.gomes@example.com', document: '66677788899' },
+            attribution: { source: 'youtube', medium: 'video', campaign: 'receitas_live', content: 'link_descricao', affiliate: 'Afiliado Eduzz' },
+            items: [
+                { sku: '2198765', name: 'Curso Receitas Fit', quantity: 1, amount: 147, type: 'main' },
+                { sku: '2198770', name: 'E-book Lanches Fit', quantity: 1, amount: 27, type: 'bump' }
+            ]
+        }
+    },
+    {
+        gateway: 'eduzz',
+        fixture: 'eduzz-bankslip-open',
+        expected: {
+            code: '84519999',
+            status: 'pending',
+            paymentMethod: 'boleto',
+            phone: '556232223344',
+            planCode: '2198765',
+            paymentUrl: 'https://sun.eduzz.com/boleto/84519999',
+            dueDate: '2024-05-17T23:59:59.000Z',
+            attribution: { source: null, medium: null, campaign: null, content: null, affiliate: null },
+            items: [
+                { sku: '2198765', name: 'Curso Receitas Fit', quantity: 1, amount: 97, type: 'main' }
+            ]
+        }
+    }
+];
+
+describe('gateways: normalize()', () => {
+    CASES.forEach(({ gateway: name, fixture, expected }) => {
+        it(`${name}: ${fixture}`, () => {
+            const gateway = getGateway(name);
+            const order = gateway.normalize(loadFixture(fixture));
+            const { phone, ...fields } = expected;
+
+            assert.equal(order.gateway, name);
+            assert.equal(phoneService.normalize(order.phone), phone);
+
+            for (const [field, value] of Object.entries(fields)) {
+                assert.deepEqual(order[field], value, `campo ${field}`);
+            }
+        });
+    });
+
+    it('status sem tratamento volta null', () => {
+        const payload = loadFixture('hotmart-purchase-approved');
+        payload.data.purchase.status = 'OVERDUE';
+
+        const order = getGateway('hotmart').normalize(payload);
+
+        assert.equal(order.status, null);
+        assert.equal(order.rawStatus, 'OVERDUE');
+    });
+
+    it('redact() tira token e hottok do corpo guardado na inbox', () => {
+        const perfect = getGateway('perfect').redact(loadFixture('perfect-pix-pending'));
+        const hotmart = getGateway('hotmart').redact(loadFixture('hotmart-purchase-approved'));
+
+        assert.equal(perfect.token, undefined);
+        assert.equal(perfect.code, 'PPCPMTB5H2KV3L');
+        assert.equal(hotmart.hottok, undefined);
+        assert.equal(hotmart.data.purchase.transaction, 'HP16015479281022');
+    });
+
+    it('campos ausentes não quebram o adaptador', () => {
+        ['perfect', 'hotmart', 'kiwify', 'eduzz'].forEach(name => {
+            const order = getGateway(name).normalize({});
+
+            assert.equal(order.status, null, name);
+            assert.equal(order.customer.fullName, 'Cliente', name);
+            assert.equal(order.paymentMethod, 'pix', name);
+        });
+    });
+});
+
+describe('gateways: verify()', () => {
+    const securityService = require('../services/security');
+    const request = body => ({ headers: {}, body: body });
+
+    it('perfect sem PERFECT_PAY_TOKEN rejeita (não libera sem verificação)', () => {
+        const configured = securityService.perfectPayToken;
+        securityService.perfectPayToken = '';
+
+        try {
+            assert.deepEqual(getGateway('perfect').verify(request(loadFixture('perfect-pix-pending'))),
+                { valid: false, reason: 'not_configured' });
+        } finally {
+            securityService.perfectPayToken = configured;
+        }
+    });
+
+    it('perfect com token confere o campo token do corpo', () => {
+        const configured = securityService.perfectPayToken;
+        securityService.perfectPayToken = 'a1b2c3d4e5f60718293a4b5c6d7e8f90';
+
+        try {
+            const payload = loadFixture('perfect-pix-pending');
+            assert.equal(getGateway('perfect').verify(request(payload)).valid, true);
+
+            payload.token = 'outro-token';
+            assert.deepEqual(getGateway('perfect').verify(request(payload)), { valid: false, reason: 'invalid_token' });
+        } finally {
+            securityService.perfectPayToken = configured;
+        }
+    });
+});
@@ -0,0 +1,155 @@
+/**
+ * NORMALIZAÇÃO DE TELEFONES - tabela de entradas e saídas esperadas
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const phoneService = require('../services/phone');
+
+// [entrada, dígitos armazenados, { campos extras esperados de parse() }]
+const VALID = [
+    // Brasil sem código do país (10 e 11 dígitos)
+    ['11987654321', '5511987654321', { areaCode: '11', isMobile: true }],
+    ['(11) 98765-4321', '5511987654321', { areaCode: '11', isMobile: true }],
+    ['1187654321', '5511987654321', { isMobile: true }], // celular antigo sem o nono dígito
+    ['11 7654-3210', '5511976543210', { isMobile: true }],
+    ['1132345678', '551132345678', { isMobile: false }], // fixo
+    ['(21) 2345-6789', '552123456789', { areaCode: '21', isMobile: false }],
+    ['85988776655', '5585988776655', { areaCode: '85' }],
+
+    // Brasil com 55 (12 e 13 dígitos)
+    ['5511987654321', '5511987654321', { countryCode: '55', nationalNumber: '11987654321' }],
+    ['551187654321', '5511987654321', { isMobile: true }], // sem o nono dígito
+    ['551132345678', '551132345678', { isMobile: false }],
+    ['+55 11 98765-4321', '5511987654321', { e164: '+5511987654321' }],
+    ['+55 (11) 8765-4321', '5511987654321', {}],
+    ['+551132345678', '551132345678', {}],
+    ['005511987654321', '5511987654321', {}],
+
+    // Prefixo de tronco (0) e código de operadora (0XX)
+    ['011987654321', '5511987654321', {}],
+    ['01187654321', '5511987654321', {}],
+    ['01132345678', '551132345678', {}],
+    ['0 15 11 98765-4321', '5511987654321', {}],
+    ['0211187654321', '5511987654321', {}],
+
+    // Nono dígito duplicado
+    ['55119987654321', '5511987654321', { isMobile: true }],
+    ['+55 (11) 9 9876-54321', '5511987654321', {}],
+
+    // Estrangeiros com "+" ou "00"
+    ['+1 (415) 555-2671', '14155552671', { countryCode: '1', nationalNumber: '4155552671', areaCode: null, isMobile: null }],
+    ['+44 20 7946 0958', '442079460958', { countryCode: '44' }],
+    ['+351 912 345 678', '351912345678', { countryCode: '351' }],
+    ['+54 9 11 2345-6789', '5491123456789', { countryCode: '54' }],
+    ['0014155552671', '14155552671', { countryCode: '1' }]
+];
+
+// [entrada, motivo]
+const INVALID = [
+    ['', 'empty'],
+    ['   ', 'empty'],
+    [null, 'empty'],
+    [undefined, 'empty'],
+    ['abc', 'empty'],
+    ['sem telefone', 'empty'],
+    ['+', 'empty'],
+    ['12345', 'invalid_length'],
+    ['+1 234', 'invalid_length'],
+    ['+1234567890123456', 'invalid_length'],
+    ['+55 (10) 98765-4321', 'invalid_area_code'],
+    ['+55 (20) 3234-5678', 'invalid_area_code'],
+    ['5511123456789', 'invalid_subscriber_number'],
+    ['+55 11 1234-5678', 'invalid_subscriber_number'],
+    ['+55 11 98765', 'invalid_subscriber_number']
+];
+
+// [JID, telefone]
+const JIDS = [
+    ['5511987654321@s.whatsapp.net', '5511987654321'],
+    ['551187654321@s.whatsapp.net', '5511987654321'], // conta antiga sem o nono dígito
+    ['5511987654321:12@s.whatsapp.net', '5511987654321'], // sufixo de dispositivo
+    ['551132345678@s.whatsapp.net', '551132345678'],
+    ['5511987654321@c.us', '5511987654321'],
+    ['14155552671@s.whatsapp.net', '14155552671'], // 11 dígitos com "DDD" 14: continua estrangeiro
+    ['447911123456@s.whatsapp.net', '447911123456'],
+    ['5511987654321', '5511987654321'],
+    ['187260123456789@lid', null],
+    ['187260123456789:3@lid', null],
+    ['120363025246125486@g.us', null],
+    ['status@broadcast', null],
+    ['', ''],
+    [null, null]
+];
+
+describe('phone: parse()', () => {
+    VALID.forEach(([input, digits, fields]) => {
+        it(`${JSON.stringify(input)} → ${digits}`, () => {
+            const result = phoneService.parse(input);
+
+            assert.equal(result.valid, true);
+            assert.equal(result.digits, digits);
+            assert.equal(result.e164, `+${digits}`);
+            assert.equal(result.reason, null);
+
+            for (const [field, value] of Object.entries(fields)) {
+                assert.equal(result[field], value, `campo ${field}`);
+            }
+        });
+    });
+
+    INVALID.forEach(([input, reason]) => {
+        it(`${JSON.stringify(input)} → inválido (${reason})`, () => {
+            const result = phoneService.parse(input);
+
+            assert.equal(result.valid, false);
+            assert.equal(result.e164, null);
+            assert.equal(result.reason, reason);
+        });
+    });
+
+    it('com international, 10-11 dígitos não viram brasileiros sem 55', () => {
+        assert.equal(phoneService.parse('21987654321').digits, '5521987654321');
+        assert.equal(phoneService.parse('21987654321', { international: true }).digits, '21987654321');
+    });
+});
+
+describe('phone: normalize()', () => {
+    VALID.forEach(([input, digits]) => {
+        it(`${JSON.stringify(input)} → ${digits}`, () => {
+            assert.equal(phoneService.normalize(input), digits);
+        });
+    });
+
+    it('inválido volta só com os dígitos', () => {
+        assert.equal(phoneService.normalize('+55 (10) 98765-4321'), '5510987654321');
+        assert.equal(phoneService.normalize('12345'), '12345');
+        assert.equal(phoneService.normalize('abc'), '');
+    });
+
+    it('vazio volta como veio', () => {
+        assert.equal(phoneService.normalize(''), '');
+        assert.equal(phoneService.normalize(null), null);
+        assert.equal(phoneService.normalize(undefined), undefined);
+    });
+
+    it('é idempotente', () => {
+        VALID.forEach(([input, digits]) => {
+            assert.equal(phoneService.normalize(phoneService.normalize(input)), digits, JSON.stringify(input));
+        });
+    });
+});
+
+describe('phone: fromJid() e toJid()', () => {
+    JIDS.forEach(([jid, phone]) => {
+        it(`${JSON.stringify(jid)} → ${JSON.stringify(phone)}`, () => {
+            assert.equal(phoneService.fromJid(jid), phone);
+        });
+    });
+
+    it('toJid usa o telefone normalizado', () => {
+        assert.equal(phoneService.toJid('(11) 8765-4321'), '5511987654321@s.whatsapp.net');
+        assert.equal(phoneService.toJid(''), null);
+    });
+});